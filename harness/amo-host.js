@@ -0,0 +1,423 @@
+// Offline Amo host emulator
+// Implements the fs, http, console, getVar and cliCommand surface declared in
+// amo-workflow.d.ts on top of Node.js, so workflows can run without the real host.
+// CLI tools and HTTP endpoints are fakes registered by the caller; nothing real is executed.
+
+var nodeFs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var crypto = require("crypto");
+
+// Error text of the real host for commands missing from ~/.amo/allowed_cli.txt,
+// checkCliTool() looks for it
+var WHITELIST_ERROR = "is not in the allowed CLI commands list";
+var MAX_ARG_BYTES = 128 * 1024;
+
+function createHost(options) {
+    options = options || {};
+    var host = {
+        cwd: path.resolve(options.cwd || process.cwd()),
+        vars: options.vars || {},
+        // What getVar() returns for a variable that was not passed: "" by default,
+        // undefined for a host that tells it apart from an empty --var
+        unsetVar: Object.prototype.hasOwnProperty.call(options, "unsetVar") ? options.unsetVar : "",
+        fakes: {},
+        allowed: options.allowedCommands || null,
+        routes: options.http || {},
+        echo: !!options.echo,
+        output: [],
+        calls: [],
+        requests: []
+    };
+
+    var fakeNames = Object.keys(options.fakes || {});
+    for (var i = 0; i < fakeNames.length; i++) {
+        host.fakes[fakeNames[i]] = options.fakes[fakeNames[i]];
+    }
+
+    host.resolve = function (p) {
+        return path.resolve(host.cwd, String(p));
+    };
+
+    host.api = {
+        fs: createFsApi(host),
+        http: createHttpApi(host),
+        console: createConsoleApi(host),
+        getVar: function (key) {
+            return Object.prototype.hasOwnProperty.call(host.vars, key) ? String(host.vars[key]) : host.unsetVar;
+        },
+        cliCommand: function (command, args, commandOptions) {
+            return runCliCommand(host, command, args || [], commandOptions || {});
+        }
+    };
+
+    host.run = function (scriptPath) {
+        return runWorkflow(host, scriptPath);
+    };
+
+    return host;
+}
+
+// ======================== Workflow Runner ========================
+
+function runWorkflow(host, scriptPath) {
+    var source = nodeFs.readFileSync(scriptPath, "utf8");
+    var context = vm.createContext({
+        fs: host.api.fs,
+        http: host.api.http,
+        console: host.api.console,
+        getVar: host.api.getVar,
+        cliCommand: host.api.cliCommand
+    });
+
+    var result = { error: null, output: host.output, calls: host.calls, requests: host.requests };
+    try {
+        vm.runInContext(source, context, { filename: scriptPath });
+    } catch (error) {
+        // An uncaught exception ends the workflow, the real host reports it as an error line
+        result.error = error;
+        host.api.console.error("Workflow error:", error && error.stack || String(error));
+    }
+    result.text = getOutputText(host);
+    return result;
+}
+
+function getOutputText(host) {
+    return host.output.map(function (line) {
+        return line.text;
+    }).join("\n");
+}
+
+// ======================== Console ========================
+
+function createConsoleApi(host) {
+    function write(level) {
+        return function () {
+            var parts = [];
+            for (var i = 0; i < arguments.length; i++) {
+                parts.push(formatValue(arguments[i]));
+            }
+            var line = { level: level, text: parts.join(" ") };
+            host.output.push(line);
+            if (host.echo) {
+                (level === "log" ? process.stdout : process.stderr).write(line.text + "\n");
+            }
+        };
+    }
+    return { log: write("log"), error: write("error"), warn: write("warn") };
+}
+
+function formatValue(value) {
+    if (typeof value === "string") {
+        return value;
+    }
+    if (value === undefined) {
+        return "undefined";
+    }
+    if (value !== null && typeof value === "object") {
+        try {
+            return JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+    return String(value);
+}
+
+// ======================== CLI Commands ========================
+
+function runCliCommand(host, command, args, commandOptions) {
+    var call = { command: command, args: args.slice(), options: commandOptions };
+    host.calls.push(call);
+
+    var isAllowed = host.allowed ? host.allowed.indexOf(command) !== -1 : !!host.fakes[command];
+    if (!isAllowed) {
+        call.result = { stdout: "", stderr: "", error: "command '" + command + "' " + WHITELIST_ERROR };
+        return call.result;
+    }
+
+    // Like exec on Linux, a single argument over 128 KiB cannot be passed
+    for (var i = 0; i < args.length; i++) {
+        if (Buffer.byteLength(String(args[i])) > MAX_ARG_BYTES) {
+            call.result = { stdout: "", stderr: "", error: "fork/exec " + command + ": argument list too long" };
+            return call.result;
+        }
+    }
+
+    var fake = host.fakes[command];
+    if (!fake) {
+        call.result = { stdout: "", stderr: "", error: "exec: \"" + command + "\": command not found" };
+        return call.result;
+    }
+
+    var response;
+    try {
+        response = fake(args.slice(), commandOptions, { host: host, fs: nodeFs, resolve: host.resolve, call: call }) || {};
+    } catch (error) {
+        response = { stdout: "", stderr: String(error && error.message || error), error: "exit status 1" };
+    }
+    call.result = { stdout: response.stdout || "", stderr: response.stderr || "" };
+    if (response.error) {
+        call.result.error = response.error;
+    }
+    return call.result;
+}
+
+// ======================== HTTP ========================
+
+function createHttpApi(host) {
+    function request(method, url, body, headers) {
+        var entry = { method: method, url: url, body: body || "", headers: headers || {} };
+        host.requests.push(entry);
+        var route = host.routes[url];
+        if (route === undefined) {
+            return { status_code: 0, headers: {}, body: "", error: "network access is not available in the offline host: " + url };
+        }
+        var response = typeof route === "function" ? route(entry) : route;
+        if (typeof response === "string") {
+            response = { body: response };
+        }
+        return {
+            status_code: response.status_code || 200,
+            headers: response.headers || {},
+            body: response.body || "",
+            error: response.error
+        };
+    }
+
+    return {
+        get: function (url, headers) {
+            return request("GET", url, "", headers);
+        },
+        post: function (url, body, headers) {
+            return request("POST", url, body, headers);
+        },
+        getJSON: function (url, headers) {
+            var response = request("GET", url, "", headers);
+            if (!response.error) {
+                try {
+                    response.data = JSON.parse(response.body);
+                } catch (error) {
+                    response.error = "invalid JSON response: " + error.message;
+                }
+            }
+            return response;
+        },
+        downloadFile: function (url, outputPath, downloadOptions) {
+            var response = request("GET", url, "", {});
+            if (!response.error) {
+                nodeFs.mkdirSync(path.dirname(host.resolve(outputPath)), { recursive: true });
+                nodeFs.writeFileSync(host.resolve(outputPath), response.body);
+            }
+            return response;
+        }
+    };
+}
+
+// ======================== File System ========================
+
+function createFsApi(host) {
+    function ok(fields) {
+        var result = { success: true };
+        for (var key in fields) {
+            result[key] = fields[key];
+        }
+        return result;
+    }
+
+    function fail(error) {
+        return { success: false, error: String(error && error.message || error) };
+    }
+
+    function attempt(action) {
+        try {
+            return action();
+        } catch (error) {
+            return fail(error);
+        }
+    }
+
+    function fileInfo(fullPath) {
+        var stats = nodeFs.statSync(fullPath);
+        return {
+            name: path.basename(fullPath),
+            path: fullPath,
+            size: stats.size,
+            is_dir: stats.isDirectory(),
+            mod_time: stats.mtime.toISOString(),
+            mode: "0" + (stats.mode & parseInt("777", 8)).toString(8)
+        };
+    }
+
+    function isType(p, check) {
+        try {
+            return check(nodeFs.statSync(host.resolve(p)));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    var api = {
+        exists: function (p) {
+            return nodeFs.existsSync(host.resolve(p));
+        },
+        isFile: function (p) {
+            return isType(p, function (stats) { return stats.isFile(); });
+        },
+        isDir: function (p) {
+            return isType(p, function (stats) { return stats.isDirectory(); });
+        },
+        info: function (p) {
+            return attempt(function () {
+                return ok({ data: fileInfo(host.resolve(p)) });
+            });
+        },
+        readdir: function (p) {
+            return attempt(function () {
+                var dirPath = host.resolve(p);
+                var files = nodeFs.readdirSync(dirPath).sort().map(function (name) {
+                    return fileInfo(path.join(dirPath, name));
+                });
+                return ok({ files: files });
+            });
+        },
+        mkdir: function (p) {
+            return attempt(function () {
+                nodeFs.mkdirSync(host.resolve(p), { recursive: true });
+                return ok({});
+            });
+        },
+        read: function (p) {
+            return attempt(function () {
+                return ok({ content: nodeFs.readFileSync(host.resolve(p), "utf8") });
+            });
+        },
+        write: function (p, content) {
+            return attempt(function () {
+                nodeFs.writeFileSync(host.resolve(p), String(content));
+                return ok({});
+            });
+        },
+        append: function (p, content) {
+            return attempt(function () {
+                nodeFs.appendFileSync(host.resolve(p), String(content));
+                return ok({});
+            });
+        },
+        copy: function (src, dst) {
+            return attempt(function () {
+                nodeFs.copyFileSync(host.resolve(src), host.resolve(dst));
+                return ok({});
+            });
+        },
+        move: function (src, dst) {
+            return attempt(function () {
+                nodeFs.renameSync(host.resolve(src), host.resolve(dst));
+                return ok({});
+            });
+        },
+        remove: function (p) {
+            // Files and empty folders only, like the host: folders are emptied first
+            return attempt(function () {
+                var target = host.resolve(p);
+                if (nodeFs.statSync(target).isDirectory()) {
+                    nodeFs.rmdirSync(target);
+                } else {
+                    nodeFs.unlinkSync(target);
+                }
+                return ok({});
+            });
+        },
+        join: function (elements) {
+            return path.join.apply(path, elements.map(String));
+        },
+        split: function (p) {
+            return { dir: path.dirname(p), file: path.basename(p) };
+        },
+        absolute: function (p) {
+            return ok({ path: host.resolve(p) });
+        },
+        relative: function (base, target) {
+            return ok({ path: path.relative(host.resolve(base), host.resolve(target)) });
+        },
+        ext: function (p) {
+            return path.extname(p);
+        },
+        filename: function (p) {
+            return path.basename(p);
+        },
+        basename: function (p) {
+            return path.basename(p, path.extname(p));
+        },
+        dirname: function (p) {
+            return path.dirname(p);
+        },
+        size: function (p) {
+            return attempt(function () {
+                return ok({ size: nodeFs.statSync(host.resolve(p)).size });
+            });
+        },
+        find: function (root, pattern) {
+            return attempt(function () {
+                var files = [];
+                findFiles(host.resolve(root), globToRegExp(pattern), files);
+                return ok({ files: files });
+            });
+        },
+        cwd: function () {
+            return ok({ path: host.cwd });
+        },
+        chdir: function (p) {
+            if (!api.isDir(p)) {
+                return fail("not a directory: " + p);
+            }
+            host.cwd = host.resolve(p);
+            return ok({});
+        },
+        md5: function (p) {
+            return attempt(function () {
+                var hash = crypto.createHash("md5").update(nodeFs.readFileSync(host.resolve(p))).digest("hex");
+                return ok({ hash: hash });
+            });
+        }
+    };
+
+    // Aliases declared in amo-workflow.d.ts
+    api.stat = api.info;
+    api.list = api.readdir;
+    api.readFile = api.read;
+    api.writeFile = api.write;
+    api.appendFile = api.append;
+    api.rename = api.move;
+    api["delete"] = api.remove;
+    api.rm = api.remove;
+    api.abs = api.absolute;
+    api.rel = api.relative;
+    api.extname = api.ext;
+    api.search = api.find;
+    api.getcwd = api.cwd;
+    api.cd = api.chdir;
+    return api;
+}
+
+function findFiles(dirPath, regex, files) {
+    var names = nodeFs.readdirSync(dirPath).sort();
+    for (var i = 0; i < names.length; i++) {
+        var fullPath = path.join(dirPath, names[i]);
+        if (nodeFs.statSync(fullPath).isDirectory()) {
+            findFiles(fullPath, regex, files);
+        } else if (regex.test(names[i])) {
+            files.push(fullPath);
+        }
+    }
+}
+
+function globToRegExp(pattern) {
+    var regex = String(pattern).replace(/[\\^$.|+()[\]{}]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp("^" + regex + "$");
+}
+
+module.exports = {
+    createHost: createHost,
+    WHITELIST_ERROR: WHITELIST_ERROR
+};
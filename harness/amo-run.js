@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// Run a workflow on the offline host
+// Usage: node harness/amo-run.js <workflow.js> [--var key=value ...] [--fakes fakes.js] [--allow cmd,cmd] [--cwd dir]
+// Without --fakes the standard fakes from fakes.js are registered, --fakes replaces them with
+// the handlers exported by the given module ({ "doc-to-text": function (args, options, context) {...} })
+
+var path = require("path");
+var amoHost = require("./amo-host");
+var fakes = require("./fakes");
+
+function main(argv) {
+    var scriptPath = "";
+    var vars = {};
+    var fakeHandlers = null;
+    var allowed = null;
+    var cwd = process.cwd();
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg === "--var" && argv[i + 1] !== undefined) {
+            var pair = argv[++i];
+            var equals = pair.indexOf("=");
+            if (equals === -1) {
+                return usage("--var needs key=value, got: " + pair);
+            }
+            vars[pair.substring(0, equals)] = pair.substring(equals + 1);
+        } else if (arg === "--fakes" && argv[i + 1]) {
+            fakeHandlers = require(path.resolve(argv[++i]));
+        } else if (arg === "--allow" && argv[i + 1]) {
+            allowed = argv[++i].split(",");
+        } else if (arg === "--cwd" && argv[i + 1]) {
+            cwd = argv[++i];
+        } else if (arg === "-h" || arg === "--help") {
+            return usage("");
+        } else if (!scriptPath) {
+            scriptPath = arg;
+        } else {
+            return usage("Unexpected argument: " + arg);
+        }
+    }
+    if (!scriptPath) {
+        return usage("Workflow script is required");
+    }
+
+    var host = amoHost.createHost({
+        cwd: cwd,
+        vars: vars,
+        fakes: fakeHandlers || getStandardFakes(),
+        allowedCommands: allowed,
+        echo: true
+    });
+    var result = host.run(path.resolve(scriptPath));
+    return result.error ? 1 : 0;
+}
+
+function getStandardFakes() {
+    return {
+        "doc-to-text": fakes.docToText(),
+        "llm-caller": fakes.llmCaller({
+            "*": function (text, args) {
+                return "Response of " + args[1] + " for " + text.length + " characters of text";
+            }
+        }),
+        "ffmpeg": fakes.ffmpeg(),
+        "sleep": fakes.sleep()
+    };
+}
+
+function usage(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error("Usage: node harness/amo-run.js <workflow.js> [--var key=value ...] [--fakes fakes.js] [--allow cmd,cmd] [--cwd dir]");
+    return message ? 2 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
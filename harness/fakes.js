@@ -0,0 +1,98 @@
+// Fake CLI tools for the offline host
+// Each factory returns a cliCommand handler: function (args, options, context) -> { stdout, stderr, error }.
+// They write the files the real tools would write, so workflows can check and read them.
+
+var path = require("path");
+
+function docToText(settings) {
+    // doc-to-text <file> [...] -o <output>: writes "Text of <name>" plus the source content
+    settings = settings || {};
+    return function (args, options, context) {
+        if (args[0] === "-h") {
+            return { stdout: "usage: doc-to-text <file> [--content-type text|image] [--ocr tool] -o <output>" };
+        }
+        var source = context.resolve(args[0]);
+        if (settings.fail && settings.fail(source)) {
+            return { stderr: "failed to extract " + path.basename(source), error: "exit status 1" };
+        }
+        var outputIndex = args.indexOf("-o");
+        var outputFile = context.resolve(args[outputIndex + 1]);
+        var content = context.fs.readFileSync(source, "utf8");
+        context.fs.writeFileSync(outputFile, settings.text ? settings.text(source, content) : "Text of " + path.basename(source) + "\n" + content);
+        return { stdout: "Extracted " + path.basename(source) };
+    };
+}
+
+function llmCaller(responses, settings) {
+    // llm-caller call <template> --var text:text:<text> | text:file:<path>: answers from
+    // responses[template], a string or a function (text, args) -> string | { stdout, stderr, error }.
+    // settings.fileVars = false acts like an older llm-caller that only knows text variables.
+    responses = responses || {};
+    var fileVars = !settings || settings.fileVars !== false;
+    return function (args, options, context) {
+        if (args[0] === "-h") {
+            return { stdout: "usage: llm-caller call <template> --var name:type:value (type: " + (fileVars ? "text|file" : "text") + ")" };
+        }
+        var template = args[1];
+        var text = "";
+        for (var i = 2; i < args.length - 1; i++) {
+            if (args[i] !== "--var") {
+                continue;
+            }
+            if (args[i + 1].indexOf("text:text:") === 0) {
+                text = args[i + 1].substring("text:text:".length);
+            } else if (args[i + 1].indexOf("text:file:") === 0 && fileVars) {
+                text = context.fs.readFileSync(context.resolve(args[i + 1].substring("text:file:".length)), "utf8");
+            } else {
+                return { stderr: "unknown variable type in " + args[i + 1].split(":").slice(0, 2).join(":"), error: "exit status 2" };
+            }
+        }
+        var response = responses[template] !== undefined ? responses[template] : responses["*"];
+        if (response === undefined) {
+            return { stderr: "template not found: " + template, error: "exit status 1" };
+        }
+        response = typeof response === "function" ? response(text, args) : response;
+        return typeof response === "string" ? { stdout: response } : response;
+    };
+}
+
+function ffmpeg() {
+    // ffmpeg -i <input> ... <output>: writes a small fake audio file
+    return function (args, options, context) {
+        if (args.indexOf("-i") === -1) {
+            return { stderr: "ffmpeg version 6.0-offline Copyright (c) the FFmpeg developers", error: "exit status 1" };
+        }
+        var input = context.resolve(args[args.indexOf("-i") + 1]);
+        var outputFile = context.resolve(args[args.length - 1]);
+        if (context.fs.existsSync(outputFile) && args.indexOf("-y") === -1) {
+            return { stderr: "File '" + outputFile + "' already exists. Exiting.", error: "exit status 1" };
+        }
+        context.fs.writeFileSync(outputFile, "audio of " + path.basename(input) + " (" + args.slice(2, -1).join(" ") + ")");
+        return { stderr: "size=1kB time=00:00:01.00" };
+    };
+}
+
+function sleep() {
+    // Retries and watch mode pause with sleep, tests should not wait for real
+    return function () {
+        return {};
+    };
+}
+
+function sequence(responses) {
+    // Answers calls in order and repeats the last answer, e.g. to fail once and then succeed
+    var index = 0;
+    return function (args, options, context) {
+        var response = responses[Math.min(index, responses.length - 1)];
+        index++;
+        return typeof response === "function" ? response(args, options, context) : response;
+    };
+}
+
+module.exports = {
+    docToText: docToText,
+    llmCaller: llmCaller,
+    ffmpeg: ffmpeg,
+    sleep: sleep,
+    sequence: sequence
+};
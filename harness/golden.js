@@ -0,0 +1,99 @@
+// Golden-file helpers for workflow tests
+// A test copies a fixture folder into a temporary workspace, runs a workflow on the offline
+// host and compares console output plus the files it wrote with harness/golden/<name>.txt.
+// Run with UPDATE_GOLDEN=1 to (re)write the golden files after an intended change.
+
+var nodeFs = require("fs");
+var path = require("path");
+var os = require("os");
+var assert = require("assert");
+
+var HARNESS_DIR = __dirname;
+var WORKFLOWS_DIR = path.join(HARNESS_DIR, "..", "workflows");
+var FIXTURES_DIR = path.join(HARNESS_DIR, "fixtures");
+var GOLDEN_DIR = path.join(HARNESS_DIR, "golden");
+
+function createWorkspace(fixtureName) {
+    var workDir = nodeFs.realpathSync(nodeFs.mkdtempSync(path.join(os.tmpdir(), "amo-workflow-")));
+    if (fixtureName) {
+        nodeFs.cpSync(path.join(FIXTURES_DIR, fixtureName), workDir, { recursive: true });
+    }
+    return workDir;
+}
+
+function removeWorkspace(workDir) {
+    nodeFs.rmSync(workDir, { recursive: true, force: true });
+}
+
+function getWorkflowPath(name) {
+    return path.join(WORKFLOWS_DIR, name + ".js");
+}
+
+function normalize(text, workDir) {
+    // Replace what changes from run to run: the workspace path, timestamps and durations.
+    // Calendar files end lines with CRLF, the golden files with LF
+    return String(text)
+        .split(workDir).join("<work>")
+        .replace(/\r\n/g, "\n")
+        .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, "<time>")
+        .replace(/^DTSTAMP:\d{8}T\d{6}Z$/gm, "DTSTAMP:<time>")
+        .replace(/"(duration_ms|startedAt)": \d+/g, "\"$1\": 0")
+        .replace(/shard-(\d+)-of-(\d+)-\d+-\d+/g, "shard-$1-of-$2-<owner>");
+}
+
+function listFiles(dirPath, baseDir, files) {
+    var names = nodeFs.readdirSync(dirPath).sort();
+    for (var i = 0; i < names.length; i++) {
+        var fullPath = path.join(dirPath, names[i]);
+        if (nodeFs.statSync(fullPath).isDirectory()) {
+            listFiles(fullPath, baseDir, files);
+        } else {
+            files.push(path.relative(baseDir, fullPath).split(path.sep).join("/"));
+        }
+    }
+    return files;
+}
+
+function snapshotFiles(workDir, subDir) {
+    // Every file below workDir/subDir with its content, in path order
+    var rootDir = path.join(workDir, subDir || "");
+    if (!nodeFs.existsSync(rootDir)) {
+        return "(missing " + (subDir || ".") + ")\n";
+    }
+    var files = listFiles(rootDir, rootDir, []);
+    return files.map(function (file) {
+        var content = nodeFs.readFileSync(path.join(rootDir, file), "utf8");
+        return "--- " + file + "\n" + normalize(content, workDir).replace(/\n?$/, "\n");
+    }).join("");
+}
+
+function formatRun(result, workDir, snapshotDirs) {
+    var text = "=== console\n" + normalize(result.text, workDir) + "\n";
+    for (var i = 0; i < snapshotDirs.length; i++) {
+        text += "=== files in " + snapshotDirs[i] + "\n" + snapshotFiles(workDir, snapshotDirs[i]);
+    }
+    return text;
+}
+
+function assertGolden(name, actual) {
+    var goldenPath = path.join(GOLDEN_DIR, name + ".txt");
+    if (process.env.UPDATE_GOLDEN) {
+        nodeFs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+        nodeFs.writeFileSync(goldenPath, actual);
+        return;
+    }
+    if (!nodeFs.existsSync(goldenPath)) {
+        assert.fail("Golden file missing: " + path.relative(process.cwd(), goldenPath) + " (run with UPDATE_GOLDEN=1 to create it)");
+    }
+    assert.strictEqual(actual, nodeFs.readFileSync(goldenPath, "utf8"), "Output differs from " + name + ".txt (run with UPDATE_GOLDEN=1 if the change is intended)");
+}
+
+module.exports = {
+    createWorkspace: createWorkspace,
+    removeWorkspace: removeWorkspace,
+    getWorkflowPath: getWorkflowPath,
+    normalize: normalize,
+    snapshotFiles: snapshotFiles,
+    formatRun: formatRun,
+    assertGolden: assertGolden
+};
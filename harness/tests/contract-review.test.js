@@ -0,0 +1,717 @@
+// Contract review workflow on the offline host
+
+var test = require("node:test");
+var assert = require("assert");
+var nodeFs = require("fs");
+var path = require("path");
+var amoHost = require("../amo-host");
+var fakes = require("../fakes");
+var golden = require("../golden");
+
+function runContractReview(workDir, vars, llmResponses, settings) {
+    settings = settings || {};
+    var host = amoHost.createHost({
+        cwd: workDir,
+        vars: vars,
+        fakes: {
+            "doc-to-text": fakes.docToText(settings.docToText),
+            "llm-caller": fakes.llmCaller(llmResponses, settings.llmCaller),
+            "sleep": fakes.sleep()
+        }
+    });
+    return host.run(golden.getWorkflowPath("contract-review"));
+}
+
+test("reviews every contract and keeps the extracted text next to the review", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runContractReview(workDir, {
+        input: "input",
+        output: "reviews",
+        recursive: "true",
+        ocr: "surya_ocr",
+        cache: "off"
+    }, {
+        "deepseek-contract-review": function (text) {
+            return "## Review\n" + text.split("\n")[1] + "\nRisk: medium";
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    golden.assertGolden("contract-review/batch-recursive", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("records a permanent LLM failure without retrying", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        report: "reviews/report.json"
+    }, {});
+
+    assert.strictEqual(result.error, null);
+    var llmCalls = result.calls.filter(function (call) {
+        return call.command === "llm-caller" && call.args[0] === "call";
+    });
+    assert.strictEqual(llmCalls.length, 1);
+    var report = JSON.parse(nodeFs.readFileSync(path.join(workDir, "reviews", "report.json"), "utf8"));
+    assert.strictEqual(report.totals.failed, 1);
+    assert.strictEqual(report.files[0].failure_type, "permanent");
+});
+
+test("passes the text file to llm-caller and falls back to argv for older versions", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    var vars = { input: "input/service-agreement.txt", output: "reviews", ocr: "surya_ocr", cache: "off", overwrite: "true" };
+    var responses = { "deepseek-contract-review": "## Review" };
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+
+    var getLlmVar = function (result) {
+        return result.calls.filter(function (call) {
+            return call.command === "llm-caller" && call.args[0] === "call";
+        })[0].args[3];
+    };
+
+    var current = runContractReview(workDir, vars, responses);
+    assert.strictEqual(current.error, null);
+    assert.strictEqual(getLlmVar(current), "text:file:" + path.join(workDir, "reviews", "service-agreement.extracted.txt"));
+
+    var older = runContractReview(workDir, vars, responses, { llmCaller: { fileVars: false } });
+    assert.strictEqual(older.error, null);
+    assert.match(getLlmVar(older), /^text:text:Text of service-agreement\.txt/);
+    assert.match(older.text, /llm-caller does not accept text files/);
+});
+
+test("stops with a clear error when the text is too long for an older llm-caller", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        chunk_size: "0"
+    }, { "deepseek-contract-review": "## Review" }, {
+        docToText: { text: function () { return new Array(150001).join("x"); } },
+        llmCaller: { fileVars: false }
+    });
+
+    assert.strictEqual(result.error, null);
+    var llmCalls = result.calls.filter(function (call) {
+        return call.command === "llm-caller" && call.args[0] === "call";
+    });
+    assert.strictEqual(llmCalls.length, 0);
+    assert.match(result.text, /150000 characters/);
+});
+
+test("reviews a long contract chunk by chunk and merges the findings", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var clauses = ["DEFINITIONS", "TERM", "PAYMENT", "TERMINATION", "LIABILITY"].map(function (title, index) {
+        return (index + 1) + ". " + title + "\n" + new Array(4).join("The parties agree to clause " + (index + 1) + " as written. ") + "\n";
+    });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        chunk_size: "300",
+        consolidate_llm_template: "contract-merge"
+    }, {
+        "deepseek-contract-review": function (text) {
+            return "Findings for " + text.match(/^\d+\. \w+/gm).join(", ");
+        },
+        "contract-merge": function (text) {
+            return "Merged review of " + (text.match(/^=== Part/gm) || []).length + " parts";
+        }
+    }, {
+        docToText: { text: function () { return clauses.join("\n"); } }
+    });
+
+    assert.strictEqual(result.error, null);
+    golden.assertGolden("contract-review/chunked", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+var JSON_REVIEW = "Here is the review:\n```json\n" + JSON.stringify({
+    parties: [{ name: "Acme Ltd", role: "provider" }, "Beta GmbH"],
+    term: "12 months",
+    governing_law: "England and Wales",
+    summary: "Standard services agreement.",
+    issues: [
+        { title: "Unlimited liability", clause: "9.1", quote: "The Customer shall be liable for all losses", severity: "High", recommendation: "Cap liability at the annual fees" },
+        { title: "Auto-renewal", clause: 2, quote: "renews automatically", severity: "medium", recommendation: "Add a notice period" }
+    ]
+}, null, 2).replace(/\n  \]\n\}$/, ",\n  ]\n}") + "\n```";
+
+test("verifies the quotes of a review against the extracted text", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off"
+    }, {
+        "deepseek-contract-review": [
+            "## Risks",
+            "- Payment terms: \"Payment is due within thirty days of invoice\"",
+            "- Termination: \"either party may terminate with 60 days' notice\"",
+            "- Liability: \"The Customer shall be liable for all losses\"",
+            "",
+            "> The Supplier shall deliver the ser-",
+            "> vices described in Annex A."
+        ].join("\n")
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Quotes: 2 verified, 1 approximate, 1 not found/);
+    assert.match(result.text, /Reviews with quotes not found in the source: 1\n   - service-agreement\.review\.txt/);
+    golden.assertGolden("contract-review/quotes", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("saves a structured review as JSON with a readable rendering", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        review_format: "json"
+    }, {
+        "deepseek-contract-review": function (text) {
+            assert.match(text, /^Write the review as one JSON object/);
+            return JSON_REVIEW;
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    var review = JSON.parse(nodeFs.readFileSync(path.join(workDir, "reviews", "service-agreement.review.json"), "utf8"));
+    assert.strictEqual(review.issues[0].severity, "high");
+    assert.strictEqual(review.issues[1].clause, "2");
+    golden.assertGolden("contract-review/json", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("asks again when the JSON review is malformed", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+
+    var answers = ["{ \"parties\": [], \"issues\": [{ \"title\": \"Vague scope\", \"severity\": \"urgent\" }] }", JSON_REVIEW];
+    var requests = [];
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        review_format: "json"
+    }, {
+        "deepseek-contract-review": function (text) {
+            requests.push(text);
+            return answers[requests.length - 1];
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(requests.length, 2);
+    assert.match(result.text, /not usable JSON \(issue 1 has severity "urgent".*\), asking again \[attempt 2\/2\]/);
+    assert.match(requests[1], /Your previous answer could not be used/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "reviews", "service-agreement.review.json")));
+});
+
+test("reviews with several models and merges their findings", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+
+    var mergeRequests = [];
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        review_format: "json",
+        report_format: "md",
+        contract_llm_template: "deepseek-contract-review, qwen-contract-review",
+        consolidate_llm_template: "contract-merge"
+    }, {
+        "deepseek-contract-review": JSON_REVIEW,
+        "qwen-contract-review": JSON.stringify({ parties: [], term: "", governing_law: "", summary: "Services agreement.", issues: [
+            { title: "No liability cap", clause: "1", quote: "", severity: "high", recommendation: "Cap liability" }
+        ] }),
+        "contract-merge": function (text) {
+            mergeRequests.push(text);
+            return JSON.stringify({ parties: [], term: "", governing_law: "", summary: "Merged.", issues: [
+                { title: "Unlimited liability", clause: "1", quote: "", severity: "high", recommendation: "Cap liability", models: ["deepseek-contract-review", "qwen-contract-review"] },
+                { title: "Auto-renewal", clause: "2", quote: "", severity: "medium", recommendation: "Add a notice period", models: ["deepseek-contract-review"] }
+            ] });
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(mergeRequests.length, 1);
+    assert.match(mergeRequests[0], /=== Review by deepseek-contract-review ===[\s\S]*=== Review by qwen-contract-review ===/);
+    assert.match(result.text, /2 issue\(s\): 1 raised by all 2 models, 1 by one model/);
+    golden.assertGolden("contract-review/ensemble", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("a rerun next to the contracts skips requests, change reports and chunk and model folders", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "service-agreement-v1.txt"), "SERVICE AGREEMENT\n\n1. SERVICES\nAs agreed.\n");
+    var clauses = ["SERVICES", "PAYMENT", "TERM", "LIABILITY"].map(function (title, index) {
+        return (index + 1) + ". " + title + "\n" + new Array(4).join("The parties agree to clause " + (index + 1) + " as written. ") + "\n";
+    });
+
+    var calls = 0;
+    var responses = {
+        "*": function (text) {
+            calls++;
+            if (text.indexOf("[C1]") !== -1) {
+                return JSON.stringify({ changes: [] });
+            }
+            return JSON.stringify({ parties: [], term: "", governing_law: "", summary: "Reviewed.", issues: [] });
+        }
+    };
+    // Only the service agreement is long enough for chunks, the lease is reviewed in one request
+    var settings = { docToText: { text: function (source, content) { return /lease/.test(source) ? content : clauses.join("\n"); } } };
+    var batchVars = {
+        input: "input",
+        recursive: "true",
+        ocr: "surya_ocr",
+        cache: "off",
+        review_format: "json",
+        chunk_size: "300",
+        contract_llm_template: "deepseek-contract-review, qwen-contract-review",
+        consolidate_llm_template: "contract-merge"
+    };
+
+    assert.strictEqual(runContractReview(workDir, batchVars, responses, settings).error, null);
+    assert.strictEqual(runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        compare_with: "service-agreement-v1.txt",
+        ocr: "surya_ocr",
+        cache: "off"
+    }, responses, settings).error, null);
+    var written = nodeFs.readdirSync(path.join(workDir, "input"), { recursive: true });
+    ["leases/office-lease.request.txt", "service-agreement.changes.txt", "service-agreement.chunks", "service-agreement.models/model-reviews.txt"].forEach(function (name) {
+        assert.ok(written.indexOf(name) !== -1, name + " in " + written.join(", "));
+    });
+
+    var callsBefore = calls;
+    var result = runContractReview(workDir, batchVars, responses, settings);
+    assert.strictEqual(result.error, null);
+    assert.doesNotMatch(result.text, /\.(request|changes)\.txt|\.(chunks|models|compare)[\/\\]/);
+    assert.strictEqual(calls, callsBefore);
+});
+
+test("writes a portfolio summary of the batch, riskiest contract first", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "input", "cloud-hosting.txt"), "CLOUD HOSTING AGREEMENT\nRenews yearly unless cancelled 90 days before.\n");
+    nodeFs.writeFileSync(path.join(workDir, "input", "scanned-nda.txt"), "unreadable scan\n");
+
+    var result = runContractReview(workDir, {
+        input: "input",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        intermediates: "delete",
+        review_format: "json",
+        portfolio: "true"
+    }, {
+        "deepseek-contract-review": function (text) {
+            if (text.indexOf("CLOUD HOSTING") === -1) {
+                return JSON_REVIEW;
+            }
+            return JSON.stringify({
+                parties: [{ name: "Nimbus, Inc.", role: "provider" }], term: "1 year", effective_date: "2025-01-01", expiry_date: "2025-12-31",
+                renewal: "Renews yearly unless cancelled 90 days before", governing_law: "Delaware", summary: "Hosting.",
+                issues: [
+                    { title: "Silent renewal", clause: "2", severity: "medium", recommendation: "Diary the notice date" },
+                    { title: "Data held abroad", clause: "5", severity: "critical", recommendation: "Require EU hosting" }
+                ]
+            });
+        }
+    }, {
+        docToText: {
+            fail: function (source) {
+                return /scanned-nda/.test(source);
+            }
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    var csv = nodeFs.readFileSync(path.join(workDir, "reviews", "portfolio-summary.csv"), "utf8").split("\n");
+    assert.strictEqual(csv[0], "file,status,risk_score,risk_level,critical,high,medium,low,parties,effective_date,expiry_date,renewal,governing_law,top_issues,review");
+    assert.match(csv[1], /^cloud-hosting\.txt,reviewed,18,critical,1,0,1,0,"Nimbus, Inc\. \(provider\)",2025-01-01,2025-12-31,/);
+    assert.match(csv[3], /^scanned-nda\.txt,missing,/);
+    golden.assertGolden("contract-review/portfolio", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("exports dated obligations as CSV and calendar files", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "input", "cloud-hosting.txt"), "CLOUD HOSTING AGREEMENT\nReport uptime within 10 days after the start.\n");
+
+    var result = runContractReview(workDir, {
+        input: "input",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        intermediates: "delete",
+        obligations: "true"
+    }, {
+        "deepseek-contract-review": function (text) {
+            if (text.indexOf("List the obligations") !== 0) {
+                return "## Review\nNothing unusual.";
+            }
+            if (text.indexOf("CLOUD HOSTING") !== -1) {
+                return JSON.stringify({ effective_date: "", expiry_date: "", obligations: [
+                    { party: "Provider", obligation: "Send the uptime report", clause: "3", date: "", relative: { amount: 10, unit: "day", direction: "after", from: "effective_date" }, notice_period: "", recurrence: "none" }
+                ] });
+            }
+            return JSON.stringify({ effective_date: "2025-01-31", expiry_date: "2026-01-30", obligations: [
+                { party: "Customer", obligation: "Give notice of non-renewal", clause: "2", date: "", relative: { amount: 90, unit: "days", direction: "before", from: "expiry_date" }, notice_period: "90 days, in writing", recurrence: "none" },
+                { party: "Customer", obligation: "Pay the monthly fee; invoices, net 30", clause: "4", date: "", relative: { amount: 1, unit: "months", direction: "after", from: "effective_date" }, notice_period: "", recurrence: "monthly" }
+            ] });
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    var ics = nodeFs.readFileSync(path.join(workDir, "reviews", "service-agreement.obligations.ics"), "utf8");
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /DTSTART;VALUE=DATE:20251101\r\n/);
+    assert.match(ics, /DTSTART;VALUE=DATE:20250228\r\nDTEND;VALUE=DATE:20250301\r\n/);
+    assert.match(ics, /SUMMARY:Customer: Pay the monthly fee\\; invoices\\, net 30\r\n/);
+    assert.match(ics, /RRULE:FREQ=MONTHLY;UNTIL=20260130\r\n/);
+    var merged = nodeFs.readFileSync(path.join(workDir, "reviews", "obligations.ics"), "utf8");
+    assert.strictEqual(merged.match(/BEGIN:VEVENT/g).length, 2);
+    golden.assertGolden("contract-review/obligations", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("gives every obligation a stable calendar UID, unique across sub-folders", function (t) {
+    var workDir = golden.createWorkspace();
+    t.after(function () { golden.removeWorkspace(workDir); });
+    ["north", "south"].forEach(function (site) {
+        nodeFs.mkdirSync(path.join(workDir, "input", site), { recursive: true });
+        nodeFs.writeFileSync(path.join(workDir, "input", site, "lease.txt"), "LEASE\nPremises: " + site + "\n");
+    });
+    var items = [
+        { party: "Tenant", obligation: "Pay the rent", clause: "4", date: "2025-03-01", relative: null, notice_period: "", recurrence: "none" },
+        { party: "Tenant", obligation: "Pay the rent", clause: "4", date: "2025-04-01", relative: null, notice_period: "", recurrence: "none" },
+        { party: "Landlord", obligation: "Inspect the premises", clause: "7", date: "2025-02-01", relative: null, notice_period: "", recurrence: "none" }
+    ];
+    function review(order) {
+        return runContractReview(workDir, {
+            input: "input",
+            output: "reviews",
+            recursive: "true",
+            overwrite: "true",
+            cache: "off",
+            intermediates: "delete",
+            obligations: "true"
+        }, {
+            "deepseek-contract-review": function (text) {
+                if (text.indexOf("List the obligations") !== 0) {
+                    return "## Review\nNothing unusual.";
+                }
+                return JSON.stringify({ effective_date: "", expiry_date: "", obligations: order.map(function (i) { return items[i]; }) });
+            }
+        });
+    }
+    function readUids() {
+        var merged = nodeFs.readFileSync(path.join(workDir, "reviews", "obligations.ics"), "utf8");
+        return merged.match(/^UID:.*$/gm).sort();
+    }
+
+    assert.strictEqual(review([0, 1, 2]).error, null);
+    var uids = readUids();
+    assert.strictEqual(uids.length, 6);
+    assert.strictEqual(new Set(uids).size, 6);
+    assert.ok(uids.some(function (uid) { return uid.indexOf("UID:north/lease.txt-") === 0; }));
+    assert.ok(uids.some(function (uid) { return uid.indexOf("UID:south/lease.txt-") === 0; }));
+
+    // A re-run that lists the same obligations in another order must update, not duplicate, the events
+    assert.strictEqual(review([2, 0, 1]).error, null);
+    assert.deepStrictEqual(readUids(), uids);
+});
+
+test("a merge after {index} shards finds every review for the portfolio", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "input", "cloud-hosting.txt"), "CLOUD HOSTING AGREEMENT\n");
+    var vars = {
+        input: "input",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        review_format: "json",
+        portfolio: "true",
+        name_template: "contract-{index}"
+    };
+    var responses = { "deepseek-contract-review": JSON_REVIEW };
+
+    vars.shard = "1/2";
+    assert.strictEqual(runContractReview(workDir, vars, responses).error, null);
+    vars.shard = "2/2";
+    var second = runContractReview(workDir, vars, responses);
+    assert.strictEqual(second.error, null);
+    assert.doesNotMatch(second.text, /Skipping \(file exists\)/);
+
+    delete vars.shard;
+    vars.merge = "true";
+    assert.strictEqual(runContractReview(workDir, vars, responses).error, null);
+    var csv = nodeFs.readFileSync(path.join(workDir, "reviews", "portfolio-summary.csv"), "utf8");
+    assert.match(csv, /^cloud-hosting\.txt,reviewed,.*,contract-1\.review\.txt$/m);
+    assert.match(csv, /^service-agreement\.txt,reviewed,.*,contract-2\.review\.txt$/m);
+});
+
+test("needs structured reviews for a portfolio summary", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runContractReview(workDir, { input: "input", output: "reviews", ocr: "surya_ocr", portfolio: "true" }, {});
+
+    assert.match(result.text, /portfolio needs review_format=json/);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "reviews")));
+});
+
+test("renders a standalone HTML report with issues sorted by severity", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        review_format: "json",
+        report_format: "html"
+    }, {
+        "deepseek-contract-review": JSON_REVIEW.replace("\"severity\": \"medium\"", "\"severity\": \"critical\"")
+    });
+
+    assert.strictEqual(result.error, null);
+    var html = nodeFs.readFileSync(path.join(workDir, "reviews", "service-agreement.review.html"), "utf8");
+    assert.doesNotMatch(html, /<(link|script|img)\b|https?:\/\//);
+    assert.ok(html.indexOf("Auto-renewal") < html.indexOf("Unlimited liability"));
+    golden.assertGolden("contract-review/report-html", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("renders a Markdown report from a free-text review", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        report_format: "md"
+    }, {
+        "deepseek-contract-review": "## Summary\nA short services agreement.\n\n## Risks\n- Payment within **30 days**\n- Termination on 60 days notice\n"
+    });
+
+    assert.strictEqual(result.error, null);
+    golden.assertGolden("contract-review/report-md", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("checks the contract against a playbook of house positions", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+    nodeFs.writeFileSync(path.join(workDir, "house-positions.txt"), [
+        "# Standard positions for supplier contracts",
+        "cap: Liability must be capped",
+        "  At most the fees of the last 12 months",
+        "- No automatic renewal",
+        "law: Governing law must be Dutch law", ""
+    ].join("\n"));
+
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        playbook: "house-positions.txt",
+        report_format: "md"
+    }, {
+        "deepseek-contract-review": function (text) {
+            if (text.indexOf("Check the contract text below") !== 0) {
+                return "## Summary\nA short services agreement.\n";
+            }
+            assert.match(text, /\[cap\] Liability must be capped \(At most the fees of the last 12 months\)\n\[P2\] No automatic renewal/);
+            return JSON.stringify({ checks: [
+                { id: "cap", result: "fail", evidence: "Clause 1: liability is unlimited", comment: "Ask for a cap" },
+                { id: "P2", result: "pass", evidence: "", comment: "No renewal clause" },
+                { id: "law", result: "unclear", evidence: "", comment: "Governing law is not stated" }
+            ] });
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /3 position\(s\): 1 pass, 1 fail, 1 unclear/);
+    golden.assertGolden("contract-review/playbook", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("stops before reviewing when the playbook cannot be read", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "house-positions.txt"), "- Liability must be capped\nGoverning law must be Dutch law\n");
+
+    var result = runContractReview(workDir, {
+        input: "input",
+        output: "reviews",
+        ocr: "surya_ocr",
+        playbook: "house-positions.txt"
+    }, {});
+
+    assert.match(result.text, /invalid playbook house-positions\.txt: line 2: expected "- position" or "id: position"/);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "reviews")));
+});
+
+test("redacts personal data before the LLM call and restores it in the saved review", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+    nodeFs.writeFileSync(path.join(workDir, "parties.json"), JSON.stringify({ rules: [{ name: "party", values: ["Acme Holding B.V."] }] }));
+
+    var seen = [];
+    var result = runContractReview(workDir, {
+        input: "input/service-agreement.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        redact: "pii,parties.json"
+    }, {
+        "deepseek-contract-review": function (text) {
+            seen.push(text);
+            return "## Review\n- Payments go to [IBAN_1] of [PARTY_1], questions to [EMAIL_1]\n- [PHONE_7] is not in the contract";
+        }
+    }, {
+        docToText: {
+            text: function (source, content) {
+                return content + "Contact: jane.doe@acme.example, phone +31 20 555 0142\n" +
+                    "Pay to IBAN NL91 ABNA 0417 1643 00 of Acme Holding B.V. (jane.doe@acme.example)\n";
+            }
+        }
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(seen.length, 1);
+    assert.doesNotMatch(seen[0], /jane\.doe|NL91|Acme Holding|555 0142/);
+    assert.match(seen[0], /Contact: \[EMAIL_1\], phone \[PHONE_1\]\nPay to IBAN \[IBAN_1\] of \[PARTY_1\] \(\[EMAIL_1\]\)/);
+    var review = nodeFs.readFileSync(path.join(workDir, "reviews", "service-agreement.review.txt"), "utf8");
+    assert.match(review, /Payments go to NL91 ABNA 0417 1643 00 of Acme Holding B\.V\., questions to jane\.doe@acme\.example/);
+    assert.match(review, /\[PHONE_7\] is not in the contract/);
+    golden.assertGolden("contract-review/redaction", golden.formatRun(result, workDir, ["reviews"]));
+});
+
+test("a rerun next to the contracts does not review the redacted text of the first run", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var reviewed = [];
+    function review() {
+        return runContractReview(workDir, {
+            input: "input",
+            ocr: "surya_ocr",
+            cache: "off",
+            redact: "pii"
+        }, {
+            "deepseek-contract-review": function (text) {
+                reviewed.push(text);
+                return "## Review\nNothing unusual.";
+            }
+        });
+    }
+
+    assert.strictEqual(review().error, null);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "input", "service-agreement.redacted.txt")));
+    assert.strictEqual(reviewed.length, 1);
+
+    var result = review();
+    assert.strictEqual(result.error, null);
+    assert.doesNotMatch(result.text, /redacted\.txt.*review/i);
+    assert.strictEqual(reviewed.length, 1);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "input", "service-agreement.redacted.review.txt")));
+});
+
+test("stops before reviewing when the redaction rules are invalid", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "ids.json"), JSON.stringify([{ name: "employee id", pattern: "EMP-(\\d+" }]));
+
+    var result = runContractReview(workDir, {
+        input: "input",
+        output: "reviews",
+        ocr: "surya_ocr",
+        redact: "pii,ids.json"
+    }, {});
+
+    assert.match(result.text, /invalid redaction rules ids\.json: rule 1 \(EMPLOYEE_ID\): invalid pattern/);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "reviews")));
+});
+
+test("compares two versions clause by clause and reviews only the changes", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "reviews"));
+    nodeFs.writeFileSync(path.join(workDir, "input", "agreement-v1.txt"), [
+        "SERVICE AGREEMENT", "",
+        "1. SERVICES", "The Supplier shall deliver the services described in Annex A.", "",
+        "2. PAYMENT", "Payment is due within 30 days of invoice.", "",
+        "3. AUDIT", "The Customer may audit the Supplier once a year.", "",
+        "4. TERMINATION", "Either party may terminate with 60 days notice.", ""
+    ].join("\n"));
+    nodeFs.writeFileSync(path.join(workDir, "input", "agreement-v2.txt"), [
+        "SERVICE AGREEMENT", "",
+        "1. SERVICES", "The Supplier shall deliver the services described in Annex A.", "",
+        "2. PAYMENT", "Payment is due within 60 days of invoice.", "",
+        "3. TERMINATION", "Either party may terminate with 60 days notice.", "",
+        "4. NON-COMPETE", "The Customer shall not hire Supplier staff for two years.", ""
+    ].join("\n"));
+
+    var reviewed = [];
+    var result = runContractReview(workDir, {
+        input: "input/agreement-v2.txt",
+        compare_with: "input/agreement-v1.txt",
+        output: "reviews",
+        ocr: "surya_ocr",
+        cache: "off",
+        review_format: "json"
+    }, {
+        "deepseek-contract-review": function (text) {
+            var ids = text.match(/^\[C\d+\]/gm) || [];
+            reviewed = ids;
+            return JSON.stringify({
+                changes: ids.map(function (id) {
+                    return { id: id.slice(1, -1), risk: id === "[C1]" ? "high" : "medium", impact: "Impact of " + id, recommendation: "" };
+                })
+            });
+        }
+    }, {
+        docToText: { text: function (source, content) { return content; } }
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.deepStrictEqual(reviewed, ["[C1]", "[C2]", "[C3]"]);
+    var report = JSON.parse(nodeFs.readFileSync(path.join(workDir, "reviews", "agreement-v2.changes.json"), "utf8"));
+    assert.deepStrictEqual(report.counts, { unchanged: 3, modified: 1, added: 1, removed: 1 });
+    golden.assertGolden("contract-review/compare", golden.formatRun(result, workDir, ["reviews"]));
+});
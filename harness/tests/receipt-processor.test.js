@@ -0,0 +1,228 @@
+// Receipt processor workflow on the offline host
+
+var test = require("node:test");
+var assert = require("assert");
+var nodeFs = require("fs");
+var path = require("path");
+var amoHost = require("../amo-host");
+var fakes = require("../fakes");
+var golden = require("../golden");
+
+var RECEIPT_DATA = {
+    "ACME Office Supplies": { vendor: "ACME Office Supplies", date_of_purchase: "2025-01-14", "type-code": "office", fields: { total: "24.95", currency: "EUR" } },
+    "Cafe Central": { vendor: "Cafe Central", date_of_purchase: "2025-01-20", "type-code": "meal", fields: { total: "18.50", currency: "EUR" } }
+};
+
+function answerReceipt(text) {
+    // The extracted text starts with "Text of <file>", the vendor is on the next line
+    var vendor = text.split("\n")[1];
+    return "```json\n" + JSON.stringify(RECEIPT_DATA[vendor]) + "\n```";
+}
+
+function runReceiptProcessor(workDir, vars, llmCaller) {
+    var host = amoHost.createHost({
+        cwd: workDir,
+        vars: vars,
+        fakes: {
+            "doc-to-text": fakes.docToText(),
+            "llm-caller": llmCaller || fakes.llmCaller({ "deepseek-ticket-extraction": answerReceipt }),
+            "sleep": fakes.sleep()
+        }
+    });
+    return host.run(golden.getWorkflowPath("receipt-processor"));
+}
+
+test("extracts every receipt and writes per-type summaries", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runReceiptProcessor(workDir, { input: "input", output: "out", cache: "off" });
+
+    assert.strictEqual(result.error, null);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "total", "receipts_meal.json")));
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "total", "receipts_office.json")));
+    golden.assertGolden("receipt-processor/batch", golden.formatRun(result, workDir, ["out"]));
+});
+
+test("rejects a misspelled --var name before processing", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runReceiptProcessor(workDir, { input: "input", output: "out", cache: "off", fromat: "csv" });
+
+    assert.match(result.text, /Unknown variable 'fromat' \(did you mean 'format'\?\)/);
+    assert.strictEqual(result.calls.length, 0);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "out")));
+});
+
+test("retries the LLM call after a transient failure", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var answer = fakes.llmCaller({ "deepseek-ticket-extraction": answerReceipt });
+    var flaky = fakes.sequence([
+        { stderr: "503 Service Unavailable", error: "exit status 1" },
+        answer
+    ]);
+    var llmCaller = function (args, options, context) {
+        // Help probes always answer, only the extraction call fails once
+        return (args[0] === "-h" ? answer : flaky)(args, options, context);
+    };
+    nodeFs.mkdirSync(path.join(workDir, "out"));
+    var result = runReceiptProcessor(workDir, { input: "input/cafe-2025-01-20.pdf", output: "out", cache: "off" }, llmCaller);
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /llm-caller failed \(.*\), retrying in 5s \[attempt 2\/3\]/);
+    var receipt = JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "cafe-2025-01-20.receipt.json"), "utf8"));
+    assert.strictEqual(receipt.vendor, "Cafe Central");
+});
+
+test("redacts card and contact details before the LLM call and restores them in the receipt", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var seen = "";
+    var llmCaller = fakes.llmCaller({
+        "deepseek-ticket-extraction": function (text) {
+            seen = text;
+            return JSON.stringify({ vendor: "Cafe Central", payment: { card: "[CARD_1]", email: "[EMAIL_1]" } });
+        }
+    });
+    var host = amoHost.createHost({
+        cwd: workDir,
+        vars: { input: "input/cafe-2025-01-20.pdf", output: "out", cache: "off", redact: "pii" },
+        fakes: {
+            "doc-to-text": fakes.docToText({
+                text: function (source, content) {
+                    return content + "VISA **** **** **** 4242\nReceipt sent to max.mustermann@example.com\n";
+                }
+            }),
+            "llm-caller": llmCaller
+        }
+    });
+    nodeFs.mkdirSync(path.join(workDir, "out"));
+    var result = host.run(golden.getWorkflowPath("receipt-processor"));
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Redacted 2 value\(s\) \(EMAIL 1, CARD 1\)/);
+    assert.match(seen, /VISA \[CARD_1\]\nReceipt sent to \[EMAIL_1\]/);
+    var receipt = JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "cafe-2025-01-20.receipt.json"), "utf8"));
+    assert.deepStrictEqual(receipt.payment, { card: "**** **** **** 4242", email: "max.mustermann@example.com" });
+});
+
+test("a recursive rerun does not process the redacted text in the MD5 folders", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var calls = 0;
+    var llmCaller = fakes.llmCaller({
+        "deepseek-ticket-extraction": function (text) {
+            calls++;
+            return answerReceipt(text);
+        }
+    });
+    var vars = { input: "input", recursive: "true", cache: "off", redact: "pii" };
+
+    assert.strictEqual(runReceiptProcessor(workDir, vars, llmCaller).error, null);
+    assert.strictEqual(calls, 2);
+    var md5Folders = nodeFs.readdirSync(path.join(workDir, "input")).filter(function (name) {
+        return /^[0-9a-f]{32}$/.test(name);
+    });
+    assert.ok(md5Folders.some(function (name) {
+        return nodeFs.readdirSync(path.join(workDir, "input", name)).some(function (file) { return /\.redacted\.txt$/.test(file); });
+    }));
+
+    var result = runReceiptProcessor(workDir, vars, llmCaller);
+    assert.strictEqual(result.error, null);
+    assert.doesNotMatch(result.text, /redacted\.txt/);
+    assert.strictEqual(calls, 2);
+});
+
+test("a name from receipt fields never replaces the receipt of an earlier run", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "out"));
+
+    runReceiptProcessor(workDir, { input: "input/acme-2025-01-14.pdf", output: "out", cache: "off", name_template: "{fields.currency}" });
+    var result = runReceiptProcessor(workDir, { input: "input/cafe-2025-01-20.pdf", output: "out", cache: "off", name_template: "{fields.currency}" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /EUR\.receipt\.json is used by another file, writing EUR-2\.receipt\.json/);
+    assert.match(result.text, /Named from receipt fields: EUR-2\.receipt\.json/);
+    var first = JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "EUR.receipt.json"), "utf8"));
+    var second = JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "EUR-2.receipt.json"), "utf8"));
+    assert.strictEqual(first.vendor, "ACME Office Supplies");
+    assert.strictEqual(second.vendor, "Cafe Central");
+});
+
+test("names from receipt fields stay with their receipts when a batch runs again", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    var vars = { input: "input", output: "out", cache: "off", name_template: "{fields.currency}", overwrite: "true" };
+
+    runReceiptProcessor(workDir, vars);
+    var result = runReceiptProcessor(workDir, vars);
+
+    assert.strictEqual(result.error, null);
+    assert.doesNotMatch(result.text, /EUR-3/);
+    var names = nodeFs.readdirSync(path.join(workDir, "out")).filter(function (name) { return /\.receipt\.json$/.test(name); });
+    assert.deepStrictEqual(names.sort(), ["EUR-2.receipt.json", "EUR.receipt.json"]);
+    assert.strictEqual(JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "EUR.receipt.json"), "utf8")).vendor, "ACME Office Supplies");
+    assert.strictEqual(JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "EUR-2.receipt.json"), "utf8")).vendor, "Cafe Central");
+});
+
+function listMd5Folders(dirPath) {
+    return nodeFs.readdirSync(dirPath).filter(function (name) { return /^[0-9a-f]{32}$/.test(name); });
+}
+
+test("{index} numbers the whole batch when it runs in shards", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "out"));
+    var vars = { input: "input", output: "out", cache: "off", name_template: "{index}" };
+
+    vars.shard = "1/2";
+    assert.strictEqual(runReceiptProcessor(workDir, vars).error, null);
+    vars.shard = "2/2";
+    var second = runReceiptProcessor(workDir, vars);
+    assert.strictEqual(second.error, null);
+    assert.doesNotMatch(second.text, /Skipping \(file exists\)/);
+
+    delete vars.shard;
+    vars.merge = "true";
+    assert.strictEqual(runReceiptProcessor(workDir, vars).error, null);
+    assert.strictEqual(JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "1.receipt.json"), "utf8")).vendor, "ACME Office Supplies");
+    assert.strictEqual(JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "2.receipt.json"), "utf8")).vendor, "Cafe Central");
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "total", "receipts_meal.json")));
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "total", "receipts_office.json")));
+});
+
+test("collects extracted text in .work/ or deletes it after success", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    runReceiptProcessor(workDir, { input: "input", output: "separate", cache: "off", intermediates: "separate" });
+    assert.strictEqual(listMd5Folders(path.join(workDir, "separate")).length, 0);
+    assert.strictEqual(listMd5Folders(path.join(workDir, "separate", ".work")).length, 2);
+
+    runReceiptProcessor(workDir, { input: "input", output: "deleted", cache: "off", intermediates: "delete" });
+    assert.strictEqual(listMd5Folders(path.join(workDir, "deleted")).length, 0);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "deleted", ".work")));
+    assert.ok(nodeFs.existsSync(path.join(workDir, "deleted", "acme-2025-01-14.receipt.json")));
+});
+
+test("clean=true removes only the intermediates of sources that are gone", function (t) {
+    var workDir = golden.createWorkspace("receipts");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    runReceiptProcessor(workDir, { input: "input", output: "out", cache: "off" });
+    assert.strictEqual(listMd5Folders(path.join(workDir, "out")).length, 2);
+    nodeFs.unlinkSync(path.join(workDir, "input", "acme-2025-01-14.pdf"));
+
+    var result = runReceiptProcessor(workDir, { input: "input", output: "out", cache: "off", clean: "true" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Removed 1 orphaned intermediate\(s\), 1 still in use/);
+    assert.match(result.text, /\(source no longer present\)/);
+    assert.strictEqual(listMd5Folders(path.join(workDir, "out")).length, 1);
+    assert.strictEqual(result.calls.filter(function (call) { return call.args[0] !== "-h"; }).length, 0);
+});
@@ -0,0 +1,376 @@
+// Text extraction workflow on the offline host
+
+var test = require("node:test");
+var assert = require("assert");
+var nodeFs = require("fs");
+var path = require("path");
+var amoHost = require("../amo-host");
+var fakes = require("../fakes");
+var golden = require("../golden");
+
+function runTextExtraction(workDir, vars, hostOptions) {
+    var options = hostOptions || {};
+    var settings = {
+        cwd: workDir,
+        vars: vars,
+        fakes: options.fakes || { "doc-to-text": fakes.docToText(), "sleep": fakes.sleep() },
+        allowedCommands: options.allowedCommands
+    };
+    if ("unsetVar" in options) {
+        settings.unsetVar = options.unsetVar;
+    }
+    var host = amoHost.createHost(settings);
+    return host.run(golden.getWorkflowPath("text-extraction"));
+}
+
+test("extracts a folder tree, mirroring sub-folders under the output", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runTextExtraction(workDir, {
+        input: "input",
+        output: "out",
+        recursive: "true",
+        ocr: "surya_ocr",
+        report: "out/report.json"
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "leases", "office-lease.txt")));
+    golden.assertGolden("text-extraction/batch-recursive", golden.formatRun(result, workDir, ["out"]));
+});
+
+test("a dry run writes nothing and calls no CLI", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runTextExtraction(workDir, { input: "input", output: "out", dry_run: "true", ocr: "surya_ocr" });
+
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.calls.length, 0);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "out")));
+    assert.match(result.text, /Would run: doc-to-text/);
+});
+
+test("stops when doc-to-text is not whitelisted", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runTextExtraction(workDir, { input: "input", output: "out" }, { allowedCommands: [] });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /doc-to-text command is blocked by security whitelist/);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "out", "service-agreement.txt")));
+});
+
+test("retries without a delay when sleep is not whitelisted", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var extract = fakes.docToText();
+    var flaky = fakes.sequence([{ stderr: "503 Service Unavailable", error: "exit status 1" }, extract]);
+    var docToText = function (args, options, context) {
+        return (args[0] === "-h" ? extract : flaky)(args, options, context);
+    };
+    var result = runTextExtraction(workDir, { input: "input/service-agreement.txt", output: "out.txt", ocr: "surya_ocr", retry_delay: "60" }, {
+        fakes: { "doc-to-text": docToText },
+        allowedCommands: ["doc-to-text"]
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /sleep command is blocked by security whitelist/);
+    assert.match(result.text, /Retrying without a delay between attempts/);
+    assert.match(result.text, /doc-to-text failed \(.*\), retrying in 0s \[attempt 2\/3\]/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out.txt")));
+    assert.strictEqual(result.calls.filter(function (call) { return call.command === "sleep"; }).length, 1);
+});
+
+function readJournal(workDir) {
+    return JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", ".text-extraction.journal.json"), "utf8"));
+}
+
+test("resume retries the file an interrupted run left pending and skips finished ones", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    var vars = { input: "input", output: "out", recursive: "true", ocr: "surya_ocr", cache: "off" };
+    runTextExtraction(workDir, vars);
+
+    // The run stopped while writing service-agreement.txt: its entry is still pending
+    var journal = readJournal(workDir);
+    journal.items["service-agreement.txt"].state = "pending";
+    nodeFs.writeFileSync(path.join(workDir, "out", ".text-extraction.journal.json"), JSON.stringify(journal));
+    nodeFs.writeFileSync(path.join(workDir, "out", "service-agreement.txt"), "Text of serv");
+
+    vars.resume = "true";
+    var result = runTextExtraction(workDir, vars);
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Skipping \(done in earlier run\): office-lease\.txt/);
+    assert.match(result.text, /service-agreement\.txt: pending → done \(unfinished\)/);
+    assert.strictEqual(result.calls.filter(function (call) { return call.args[0] !== "-h"; }).length, 1);
+    assert.match(nodeFs.readFileSync(path.join(workDir, "out", "service-agreement.txt"), "utf8"), /^Text of service-agreement\.txt\n/);
+    assert.strictEqual(readJournal(workDir).items["service-agreement.txt"].attempts, 2);
+});
+
+test("resume processes changed sources and missing outputs again", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    var vars = { input: "input", output: "out", recursive: "true", ocr: "surya_ocr", cache: "off" };
+    runTextExtraction(workDir, vars);
+
+    nodeFs.appendFileSync(path.join(workDir, "input", "leases", "office-lease.pdf"), "Amendment 1\n");
+    nodeFs.unlinkSync(path.join(workDir, "out", "service-agreement.txt"));
+
+    vars.resume = "true";
+    var result = runTextExtraction(workDir, vars);
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /leases\/office-lease\.pdf: done → done \(input changed\)/);
+    assert.match(result.text, /service-agreement\.txt: done → done \(output missing\)/);
+    assert.match(nodeFs.readFileSync(path.join(workDir, "out", "leases", "office-lease.txt"), "utf8"), /Amendment 1/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "service-agreement.txt")));
+});
+
+test("keeps no extraction cache unless asked to, and reuses cached text when asked", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    runTextExtraction(workDir, { input: "input/service-agreement.txt", output: "first.txt", ocr: "surya_ocr" });
+    assert.ok(nodeFs.existsSync(path.join(workDir, "first.txt")));
+    assert.ok(!nodeFs.existsSync(path.join(workDir, ".doc-to-text-cache")));
+
+    var stored = runTextExtraction(workDir, { input: "input/service-agreement.txt", output: "second.txt", ocr: "surya_ocr", cache: "write", cache_dir: "cache" });
+    assert.match(stored.text, /Extraction cache \(write\): 0 hits, 1 misses, 1 stored/);
+
+    var reused = runTextExtraction(workDir, { input: "input/service-agreement.txt", output: "third.txt", ocr: "surya_ocr", cache: "read", cache_dir: "cache" });
+    assert.match(reused.text, /Using cached text: .*cache\/[0-9a-f]{32}\/surya_ocr__auto\.txt/);
+    assert.strictEqual(reused.calls.filter(function (call) { return call.command === "doc-to-text" && call.args[0] !== "-h"; }).length, 0);
+    assert.strictEqual(nodeFs.readFileSync(path.join(workDir, "third.txt"), "utf8"), nodeFs.readFileSync(path.join(workDir, "second.txt"), "utf8"));
+});
+
+function writeConfig(workDir) {
+    nodeFs.writeFileSync(path.join(workDir, "amo.json"), JSON.stringify({
+        ocr: "llm-caller",
+        ocr_llm_template: "qwen-vl-ocr",
+        name_template: "{base}-config",
+        workflows: { "text-extraction": { verbose: true } },
+        profiles: { fast: { ocr: "surya_ocr", workflows: { "text-extraction": { name_template: "{base}-fast" } } } }
+    }));
+}
+
+test("--var wins over the profile, the profile over the config file", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    writeConfig(workDir);
+    nodeFs.mkdirSync(path.join(workDir, "out"));
+
+    var result = runTextExtraction(workDir, { input: "input/service-agreement.txt", output: "out", config: "amo.json", profile: "fast", verbose: "false" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Config file: amo\.json \(profile: fast\)/);
+    assert.match(result.text, /  name_template = \{base\}-fast \(profile: fast, workflows\.text-extraction\)/);
+    assert.match(result.text, /  ocr = surya_ocr \(profile: fast\)/);
+    assert.match(result.text, /  ocr_llm_template = qwen-vl-ocr \(config\)/);
+    assert.match(result.text, /  verbose = false \(--var, overrides true from config: workflows\.text-extraction\)/);
+    assert.match(result.text, /  output = out \(--var\)/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "service-agreement-fast.txt")));
+});
+
+test("an empty --var clears a config value where the host tells it from an unset one", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    writeConfig(workDir);
+    nodeFs.mkdirSync(path.join(workDir, "out"));
+    var vars = { input: "input/service-agreement.txt", output: "out", config: "amo.json", ocr: "surya_ocr", name_template: "" };
+
+    var result = runTextExtraction(workDir, vars, { unsetVar: undefined });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /  name_template = \{base\} \(--var, overrides \{base\}-config from config\)/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "service-agreement.txt")));
+
+    // Where unset variables read as "" too, the empty --var cannot be seen
+    result = runTextExtraction(workDir, vars);
+    assert.match(result.text, /  name_template = \{base\}-config \(config\)/);
+});
+
+test("reports misspelled --var names, also for a missing required variable", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    // Count the getVar() lookups through the host's variable table
+    var lookups = 0;
+    var vars = new Proxy({ inptu: "input", ovewrite: "true", recursiv: "true" }, {
+        getOwnPropertyDescriptor: function (target, key) {
+            lookups++;
+            return Object.getOwnPropertyDescriptor(target, key);
+        }
+    });
+    var result = runTextExtraction(workDir, vars);
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /input is required \('inptu' was given, did you mean 'input'\?\)/);
+    assert.doesNotMatch(result.text, /Unknown variable 'inptu'/);
+    assert.match(result.text, /Unknown variable 'ovewrite' \(did you mean 'overwrite'\?\)/);
+    assert.match(result.text, /Unknown variable 'recursiv' \(did you mean 'recursive'\?\)/);
+    assert.ok(lookups < 2000, "getVar() was called " + lookups + " times");
+
+    var help = runTextExtraction(workDir, { help: "true" });
+    assert.match(help.text, /only --var names with a letter dropped, doubled or swapped are reported as misspelled/);
+});
+
+test("reports unknown variables in the workflow's config section", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "amo.json"), JSON.stringify({ workflows: { "text-extraction": { overwite: true } } }));
+
+    var result = runTextExtraction(workDir, { input: "input", output: "out", config: "amo.json" });
+
+    assert.match(result.text, /Unknown variable 'overwite' in config: workflows\.text-extraction \(did you mean 'overwrite'\?\)/);
+    assert.strictEqual(result.calls.length, 0);
+});
+
+test("watch mode needs sleep to wait between polls", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runTextExtraction(workDir, { input: "input", output: "out", ocr: "surya_ocr", watch: "true" }, {
+        allowedCommands: ["doc-to-text"]
+    });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /sleep command is blocked by security whitelist/);
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "out")));
+});
+
+test("watch mode processes files that arrive and stops when idle", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    // The first pause is when a new scan lands in the hot folder
+    var pauses = 0;
+    var sleep = function (args) {
+        if (args[0] !== "-h" && ++pauses === 1) {
+            nodeFs.writeFileSync(path.join(workDir, "input", "scan.txt"), "Late scan\n");
+        }
+        return {};
+    };
+    var result = runTextExtraction(workDir, {
+        input: "input",
+        output: "out",
+        ocr: "surya_ocr",
+        watch: "true",
+        watch_idle_exit: "0.05",
+        move_processed: "true"
+    }, { fakes: { "doc-to-text": fakes.docToText(), "sleep": sleep } });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /📥 1 new file\(s\) ready/);
+    assert.match(result.text, /No new files for 0\.05s, stopping watch/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "scan.txt")));
+    assert.ok(nodeFs.existsSync(path.join(workDir, "input", "done", "scan.txt")));
+    assert.ok(nodeFs.existsSync(path.join(workDir, "input", "done", "service-agreement.txt")));
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "input", "scan.txt")));
+});
+
+test("two shards split a batch and merge=true combines their journals and reports", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    var vars = { input: "input", output: "out", recursive: "true", ocr: "surya_ocr", report: "out/report.json" };
+
+    vars.shard = "1/2";
+    var first = runTextExtraction(workDir, vars);
+    vars.shard = "2/2";
+    var second = runTextExtraction(workDir, vars);
+
+    assert.match(first.text, /Shard 1\/2: 1 of 2 file\(s\)/);
+    assert.match(second.text, /Shard 2\/2: 1 of 2 file\(s\)/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", ".text-extraction.shard-1-of-2.journal.json")));
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "report.shard-2-of-2.json")));
+    assert.deepStrictEqual(nodeFs.readdirSync(path.join(workDir, "out", ".text-extraction.locks")), []);
+
+    delete vars.shard;
+    vars.merge = "true";
+    var merged = runTextExtraction(workDir, vars);
+
+    assert.strictEqual(merged.error, null);
+    assert.match(merged.text, /Merged 2 shard journal\(s\) into \.text-extraction\.journal\.json/);
+    assert.match(merged.text, /✅ Done: 2/);
+    assert.match(merged.text, /Merged 2 shard report\(s\)/);
+    var outFiles = nodeFs.readdirSync(path.join(workDir, "out"));
+    assert.ok(outFiles.indexOf(".text-extraction.shard-1-of-2.journal.json") === -1);
+    assert.ok(outFiles.indexOf(".text-extraction.locks") === -1);
+    var journal = readJournal(workDir);
+    assert.deepStrictEqual(Object.keys(journal.items).sort(), ["leases/office-lease.pdf", "service-agreement.txt"]);
+    var report = JSON.parse(nodeFs.readFileSync(path.join(workDir, "out", "report.json"), "utf8"));
+    assert.strictEqual(report.totals.success, 2);
+});
+
+function writeLock(workDir, name, startedAt) {
+    var lockDir = path.join(workDir, "out", ".text-extraction.locks");
+    nodeFs.mkdirSync(lockDir, { recursive: true });
+    nodeFs.writeFileSync(path.join(lockDir, name), JSON.stringify({ owner: "shard-2-of-2-1-1", startedAt: startedAt }));
+}
+
+test("a shard skips files another shard holds and takes over stale locks", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    writeLock(workDir, "service-agreement.txt.lock", new Date().getTime());
+    writeLock(workDir, "leases__office-lease.pdf.lock", new Date().getTime() - 10 * 1000);
+
+    var result = runTextExtraction(workDir, { input: "input", output: "out", recursive: "true", ocr: "surya_ocr", shard: "1/1", lock_timeout: "5" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Skipping \(locked by another shard\): service-agreement\.txt/);
+    assert.match(result.text, /Taking over stale lock \(shard-2-of-2-1-1\): leases\/office-lease\.pdf/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "leases", "office-lease.txt")));
+    assert.ok(!nodeFs.existsSync(path.join(workDir, "out", "service-agreement.txt")));
+});
+
+test("files whose paths differ only in / and __ have separate locks", function (t) {
+    var workDir = golden.createWorkspace();
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.mkdirSync(path.join(workDir, "input", "a"), { recursive: true });
+    nodeFs.writeFileSync(path.join(workDir, "input", "a", "b.txt"), "In a folder\n");
+    nodeFs.writeFileSync(path.join(workDir, "input", "a__b.txt"), "Top level\n");
+    writeLock(workDir, "a__b.txt.lock", new Date().getTime());
+
+    var result = runTextExtraction(workDir, { input: "input", output: "out", recursive: "true", ocr: "surya_ocr", shard: "1/1" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Skipping \(locked by another shard\): b\.txt/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "a__b.txt")));
+});
+
+test("reads input entries from commas, glob patterns and @list files", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "input", "batch.txt"), "# contracts to extract\nservice-agreement.txt\n");
+
+    var result = runTextExtraction(workDir, { input: "@input/batch.txt,input/leases/*.pdf", output: "out", ocr: "surya_ocr" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Input entries: 2/);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "service-agreement.txt")));
+    assert.ok(nodeFs.existsSync(path.join(workDir, "out", "office-lease.txt")));
+
+    var missing = runTextExtraction(workDir, { input: "input/leases/*.docx,input/nothing.pdf", output: "out" });
+    assert.match(missing.text, /No files match: input\/leases\/\*\.docx/);
+    assert.match(missing.text, /Input path does not exist: input\/nothing\.pdf/);
+});
+
+test("gives sources that render to the same name numbered outputs", function (t) {
+    var workDir = golden.createWorkspace("documents");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "input", "service-agreement.pdf"), "Signed copy\n");
+
+    var result = runTextExtraction(workDir, { input: "input", output: "out", ocr: "surya_ocr", name_template: "{parent}_{base}" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /input_service-agreement\.txt is used by another file, writing input_service-agreement-2\.txt/);
+    assert.match(nodeFs.readFileSync(path.join(workDir, "out", "input_service-agreement.txt"), "utf8"), /Signed copy/);
+    assert.match(nodeFs.readFileSync(path.join(workDir, "out", "input_service-agreement-2.txt"), "utf8"), /^Text of service-agreement\.txt/);
+
+    var rejected = runTextExtraction(workDir, { input: "input", output: "out", name_template: "{bse}" });
+    assert.match(rejected.text, /Unknown placeholder \{bse\} in name_template \(did you mean \{base\}\?\)/);
+});
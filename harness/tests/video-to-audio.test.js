@@ -0,0 +1,53 @@
+// Video to audio workflow on the offline host
+
+var test = require("node:test");
+var assert = require("assert");
+var nodeFs = require("fs");
+var path = require("path");
+var amoHost = require("../amo-host");
+var fakes = require("../fakes");
+var golden = require("../golden");
+
+function runVideoToAudio(workDir, vars, fakeHandlers) {
+    var host = amoHost.createHost({
+        cwd: workDir,
+        vars: vars,
+        fakes: fakeHandlers || { "ffmpeg": fakes.ffmpeg(), "sleep": fakes.sleep() }
+    });
+    return host.run(golden.getWorkflowPath("video-to-audio"));
+}
+
+test("converts every video of the folder tree", function (t) {
+    var workDir = golden.createWorkspace("videos");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var result = runVideoToAudio(workDir, { input: "input", output: "audio", recursive: "true", format: "ogg" });
+
+    assert.strictEqual(result.error, null);
+    assert.ok(nodeFs.existsSync(path.join(workDir, "audio", "talks", "keynote.ogg")));
+    golden.assertGolden("video-to-audio/batch-recursive", golden.formatRun(result, workDir, ["audio"]));
+});
+
+test("skips videos whose audio already exists", function (t) {
+    var workDir = golden.createWorkspace("videos");
+    t.after(function () { golden.removeWorkspace(workDir); });
+    nodeFs.writeFileSync(path.join(workDir, "input", "meeting.mp3"), "existing audio");
+
+    var result = runVideoToAudio(workDir, { input: "input" });
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /Skipping \(file exists\): meeting\.mp3/);
+    assert.strictEqual(nodeFs.readFileSync(path.join(workDir, "input", "meeting.mp3"), "utf8"), "existing audio");
+});
+
+test("stops when ffmpeg is whitelisted but not installed", function (t) {
+    var workDir = golden.createWorkspace("videos");
+    t.after(function () { golden.removeWorkspace(workDir); });
+
+    var host = amoHost.createHost({ cwd: workDir, vars: { input: "input" }, fakes: {}, allowedCommands: ["ffmpeg"] });
+    var result = host.run(golden.getWorkflowPath("video-to-audio"));
+
+    assert.strictEqual(result.error, null);
+    assert.match(result.text, /FFmpeg not found or not working properly/);
+    assert.strictEqual(result.calls.length, 1);
+});
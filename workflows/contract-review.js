@@ -1,19 +1,150 @@
 //!amo
 
 // Contract Review Workflow - Extract text from documents and analyze with LLM
-// Supports: single file, multiple files, or directory batch processing (top level files only)
+// Supports: single file, multiple files, or directory batch processing (top level files only,
+// or the whole folder tree with recursive=true, mirroring sub-folders under the output directory),
+// and hot folders with watch=true (new files are processed as they arrive). Large batches can be
+// split across side-by-side runs with shard=k/N and combined afterwards with merge=true.
+// Contracts longer than chunk_size are reviewed section by section and the findings merged.
+// Several contract_llm_template values (a,b,c) review with every model and merge the findings,
+// noting which models agreed; the raw model reviews are kept in <name>.models/ for audit.
+// review_format=json saves a checked, structured review (<name>.review.json) next to a readable one,
+// and report_format=md|html adds a standalone report for reading in a browser and printing
+// compare_with=<older file> reviews only the clauses that changed since that version (<name>.changes.txt)
+// portfolio=true adds portfolio-summary.csv and .json for a batch: one row per contract with its risk score
+// Quoted passages are looked up in the extracted text and marked verified, approximate or not found.
+// obligations=true extracts dated obligations into <name>.obligations.csv and .ics, batches also get obligations.ics
+// playbook=<file> checks every contract against our house positions: pass, fail or unclear per position
+// redact=pii,secrets replaces e-mail addresses, IBANs, phone and card numbers, keys and (with a rules file)
+// party names with placeholders before any LLM call, and puts the original values back in the saved review
 // Document types: pdf, docx, doc, txt, and images
 
+// Runtime variables: parsed and validated by readVariables(), listed by help=true
+var WORKFLOW_DESCRIPTION = "Extract text from contracts and review them with an LLM";
+var WORKFLOW_USAGE = "--var input=/path/to/document --var output=/path/to/output";
+var VARIABLES = [
+    { name: "help", type: "boolean", default: false, description: "Show this help message" },
+    { name: "input", type: "path", required: true, default: "", description: "Input files or folders, separated by commas or newlines; glob patterns and @list.txt files (one path per line) are expanded" },
+    { name: "output", type: "path", default: "", defaultLabel: "same folder as input", description: "Output file or directory path" },
+    { name: "ocr", type: "enum", values: ["llm-caller", "surya_ocr", "interactive"], default: "interactive", description: "OCR tool" },
+    { name: "ocr_llm_template", type: "string", default: "", description: "LLM template for OCR (required when ocr=llm-caller)" },
+    { name: "contract_llm_template", type: "string", default: "deepseek-contract-review", description: "LLM template for contract analysis, or a comma-separated list to review with several models and merge their findings" },
+    { name: "chunk_size", type: "integer", min: 0, default: 40000, description: "Review contracts longer than this many characters section by section, then merge the findings (0 = one call for the whole text)" },
+    { name: "verify_quotes", type: "boolean", default: true, description: "Look up every passage a review quotes in the extracted text and mark it verified, approximate or not found" },
+    { name: "obligations", type: "boolean", default: false, description: "Also extract dated obligations (who, what, when, notice period) into <name>.obligations.csv and .ics, and a merged obligations.ics for a batch" },
+    { name: "playbook", type: "path", default: "", description: "Playbook of house positions (JSON, or one '- position' or 'id: position' per line) to check every contract against, adds a pass/fail/unclear checklist" },
+    { name: "redact", type: "list", description: "Replace sensitive values with placeholders such as [EMAIL_1] before any LLM call and restore them in the saved review: built-in rule sets pii and secrets, or JSON rule files, separated by commas" },
+    { name: "compare_with", type: "path", default: "", description: "Older version of the contract: review only the clauses that changed and write <name>.changes.txt with their risk impact" },
+    { name: "review_format", type: "enum", values: ["text", "json"], default: "text", description: "text saves the review as llm-caller writes it, json asks for parties, term, governing law and issues, checks them and saves <name>.review.json plus a readable <name>.review.txt" },
+    { name: "report_format", type: "enum", values: ["none", "md", "html"], default: "none", description: "Also write a standalone Markdown or HTML report (<name>.review.md or .html) with details, a severity-sorted issue table and the full analysis" },
+    { name: "consolidate_llm_template", type: "string", default: "", defaultLabel: "contract_llm_template", description: "LLM template that merges the chunk reviews of a long contract, or the reviews of several models, into one review" },
+    { name: "llm_text_handoff", type: "enum", values: ["auto", "file", "argv"], default: "auto", description: "How extracted text reaches llm-caller: file passes the path of the text file, argv the text itself, auto uses a file when llm-caller supports it" },
+    { name: "content_type", type: "enum", values: ["text", "image"], default: "", defaultLabel: "image", description: "Content type passed to doc-to-text" },
+    { name: "verbose", type: "boolean", default: false, description: "Enable verbose output" },
+    { name: "overwrite", type: "boolean", default: false, description: "Overwrite existing files" },
+    { name: "recursive", type: "boolean", default: false, description: "Process sub-folders too, mirroring them under output" },
+    { name: "include", type: "list", description: "Comma-separated glob patterns of files to process (e.g. *.pdf,2024/**)" },
+    { name: "exclude", type: "list", description: "Comma-separated glob patterns of files or folders to skip" },
+    { name: "max_depth", type: "integer", min: 0, default: 0, defaultLabel: "unlimited", description: "Folder depth limit for recursive mode (1 = top level only)" },
+    { name: "resume", type: "boolean", default: false, description: "Resume a batch from its run journal, retrying only failed or unfinished files" },
+    { name: "dry_run", type: "boolean", default: false, description: "Show files, output paths and commands without running or writing anything" },
+    { name: "portfolio", type: "boolean", default: false, description: "Batch: also write portfolio-summary.csv and .json with one row per contract (parties, dates, renewal, governing law, risk score, top issues), needs review_format=json" },
+    { name: "report", type: "path", default: "", description: "Path of a JSON run report with per-file status, commands and timings" },
+    { name: "retries", type: "integer", min: 0, default: 2, description: "Retries for transient CLI failures such as timeouts, rate limits and 5xx errors (0 = off)" },
+    { name: "retry_delay", type: "number", min: 0, default: 5, description: "Initial retry delay in seconds, doubled on every attempt (needs sleep in the allowed commands, otherwise retries follow at once)" },
+    { name: "cache", type: "enum", values: ["off", "read", "write", "refresh"], default: "off", description: "Extraction cache mode - read reuses cached text, write also stores new text in cache_dir, refresh extracts again and stores" },
+    { name: "cache_dir", type: "path", default: "", defaultLabel: ".doc-to-text-cache in the current folder", description: "Extraction cache directory shared between workflows, it keeps a copy of every extracted text" },
+    { name: "intermediates", type: "enum", values: ["keep", "separate", "delete"], default: "keep", description: "Extracted text files: keep them next to the output, collect them in a .work/ folder, or delete them after success" },
+    { name: "clean", type: "boolean", default: false, description: "Only remove orphaned intermediates left by earlier runs, then exit" },
+    { name: "name_template", type: "string", default: "{base}", description: "Output file name without extension, placeholders: {base}, {ext}, {date}, {md5_8}, {index}, {parent}" },
+    { name: "watch", type: "boolean", default: false, description: "Keep watching the input folders and process new files as they arrive (needs sleep in the allowed commands)" },
+    { name: "watch_interval", type: "number", min: 1, default: 10, description: "Seconds between two polls of the watched folders, a new file must keep its size for one interval" },
+    { name: "watch_idle_exit", type: "number", min: 0, default: 0, defaultLabel: "never", description: "Stop watching after this many seconds without new files" },
+    { name: "move_processed", type: "boolean", default: false, description: "In watch mode, move processed sources to done/ or failed/ inside the input folder" },
+    { name: "shard", type: "string", default: "", description: "Process only part k of N of the batch, e.g. 2/4, to run N copies side by side" },
+    { name: "lock_timeout", type: "number", min: 1, default: 3600, description: "Seconds after which the lock a shard holds on a file counts as stale" },
+    { name: "merge", type: "boolean", default: false, description: "Combine the journals and reports of shard=k/N runs, then exit" },
+    { name: "config", type: "path", default: "", defaultLabel: ".amo-workflow.json next to the input", description: "JSON config file with default values, overridden by --var" },
+    { name: "profile", type: "string", default: "", description: "Named profile from the config file, e.g. fast-ocr" }
+];
+
 function main() {
-    // Get runtime variables
-    var inputPath = getVar("input") || "";
-    var outputPath = getVar("output") || "";
-    var ocrTool = getVar("ocr") || "interactive"; // OCR tool: llm-caller, surya_ocr, or interactive
-    var ocrLlmTemplate = getVar("ocr_llm_template") || ""; // LLM template for llm-caller OCR
-    var contractLlmTemplate = getVar("contract_llm_template") || "deepseek-contract-review"; // LLM template for contract analysis
-    var contentType = getVar("content_type") || ""; // Content type: text or image
-    var overwrite = getVar("overwrite") === "true";
-    var verbose = getVar("verbose") === "true";
+    // Merge settings from config=<file.json> or a .amo-workflow.json next to the input
+    if (!loadWorkflowConfig("contract-review")) {
+        return false;
+    }
+
+    // Get runtime variables (see VARIABLES)
+    var options = readVariables(VARIABLES);
+    if (options.values.help) {
+        printVariableHelp(WORKFLOW_DESCRIPTION, WORKFLOW_USAGE, VARIABLES);
+        return false;
+    }
+    if (options.errors.length > 0) {
+        printVariableErrors(options.errors);
+        return false;
+    }
+    var inputPath = options.values.input;
+    var outputPath = options.values.output;
+    var ocrTool = options.values.ocr; // OCR tool: llm-caller, surya_ocr, or interactive
+    var ocrLlmTemplate = options.values.ocr_llm_template; // LLM template for llm-caller OCR
+    var contractLlmTemplates = parseTemplateList(options.values.contract_llm_template); // Several = ensemble review
+    if (contractLlmTemplates.error) {
+        console.error("❌ Error: contract_llm_template=" + options.values.contract_llm_template + ": " + contractLlmTemplates.error);
+        return false;
+    }
+    var contractLlmTemplate = contractLlmTemplates.templates[0]; // LLM template for contract analysis, the first model of an ensemble
+    var chunkSize = options.values.chunk_size; // Longer texts are reviewed in chunks, 0 = never
+    var consolidateLlmTemplate = options.values.consolidate_llm_template || contractLlmTemplate;
+    var reviewFormat = options.values.review_format; // text, or json with a readable rendering
+    var reportFormat = options.values.report_format; // Extra md or html report for reading and printing
+    var compareWith = options.values.compare_with; // Previous version: change report instead of a review
+    var playbookPath = options.values.playbook; // House positions checked as pass, fail or unclear
+    var portfolio = options.values.portfolio; // Batch summary with one row per contract
+    var verifyQuotes = options.values.verify_quotes; // Look up quoted passages in the extracted text
+    var obligations = options.values.obligations; // Deadlines and duties as CSV and calendar files
+    var redactEntries = options.values.redact; // Rule sets and rule files, empty = the LLM reads the text as extracted
+    var contentType = options.values.content_type; // Content type: text or image
+    var overwrite = options.values.overwrite;
+    var verbose = options.values.verbose;
+    var recursive = options.values.recursive; // Descend into sub-folders in batch mode
+    var includePatterns = options.values.include; // Glob patterns, e.g. "*.pdf,2024/**"
+    var excludePatterns = options.values.exclude;
+    var maxDepth = options.values.max_depth;
+    var resume = options.values.resume; // Retry only failed or unfinished files from the run journal
+    var dryRun = options.values.dry_run; // Plan only: no directories, CLI calls or file writes
+    var reportPath = options.values.report; // Write a machine-readable JSON run report to this path
+    var retries = options.values.retries;
+    var retryDelay = options.values.retry_delay;
+    var nameTemplate = options.values.name_template; // Output file name, e.g. "{date}_{base}"
+    var cacheMode = options.values.cache; // Extraction cache: off, read, write or refresh
+    var cacheDir = options.values.cache_dir || getDefaultCacheDir(); // Shared with the other document workflows
+    var llmTextMode = options.values.llm_text_handoff; // Text to llm-caller as a file or on the command line
+    var watch = options.values.watch; // Hot folder: keep polling input for new files
+    var watchInterval = options.values.watch_interval;
+    var watchIdleExit = options.values.watch_idle_exit;
+    var moveProcessed = options.values.move_processed; // Watch mode: move sources to done/ or failed/
+    var lockTimeout = options.values.lock_timeout;
+    var merge = options.values.merge; // Combine the results of shard=k/N runs, then exit
+
+    // shard=k/N: this invocation only processes its share of the batch
+    var shard = null;
+    if (options.values.shard) {
+        shard = parseShard(options.values.shard);
+        if (shard.error) {
+            console.error("❌ Error:", shard.error);
+            return false;
+        }
+        if (watch || merge) {
+            console.error("❌ Error: shard cannot be combined with " + (watch ? "watch" : "merge"));
+            return false;
+        }
+        if (reportPath) {
+            reportPath = getShardPath(reportPath, shard.label);
+        }
+    }
+    var intermediates = options.values.intermediates; // keep, separate (.work/) or delete after success
+    var clean = options.values.clean; // Remove orphaned intermediates, then exit
 
     console.log("📄➡️🤖 Contract Review Workflow");
     console.log("==================================");
@@ -23,25 +154,66 @@ function main() {
     if (ocrTool === "llm-caller" && ocrLlmTemplate) {
         console.log("OCR LLM Template:", ocrLlmTemplate);
     }
-    console.log("Contract LLM Template:", contractLlmTemplate);
+    console.log("Contract LLM Template:", contractLlmTemplates.templates.join(", ") +
+        (contractLlmTemplates.templates.length > 1 ? " (ensemble, merged with " + consolidateLlmTemplate + ")" : ""));
+    console.log("Review format:", reviewFormat + (reportFormat !== "none" ? " (report: " + reportFormat + ")" : ""));
+    if (compareWith) {
+        console.log("Compare with:", compareWith);
+    }
+    if (playbookPath) {
+        console.log("Playbook:", playbookPath);
+    }
+    if (obligations) {
+        console.log("Obligations: CSV and calendar (.ics) per contract");
+    }
+    console.log("Verify quotes:", verifyQuotes ? "Yes" : "No");
+    console.log("Redaction:", redactEntries.length > 0 ? redactEntries.join(", ") : "Off");
+    console.log("Chunked review:", chunkSize > 0 ? "Above " + chunkSize + " characters, merged with " + consolidateLlmTemplate : "Off");
     console.log("Content Type:", contentType);
     console.log("Verbose:", verbose ? "Yes" : "No");
     console.log("Overwrite existing:", overwrite ? "Yes" : "No");
+    console.log("Recursive:", recursive ? "Yes (max depth: " + (maxDepth || "unlimited") + ")" : "No");
+    if (includePatterns.length > 0) {
+        console.log("Include:", includePatterns.join(", "));
+    }
+    if (excludePatterns.length > 0) {
+        console.log("Exclude:", excludePatterns.join(", "));
+    }
+    console.log("Resume from journal:", resume ? "Yes" : "No");
+    console.log("Dry run:", dryRun ? "Yes" : "No");
+    if (reportPath) {
+        console.log("Run report:", reportPath);
+    }
+    console.log("Name template:", nameTemplate);
+    console.log("Retries:", retries > 0 ? retries + " (backoff from " + retryDelay + "s)" : "Off");
+    retryPolicy = { retries: Math.max(retries, 0), delaySeconds: Math.max(retryDelay, 0) };
+    console.log("Extraction cache:", cacheMode === "off" ? "Off" : cacheMode + " (" + cacheDir + ")");
+    console.log("LLM text handoff:", llmTextMode);
+    console.log("Watch:", watch ? "Every " + watchInterval + "s" + (moveProcessed ? ", moving sources to done/ and failed/" : "") : "No");
+    if (shard || merge) {
+        console.log("Sharding:", merge ? "Merge shard results" : "Shard " + shard.index + " of " + shard.count);
+    }
+    console.log("Intermediates:", intermediates + (clean ? " (clean up orphaned intermediates only)" : ""));
+    printEffectiveConfig(VARIABLES, options.values);
     console.log("");
 
-    // Validate required parameters
-    if (!inputPath) {
-        console.error("❌ Error: Input path is required");
-        console.log("Usage: --var input=/path/to/document --var output=/path/to/output");
-        console.log("Supported variables:");
-        console.log("  input: Input file or directory path");
-        console.log("  output: Output file or directory path");
-        console.log("  ocr: OCR tool (llm-caller, surya_ocr, interactive)");
-        console.log("  ocr_llm_template: LLM template for OCR (required when ocr=llm-caller)");
-        console.log("  contract_llm_template: LLM template for contract analysis (default: deepseek-contract-review)");
-        console.log("  content_type: Content type (text, image, default: image)");
-        console.log("  verbose: Enable verbose output (true/false)");
-        console.log("  overwrite: Overwrite existing files (true/false)");
+    if (!configureExtractionCache(cacheMode, cacheDir)) {
+        return false;
+    }
+    configureLlmTextHandoff(llmTextMode);
+    configureChunkedReview(chunkSize, consolidateLlmTemplate);
+    configureEnsembleReview(contractLlmTemplates.templates, consolidateLlmTemplate);
+    configureQuoteVerification(verifyQuotes);
+    if (!configureRedaction(redactEntries)) {
+        return false;
+    }
+    if (portfolio && reviewFormat !== "json") {
+        console.error("❌ Error: portfolio needs review_format=json, the summary is read from the structured reviews");
+        return false;
+    }
+    configureReviewFormat(reviewFormat, reportFormat);
+
+    if (!configureOutputNaming(nameTemplate, false)) {
         return false;
     }
 
@@ -52,37 +224,38 @@ function main() {
         return false;
     }
 
-    // Check if input path exists
-    if (!fs.exists(inputPath)) {
-        console.error("❌ Error: Input path does not exist:", inputPath);
+    // Resolve the input entries: files, folders, glob patterns and @list files
+    var inputList = resolveInputList(inputPath);
+    if (inputList.errors.length > 0) {
+        for (var e = 0; e < inputList.errors.length; e++) {
+            console.error("❌ Error: " + inputList.errors[e]);
+        }
         return false;
     }
+    console.log("📥 Input entries:", inputList.paths.length);
 
-    // Determine if this is batch processing
-    var isBatchProcessing = fs.isDir(inputPath);
-    console.log("📊 Processing mode:", isBatchProcessing ? "Batch (directory - top level files only)" : "Single file");
-
-    // Validate output path based on processing mode
-    if (outputPath) {
-        var outputValidation = validateOutputPath(outputPath, isBatchProcessing);
-        if (!outputValidation.valid) {
-            console.error("❌ Error:", outputValidation.error);
+    // Check if required CLI tools are available (a dry run does not call any CLI)
+    if (dryRun) {
+        console.log("🧪 Dry run: skipping CLI tool checks");
+    } else {
+        console.log("🔍 Checking required CLI tools...");
+        if (!checkCliTool("doc-to-text")) {
             return false;
         }
-        outputPath = outputValidation.path;
-        console.log("✅ Output path validated:", outputPath);
-    }
-    console.log("");
-
-    // Check if required CLI tools are available
-    console.log("🔍 Checking required CLI tools...");
-    if (!checkCliTool("doc-to-text")) {
-        return false;
-    }
-    if (!checkCliTool("llm-caller")) {
-        return false;
+        if (!checkCliTool("llm-caller")) {
+            return false;
+        }
+        // Watch mode waits between polls with the sleep command, there is no other way to wait
+        if (watch && !checkCliTool("sleep")) {
+            return false;
+        }
+        // Retries wait with the sleep command, without it they follow each other at once
+        if (retries > 0 && !watch && !checkCliTool("sleep")) {
+            console.warn("⚠️  Retrying without a delay between attempts");
+            retryPolicy.delaySeconds = 0;
+        }
+        console.log("✅ All required CLI tools are available");
     }
-    console.log("✅ All required CLI tools are available");
     console.log("");
 
     // Supported document extensions
@@ -92,58 +265,384 @@ function main() {
     ];
 
     // Get list of document files to process
-    var documentFiles = getDocumentFiles(inputPath, documentExtensions);
+    var scanOptions = {
+        recursive: recursive,
+        maxDepth: maxDepth,
+        include: includePatterns,
+        exclude: excludePatterns
+    };
+    if (watch && moveProcessed) {
+        scanOptions.exclude = scanOptions.exclude.concat(getWatchExcludePatterns());
+    }
+    var findInputFiles = function (entry) {
+        return getDocumentFiles(entry, documentExtensions, scanOptions);
+    };
+    var inputFiles = collectInputFiles(inputList.paths, findInputFiles);
+    var documentFiles = inputFiles.files;
+
+    // Watch mode polls the input folders once the files already there are done
+    var watcher = null;
+    if (watch && dryRun) {
+        console.log("ℹ️  Dry run: not watching, showing the files present now");
+    } else if (watch) {
+        for (var w = 0; w < inputList.paths.length; w++) {
+            if (!fs.isDir(inputList.paths[w])) {
+                console.error("❌ Error: watch=true needs input folders, not a file:", inputList.paths[w]);
+                return false;
+            }
+        }
+        watcher = createWatcher(inputList.paths, inputFiles, findInputFiles, {
+            interval: watchInterval,
+            idleExit: watchIdleExit,
+            moveProcessed: moveProcessed
+        });
+    }
 
-    if (documentFiles.length === 0) {
+    if (documentFiles.length === 0 && !watcher) {
         console.error("❌ No supported document files found in:", inputPath);
         console.log("Supported formats:", documentExtensions.join(", "));
         return false;
     }
 
+    // A folder, or more than one file, means batch processing into an output directory
+    var isBatchProcessing = documentFiles.length > 1 || fs.isDir(inputList.paths[0]);
+    var inputRoot = getCommonDirectory(inputList.paths);
+    configureObligations(obligations, inputRoot);
+    var batchModeLabel = recursive ? "Batch (directory - recursive)" : "Batch (directory - top level files only)";
+    if (inputList.paths.length > 1) {
+        batchModeLabel = "Batch (" + inputList.paths.length + " input entries" + (recursive ? ", recursive" : "") + ")";
+    }
+    console.log("📊 Processing mode:", isBatchProcessing ? batchModeLabel : "Single file");
+    if ((shard || merge) && !isBatchProcessing) {
+        console.error("❌ Error: " + (merge ? "merge" : "shard") + " needs a batch (a folder or several files)");
+        return false;
+    }
+    if (portfolio && !isBatchProcessing) {
+        console.log("ℹ️  portfolio applies to batches, a single file has no portfolio summary");
+        portfolio = false;
+    }
+    if (compareWith) {
+        if (isBatchProcessing) {
+            console.error("❌ Error: compare_with needs a single input file, the new version of the contract");
+            return false;
+        }
+        if (!fs.isFile(compareWith)) {
+            console.error("❌ Error: compare_with file not found:", compareWith);
+            return false;
+        }
+        var compareAbsResult = fs.abs(compareWith);
+        compareWith = compareAbsResult.error ? compareWith : compareAbsResult.path;
+        if (playbookPath) {
+            console.log("ℹ️  playbook applies to reviews, compare mode only rates the changes");
+        }
+        if (contractLlmTemplates.templates.length > 1) {
+            console.log("ℹ️  compare mode rates the changes with the first template only: " + contractLlmTemplate);
+        }
+        if (obligations) {
+            console.log("ℹ️  obligations applies to reviews, compare mode only rates the changes");
+            obligations = false;
+            configureObligations(false, inputRoot);
+        }
+        if (reportFormat !== "none") {
+            console.log("ℹ️  report_format applies to reviews, compare mode writes a change report");
+            reportFormat = "none";
+            configureReviewFormat(reviewFormat, reportFormat);
+        }
+    } else if (playbookPath && !configurePlaybook(playbookPath)) {
+        return false;
+    }
+    numberOutputNames(documentFiles);
+    if (shard) {
+        var shardFiles = selectShardFiles(documentFiles, shard, inputRoot);
+        console.log("🧩 Shard " + shard.index + "/" + shard.count + ": " + shardFiles.length + " of " + documentFiles.length + " file(s)");
+        documentFiles = inputFiles.files = shardFiles;
+    }
+
+    // Validate output path based on processing mode
+    if (outputPath) {
+        var outputValidation = validateOutputPath(outputPath, isBatchProcessing, dryRun);
+        if (!outputValidation.valid) {
+            console.error("❌ Error:", outputValidation.error);
+            return false;
+        }
+        outputPath = outputValidation.path;
+        console.log("✅ Output path validated:", outputPath);
+    }
+    console.log("");
+
     console.log("📁 Found", documentFiles.length, "document file(s) to process:");
     for (var i = 0; i < documentFiles.length; i++) {
-        console.log("  " + (i + 1) + ". " + fs.filename(documentFiles[i]));
+        console.log("  " + (i + 1) + ". " + (isBatchProcessing ? getRelativePath(inputRoot, documentFiles[i]) : fs.filename(documentFiles[i])));
     }
     console.log("");
 
+    // Intermediates belong to the output directory (or the folder of a single output file)
+    configureIntermediates(intermediates, isBatchProcessing ? outputPath || inputRoot : fs.dirname(determineReviewOutputPath(documentFiles[0], renderOutputName(documentFiles[0]), outputPath, false, "")));
+
+    // clean=true only removes intermediates of sources that are gone (and, unless
+    // intermediates=keep, those of items whose output is complete), then exits
+    if (clean) {
+        var expectedIntermediates = {};
+        for (var c = 0; c < documentFiles.length; c++) {
+            var cleanRelativeDir = isBatchProcessing ? getInputSubdir(inputFiles, documentFiles[c]) : "";
+            var cleanOutputFile = determineReviewOutputPath(documentFiles[c], renderOutputName(documentFiles[c]), outputPath, isBatchProcessing, cleanRelativeDir);
+            var keptTextFile = getExtractedTextPath(documentFiles[c], cleanOutputFile, "keep");
+            var separateTextFile = getExtractedTextPath(documentFiles[c], cleanOutputFile, "separate");
+            expectedIntermediates[keptTextFile] = cleanOutputFile;
+            expectedIntermediates[separateTextFile] = cleanOutputFile;
+            expectedIntermediates[getChunksDir(keptTextFile)] = cleanOutputFile;
+            expectedIntermediates[getChunksDir(separateTextFile)] = cleanOutputFile;
+            expectedIntermediates[getReviewRequestPath(keptTextFile)] = cleanOutputFile;
+            expectedIntermediates[getReviewRequestPath(separateTextFile)] = cleanOutputFile;
+            expectedIntermediates[getReviewRequestPath(keptTextFile, "playbook")] = cleanOutputFile;
+            expectedIntermediates[getReviewRequestPath(separateTextFile, "playbook")] = cleanOutputFile;
+            expectedIntermediates[getReviewRequestPath(keptTextFile, "obligations")] = cleanOutputFile;
+            expectedIntermediates[getReviewRequestPath(separateTextFile, "obligations")] = cleanOutputFile;
+            expectedIntermediates[getCompareDir(keptTextFile)] = cleanOutputFile;
+            expectedIntermediates[getCompareDir(separateTextFile)] = cleanOutputFile;
+            expectedIntermediates[getRedactedTextPath(keptTextFile)] = cleanOutputFile;
+            expectedIntermediates[getRedactedTextPath(separateTextFile)] = cleanOutputFile;
+            expectedIntermediates[getRedactionMapPath(keptTextFile)] = cleanOutputFile;
+            expectedIntermediates[getRedactionMapPath(separateTextFile)] = cleanOutputFile;
+        }
+        cleanIntermediates(function (fileInfo) {
+            return fileInfo.is_dir ? /\.(chunks|compare)$/.test(fileInfo.name) : /\.(extracted|redacted|request)\.txt$|\.redaction\.json$/.test(fileInfo.name);
+        }, expectedIntermediates, dryRun);
+        return true;
+    }
+
+    // Open the run journal in the output directory so interrupted batches can be resumed
+    var journal = null;
+    if (isBatchProcessing) {
+        journal = openJournal(outputPath || inputRoot, "contract-review", inputPath, shard ? shard.label : "");
+        rememberJournalOutputs(journal, inputRoot);
+        console.log("📒 Run journal:", journal.path);
+        console.log("");
+    } else if (resume) {
+        console.log("ℹ️  resume applies to batch processing only, ignoring it for a single file");
+        console.log("");
+    }
+
+    // merge=true only combines the results of earlier shard=k/N runs
+    if (merge) {
+        if (dryRun) {
+            console.log("🧪 Dry run: would merge the shard journals" + (reportPath ? " and reports" : "") + " in " + fs.dirname(journal.path));
+            return true;
+        }
+        mergeShardResults(journal, documentFiles, inputRoot);
+        if (reportPath) {
+            console.log("");
+            mergeShardReports(reportPath);
+        }
+        if (portfolio) {
+            console.log("");
+            writePortfolioSummary(getBatchReviewItems(documentFiles, inputFiles, outputPath), outputPath || inputRoot, inputRoot);
+        }
+        if (obligations) {
+            console.log("");
+            writeMergedCalendar(getBatchReviewItems(documentFiles, inputFiles, outputPath), outputPath || inputRoot);
+        }
+        return true;
+    }
+    // Shards lock the file they work on, in case their lists overlap (e.g. after changing N)
+    var itemLocks = shard && !dryRun ? openItemLocks(outputPath || inputRoot, "contract-review", shard, lockTimeout) : null;
+
+    // Collect per-file results for the JSON run report (a dry run writes nothing)
+    var report = null;
+    if (reportPath && dryRun) {
+        console.log("ℹ️  Dry run: the run report will not be written");
+        console.log("");
+    } else if (reportPath) {
+        report = createRunReport("contract-review", inputPath, outputPath);
+    }
+
     // Process each document file
     var successCount = 0;
     var failureCount = 0;
+    var retriedCount = 0;
+    var resumeSkipCount = 0;
+    var plannedCount = 0;
 
-    for (var i = 0; i < documentFiles.length; i++) {
+    for (var i = 0; i < documentFiles.length || waitForNewFiles(watcher); i++) {
         var documentFile = documentFiles[i];
         var fileName = fs.filename(documentFile);
-        var baseName = fs.basename(documentFile);
         
         console.log("📄 Processing [" + (i + 1) + "/" + documentFiles.length + "]: " + fileName);
         
         // Determine output file path
-        var reviewOutputFile = determineReviewOutputPath(documentFile, baseName, outputPath, isBatchProcessing);
+        var relativeDir = isBatchProcessing ? getInputSubdir(inputFiles, documentFile) : "";
+        var reviewOutputFile = determineReviewOutputPath(documentFile, renderOutputName(documentFile), outputPath, isBatchProcessing, relativeDir);
+        if (compareWith) {
+            reviewOutputFile = getChangeReportPath(reviewOutputFile);
+        }
+        
+        var journalKey = journal ? getRelativePath(inputRoot, documentFile) : "";
+        var sourceMd5 = journal ? getFileMd5(documentFile) : "";
+        var reprocess = false;
+        var resumeReason = "";
+        
+        // In resume mode the journal decides, an existing output may be half-written
+        if (journal && resume) {
+            var resumeAction = getResumeAction(journal, journalKey, sourceMd5, reviewOutputFile);
+            if (!resumeAction.process) {
+                console.log("⏭️  Skipping (done in earlier run): " + fs.filename(reviewOutputFile));
+                reportSkippedItem(report, documentFile, reviewOutputFile, "done in earlier run");
+                console.log("");
+                resumeSkipCount++;
+                continue;
+            }
+            if (resumeAction.reason !== "new") {
+                console.log("🔁 Reprocessing (" + resumeAction.reason + ")");
+                reprocess = true;
+                resumeReason = resumeAction.reason;
+            }
+        }
         
         // Check if output file already exists
-        if (!overwrite && fs.exists(reviewOutputFile)) {
+        if (!overwrite && !reprocess && fs.exists(reviewOutputFile)) {
             console.log("⏭️  Skipping (file exists): " + fs.filename(reviewOutputFile));
+            reportSkippedItem(report, documentFile, reviewOutputFile, "file exists");
+            console.log("");
+            continue;
+        }
+        
+        // Dry run: show the plan for this file and move on
+        if (dryRun) {
+            var plannedTextFile = getExtractedTextPath(documentFile, reviewOutputFile);
+            var plannedCacheEntry = getExtractionCacheEntry(documentFile, ocrTool, ocrLlmTemplate, contentType);
+            var plannedCommands = [];
+            if (hasCachedExtraction(plannedCacheEntry)) {
+                console.log("⚡ Would copy cached text: " + plannedCacheEntry.path);
+            } else {
+                plannedCommands.push(formatCommandLine("doc-to-text", buildExtractArgs(documentFile, plannedTextFile, ocrTool, ocrLlmTemplate, contentType, verbose)));
+            }
+            if (compareWith) {
+                var plannedPreviousFile = fs.join([getCompareDir(plannedTextFile), "previous.extracted.txt"]);
+                var plannedPreviousEntry = getExtractionCacheEntry(compareWith, ocrTool, ocrLlmTemplate, contentType);
+                if (hasCachedExtraction(plannedPreviousEntry)) {
+                    console.log("⚡ Would copy cached text: " + plannedPreviousEntry.path);
+                } else {
+                    plannedCommands.push(formatCommandLine("doc-to-text", buildExtractArgs(compareWith, plannedPreviousFile, ocrTool, ocrLlmTemplate, contentType, verbose)));
+                }
+            }
+            var plannedLlmTextFile = redaction.rules.length > 0 ? getRedactedTextPath(plannedTextFile) : plannedTextFile;
+            var plannedLlmInput = reviewFormat === "json" ? getReviewRequestPath(plannedTextFile) : plannedLlmTextFile;
+            if (compareWith) {
+                plannedLlmInput = getReviewRequestPath(fs.join([getCompareDir(plannedTextFile), "changes-01.txt"]));
+            }
+            var plannedTemplates = compareWith ? [contractLlmTemplate] : ensembleReview.templates;
+            for (var t = 0; t < plannedTemplates.length; t++) {
+                plannedCommands.push(formatCommandLine("llm-caller", buildLlmArgs(plannedTemplates[t], getPlannedLlmTextVar(plannedLlmInput))));
+            }
+            if (plannedTemplates.length > 1) {
+                var plannedMergeFile = fs.join([getModelsDir(reviewOutputFile), "model-reviews.txt"]);
+                plannedCommands.push(formatCommandLine("llm-caller", buildLlmArgs(ensembleReview.consolidateTemplate,
+                    getPlannedLlmTextVar(reviewFormat === "json" ? getReviewRequestPath(plannedMergeFile) : plannedMergeFile))));
+            }
+            if (playbook && !compareWith) {
+                plannedCommands.push(formatCommandLine("llm-caller", buildLlmArgs(contractLlmTemplate, getPlannedLlmTextVar(getReviewRequestPath(plannedTextFile, "playbook")))));
+            }
+            if (obligations) {
+                plannedCommands.push(formatCommandLine("llm-caller", buildLlmArgs(contractLlmTemplate, getPlannedLlmTextVar(getReviewRequestPath(plannedTextFile, "obligations")))));
+            }
+            printPlannedItem(reviewOutputFile, plannedCommands);
+            if (redaction.rules.length > 0) {
+                console.log("🛡️  Would redact with " + redaction.sources.join(", ") + ", placeholders in " + getRedactionMapPath(plannedTextFile));
+            }
+            if (reviewFormat === "json") {
+                console.log("📝 Would write: " + getJsonReviewPath(reviewOutputFile));
+            }
+            if (reportFormat !== "none") {
+                console.log("📝 Would write: " + getReviewReportPath(reviewOutputFile, reportFormat));
+            }
+            if (obligations) {
+                console.log("📝 Would write: " + getObligationsPath(reviewOutputFile, "csv") + " and .ics");
+            }
+            console.log("");
+            plannedCount++;
+            continue;
+        }
+        
+        if (itemLocks && !acquireItemLock(itemLocks, journalKey)) {
+            console.log("🔒 Skipping (locked by another shard): " + fileName);
+            reportSkippedItem(report, documentFile, reviewOutputFile, "locked by another shard");
+            console.log("");
+            continue;
+        }
+        
+        var itemStartedAt = new Date().getTime();
+        startProcessingTrace();
+        
+        // Mirror the source sub-folder under the output directory
+        if (relativeDir && !ensureDirectory(fs.dirname(reviewOutputFile))) {
+            traceFailure("Cannot create output directory: " + fs.dirname(reviewOutputFile));
+            reportProcessedItem(report, documentFile, false, itemStartedAt);
+            failureCount++;
+            console.log("❌ Failed: " + fileName);
+            releaseItemLock(itemLocks, journalKey);
+            finishWatchedFile(watcher, documentFile, false);
             console.log("");
             continue;
         }
         
         // Process document: extract text -> LLM analysis -> save result
-        if (processDocument(documentFile, reviewOutputFile, ocrTool, ocrLlmTemplate, contractLlmTemplate, contentType, verbose)) {
+        if (journal) {
+            beginJournalItem(journal, journalKey, sourceMd5, reviewOutputFile, resumeReason);
+        }
+        var succeeded = compareWith ?
+            processComparison(documentFile, compareWith, reviewOutputFile, ocrTool, ocrLlmTemplate, contractLlmTemplate, contentType, verbose) :
+            processDocument(documentFile, reviewOutputFile, ocrTool, ocrLlmTemplate, contractLlmTemplate, contentType, verbose);
+        if (journal) {
+            finishJournalItem(journal, journalKey, succeeded, processingTrace.error);
+        }
+        reportProcessedItem(report, documentFile, succeeded, itemStartedAt);
+        retriedCount += processingTrace.retries;
+        
+        if (succeeded) {
             successCount++;
             console.log("✅ Success: " + fs.filename(reviewOutputFile));
         } else {
             failureCount++;
             console.log("❌ Failed: " + fileName);
         }
+        releaseItemLock(itemLocks, journalKey);
+        finishWatchedFile(watcher, documentFile, succeeded);
         console.log("");
     }
 
+    if (dryRun) {
+        printDryRunSummary(plannedCount, documentFiles.length);
+        if (portfolio) {
+            console.log("📝 Would write: " + getPortfolioSummaryPath(outputPath || inputRoot, "csv") + " and .json");
+        }
+        if (obligations && isBatchProcessing) {
+            console.log("📝 Would write: " + getMergedCalendarPath(outputPath || inputRoot));
+        }
+        return true;
+    }
+
     // Summary
     console.log("🎯 Processing Summary:");
     console.log("===================");
     console.log("✅ Successful:", successCount);
     console.log("❌ Failed:", failureCount);
+    if (retriedCount > 0) {
+        console.log("🔁 Command retries:", retriedCount);
+    }
+    printCacheStats();
+    printQuoteVerificationSummary();
+    if (journal && resume) {
+        console.log("⏭️ Skipped (done in earlier run):", resumeSkipCount);
+    }
     console.log("📊 Total processed:", documentFiles.length);
+    if (journal && resume) {
+        console.log("");
+        printJournalChanges(journal);
+    }
+    if (shard) {
+        console.log("");
+        console.log("🧩 Shard " + shard.index + "/" + shard.count + " finished, run merge=true once every shard is done");
+    }
 
     if (successCount > 0) {
         console.log("");
@@ -153,12 +652,33 @@ function main() {
         }
     }
 
+    if (portfolio && shard) {
+        console.log("");
+        console.log("ℹ️  The portfolio summary is written by merge=true, once every shard is done");
+    } else if (portfolio) {
+        console.log("");
+        writePortfolioSummary(getBatchReviewItems(documentFiles, inputFiles, outputPath), outputPath || inputRoot, inputRoot);
+    }
+    if (obligations && isBatchProcessing && shard) {
+        console.log("");
+        console.log("ℹ️  The merged obligations calendar is written by merge=true, once every shard is done");
+    } else if (obligations && isBatchProcessing) {
+        console.log("");
+        writeMergedCalendar(getBatchReviewItems(documentFiles, inputFiles, outputPath), outputPath || inputRoot);
+    }
+
+    if (report) {
+        console.log("");
+        report.cache = getCacheStats();
+        writeRunReport(report, reportPath);
+    }
+
     return true;
 }
 
 // ======================== Helper Functions ========================
 
-function validateOutputPath(outputPath, isBatchProcessing) {
+function validateOutputPath(outputPath, isBatchProcessing, dryRun) {
     // Check if output path exists
     var pathExists = fs.exists(outputPath);
     
@@ -171,6 +691,8 @@ function validateOutputPath(outputPath, isBatchProcessing) {
                     error: "For batch processing, output path must be a directory, but '" + outputPath + "' is a file"
                 };
             }
+        } else if (dryRun) {
+            console.log("📁 Would create output directory:", outputPath);
         } else {
             // Try to create the directory
             var mkdirResult = fs.mkdir(outputPath);
@@ -210,7 +732,9 @@ function validateOutputPath(outputPath, isBatchProcessing) {
         } else {
             // Path doesn't exist - check if parent directory exists
             var parentDir = fs.dirname(outputPath);
-            if (!fs.exists(parentDir)) {
+            if (!fs.exists(parentDir) && dryRun) {
+                console.log("📁 Would create parent directory:", parentDir);
+            } else if (!fs.exists(parentDir)) {
                 // Try to create parent directory
                 var mkdirResult = fs.mkdir(parentDir);
                 if (mkdirResult.error) {
@@ -286,7 +810,12 @@ function checkCliTool(toolName) {
     return false;
 }
 
-function getDocumentFiles(inputPath, documentExtensions) {
+// Files this workflow writes itself, relative to the scanned folder: extracted and redacted
+// text, LLM requests, reviews and change reports, the chunk, model and compare folders and
+// the .work/ and cache folders. Never documents to review on a later run
+var REVIEW_ARTIFACT_PATTERN = /\.(extracted|review|redacted|request|changes)\.txt$|(^|\/)(\.work|\.doc-to-text-cache|[^\/]+\.(chunks|models|compare))\//i;
+
+function getDocumentFiles(inputPath, documentExtensions, scanOptions) {
     var files = [];
     
     // Check if path exists
@@ -297,19 +826,14 @@ function getDocumentFiles(inputPath, documentExtensions) {
     
     // Check if it's a directory or file
     if (fs.isDir(inputPath)) {
-        // It's a directory, list only direct children (no recursion)
-        var listResult = fs.readdir(inputPath);
-        if (!listResult.error) {
-            for (var i = 0; i < listResult.files.length; i++) {
-                var fileInfo = listResult.files[i];
-                // Only process files (not directories) in the top level
-                if (!fileInfo.is_dir && isDocumentFile(fileInfo.path, documentExtensions)) {
-                    files.push(fileInfo.path);
-                }
+        // It's a directory, list direct children (and sub-folders in recursive mode)
+        collectDirectoryFiles(inputPath, inputPath, 1, scanOptions, function(filePath) {
+            // Skip what earlier runs wrote next to the documents
+            if (REVIEW_ARTIFACT_PATTERN.test(getRelativePath(inputPath, filePath))) {
+                return false;
             }
-        } else {
-            console.error("❌ Failed to list directory:", listResult.error);
-        }
+            return isDocumentFile(filePath, documentExtensions);
+        }, files);
     } else if (fs.isFile(inputPath)) {
         // It's a file, check if it's a document file
         if (isDocumentFile(inputPath, documentExtensions)) {
@@ -330,13 +854,131 @@ function isDocumentFile(filepath, documentExtensions) {
     return false;
 }
 
-function determineReviewOutputPath(inputFile, baseName, outputPath, isBatchProcessing) {
-    var reviewFileName = baseName + ".review.txt";
+function collectDirectoryFiles(rootDir, dirPath, depth, scanOptions, isWantedFile, files) {
+    var listResult = fs.readdir(dirPath);
+    if (listResult.error) {
+        console.error("❌ Failed to list directory:", listResult.error);
+        return;
+    }
+
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        var relativePath = getRelativePath(rootDir, fileInfo.path);
+
+        if (fileInfo.is_dir) {
+            // Descend only in recursive mode, within the depth limit and not into excluded folders
+            var withinDepth = !scanOptions.maxDepth || depth < scanOptions.maxDepth;
+            if (scanOptions.recursive && withinDepth && !isExcludedDirectory(relativePath, scanOptions.exclude)) {
+                collectDirectoryFiles(rootDir, fileInfo.path, depth + 1, scanOptions, isWantedFile, files);
+            }
+            continue;
+        }
+
+        if (isWantedFile(fileInfo.path) && matchesScanPatterns(relativePath, scanOptions)) {
+            files.push(fileInfo.path);
+        }
+    }
+}
+
+function matchesScanPatterns(relativePath, scanOptions) {
+    if (scanOptions.include.length > 0 && !matchesAnyPattern(relativePath, scanOptions.include)) {
+        return false;
+    }
+    return !matchesAnyPattern(relativePath, scanOptions.exclude);
+}
+
+function isExcludedDirectory(relativePath, excludePatterns) {
+    // "drafts" and "drafts/**" should both prune the whole folder
+    return matchesAnyPattern(relativePath, excludePatterns) ||
+        matchesAnyPattern(relativePath + "/", excludePatterns);
+}
+
+function matchesAnyPattern(relativePath, patterns) {
+    for (var i = 0; i < patterns.length; i++) {
+        // Patterns without a slash match the file name at any depth, others the relative path
+        var target = patterns[i].indexOf("/") === -1 ? relativePath.split("/").pop() : relativePath;
+        if (globToRegExp(patterns[i]).test(target)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function globToRegExp(pattern) {
+    var regex = "";
+    for (var i = 0; i < pattern.length; i++) {
+        var ch = pattern.charAt(i);
+        if (ch === "*") {
+            if (pattern.charAt(i + 1) === "*") {
+                if (pattern.charAt(i + 2) === "/") {
+                    // "**/" matches zero or more folders
+                    regex += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    regex += ".*";
+                    i += 1;
+                }
+            } else {
+                regex += "[^/]*";
+            }
+        } else if (ch === "?") {
+            regex += "[^/]";
+        } else if ("\\^$.|+()[]{}".indexOf(ch) !== -1) {
+            regex += "\\" + ch;
+        } else {
+            regex += ch;
+        }
+    }
+    return new RegExp("^" + regex + "$", "i");
+}
+
+function parsePatternList(value) {
+    var patterns = [];
+    var parts = (value || "").split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var pattern = parts[i].trim().replace(/\\/g, "/").replace(/^\.\//, "");
+        if (pattern) {
+            patterns.push(pattern);
+        }
+    }
+    return patterns;
+}
+
+function getRelativePath(rootDir, filePath) {
+    var relResult = fs.rel(rootDir, filePath);
+    var relativePath = relResult.error ? fs.filename(filePath) : relResult.path;
+    return relativePath.replace(/\\/g, "/");
+}
+
+function getRelativeSubdir(rootDir, filePath) {
+    // Sub-folder of the file below the input directory, "" for top level files
+    var relativePath = getRelativePath(rootDir, filePath);
+    var slashIndex = relativePath.lastIndexOf("/");
+    return slashIndex === -1 ? "" : relativePath.substring(0, slashIndex);
+}
+
+function ensureDirectory(dirPath) {
+    if (fs.exists(dirPath)) {
+        return true;
+    }
+    var mkdirResult = fs.mkdir(dirPath);
+    if (mkdirResult.error) {
+        console.error("❌ Cannot create directory '" + dirPath + "':", mkdirResult.error);
+        return false;
+    }
+    console.log("📁 Created directory:", dirPath);
+    return true;
+}
+
+function determineReviewOutputPath(inputFile, baseName, outputPath, isBatchProcessing, relativeDir) {
+    // baseName is the rendered name_template, claimOutputPath keeps it unique
+    var reviewSuffix = ".review.txt";
     
     if (outputPath) {
         if (isBatchProcessing || fs.isDir(outputPath)) {
             // For batch processing or when output is a directory, put file in the directory
-            return fs.join([outputPath, reviewFileName]);
+            // (below the mirrored source sub-folder in recursive mode)
+            return claimOutputPath(relativeDir ? fs.join([outputPath, relativeDir]) : outputPath, baseName, reviewSuffix, inputFile);
         } else {
             // For single file processing with specific file path
             // Check if the output path has an extension
@@ -352,19 +994,28 @@ function determineReviewOutputPath(inputFile, baseName, outputPath, isBatchProce
     } else {
         // No output path specified, use same directory as input file
         var inputDir = fs.dirname(inputFile);
-        return fs.join([inputDir, reviewFileName]);
+        return claimOutputPath(inputDir, baseName, reviewSuffix, inputFile);
     }
 }
 
-function processDocument(documentFile, reviewOutputFile, ocrTool, ocrLlmTemplate, contractLlmTemplate, contentType, verbose) {
-    console.log("🔄 Step 1: Extracting text from document...");
-    
-    // Step 1: Extract text using doc-to-text with new parameter format
-    // Create a temporary text file path for extracted content
-    var tempDir = fs.dirname(reviewOutputFile);
-    var baseName = fs.basename(documentFile);
-    var tempTextFile = fs.join([tempDir, baseName + ".extracted.txt"]);
-    
+function getExtractedTextPath(documentFile, reviewOutputFile, mode) {
+    // Extracted text is <name>.extracted.txt, next to the review or in .work/ (intermediates=separate),
+    // named like the review so that sources sharing a base name do not share a text file
+    var reviewName = fs.filename(reviewOutputFile);
+    var textName = /\.(review|changes)\.txt$/.test(reviewName) ? reviewName.replace(/\.(review|changes)\.txt$/, "") : fs.basename(documentFile);
+    return getIntermediatePath(reviewOutputFile, textName + ".extracted.txt", mode);
+}
+
+function buildLlmArgs(llmTemplate, textVar) {
+    // llm-caller parameter format: call <template> --var name:type:value (see getLlmTextVar)
+    return [
+        "call", llmTemplate,
+        "--var", textVar
+    ];
+}
+
+function buildExtractArgs(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose) {
+    // doc-to-text parameter format: <file> [--content-type] [--ocr [--llm_template]] [--verbose] -o <output>
     var extractArgs = [documentFile];
     
     // Add content type parameter
@@ -372,7 +1023,7 @@ function processDocument(documentFile, reviewOutputFile, ocrTool, ocrLlmTemplate
         extractArgs.push("--content-type", contentType);
     }
     
-    // Add OCR tool parameter (new format)
+    // Add OCR tool parameter
     if (ocrTool && ocrTool !== "interactive") {
         extractArgs.push("--ocr", ocrTool);
         
@@ -388,114 +1039,316 @@ function processDocument(documentFile, reviewOutputFile, ocrTool, ocrLlmTemplate
     }
     
     // Specify output file path using -o parameter
-    extractArgs.push("-o", tempTextFile);
+    extractArgs.push("-o", textOutputFile);
     
-    console.log("🔧 Command: doc-to-text " + extractArgs.join(" "));
+    return extractArgs;
+}
+
+function extractDocumentText(documentFile, tempTextFile, ocrTool, ocrLlmTemplate, contentType, verbose) {
+    // doc-to-text into tempTextFile, or a copy from the extraction cache; null after reporting a failure
+    if (!ensureDirectory(fs.dirname(tempTextFile))) {
+        traceFailure("Cannot create directory for extracted text: " + fs.dirname(tempTextFile));
+        return null;
+    }
     
-    // For interactive mode, we need to allow user input
-    var commandOptions = { timeout: 600 };
+    // Reuse text extracted earlier by any workflow with the same settings
+    var cacheEntry = getExtractionCacheEntry(documentFile, ocrTool, ocrLlmTemplate, contentType);
+    var restoredFromCache = restoreCachedExtraction(cacheEntry, tempTextFile);
     
-    // If OCR tool is interactive or not specified, the command may need user input
-    if (!ocrTool || ocrTool === "interactive") {
-        console.log("ℹ️  OCR tool not specified - doc-to-text will prompt for OCR tool selection");
-        console.log("📝 Please select the appropriate OCR tool when prompted");
-        // Enable interactive mode and increase timeout
-        commandOptions.interactive = true;
-        commandOptions.timeout = 1800;
-    }
+    if (!restoredFromCache) {
+        var extractArgs = buildExtractArgs(documentFile, tempTextFile, ocrTool, ocrLlmTemplate, contentType, verbose);
+    
+        console.log("🔧 Command: doc-to-text " + extractArgs.join(" "));
+    
+        // For interactive mode, we need to allow user input
+        var commandOptions = { timeout: 600 };
+    
+        // If OCR tool is interactive or not specified, the command may need user input
+        if (!ocrTool || ocrTool === "interactive") {
+            console.log("ℹ️  OCR tool not specified - doc-to-text will prompt for OCR tool selection");
+            console.log("📝 Please select the appropriate OCR tool when prompted");
+            // Enable interactive mode and increase timeout
+            commandOptions.interactive = true;
+            commandOptions.timeout = 1800;
+        }
     
-    var extractResult = cliCommand("doc-to-text", extractArgs, commandOptions);
+        var extractResult = runTracedCommand("extract", "doc-to-text", extractArgs, commandOptions);
     
-    if (extractResult.error) {
-        console.error("❌ Text extraction failed:");
-        console.error("Command: doc-to-text " + extractArgs.join(" "));
-        console.error("Error:", extractResult.error);
+        if (extractResult.error) {
+            console.error("❌ Text extraction failed:");
+            traceFailure("Text extraction failed: " + extractResult.error, extractResult);
+            console.error("Command: doc-to-text " + extractArgs.join(" "));
+            console.error("Error:", extractResult.error);
         
-        // Show stderr if available
-        if (extractResult.stderr && extractResult.stderr.trim()) {
-            console.error("Standard Error Output:");
-            var errorLines = extractResult.stderr.split("\n");
-            for (var i = 0; i < errorLines.length && i < 10; i++) {
-                if (errorLines[i].trim()) {
-                    console.error("  " + errorLines[i].trim());
+            // Show stderr if available
+            if (extractResult.stderr && extractResult.stderr.trim()) {
+                console.error("Standard Error Output:");
+                var errorLines = extractResult.stderr.split("\n");
+                for (var i = 0; i < errorLines.length && i < 10; i++) {
+                    if (errorLines[i].trim()) {
+                        console.error("  " + errorLines[i].trim());
+                    }
                 }
             }
-        }
         
-        // Show stdout if available (some tools output errors to stdout)
-        if (extractResult.stdout && extractResult.stdout.trim()) {
-            console.error("Standard Output:");
-            var outputLines = extractResult.stdout.split("\n");
-            for (var i = 0; i < outputLines.length && i < 10; i++) {
-                if (outputLines[i].trim()) {
-                    console.error("  " + outputLines[i].trim());
+            // Show stdout if available (some tools output errors to stdout)
+            if (extractResult.stdout && extractResult.stdout.trim()) {
+                console.error("Standard Output:");
+                var outputLines = extractResult.stdout.split("\n");
+                for (var i = 0; i < outputLines.length && i < 10; i++) {
+                    if (outputLines[i].trim()) {
+                        console.error("  " + outputLines[i].trim());
+                    }
                 }
             }
-        }
         
-        return false;
-    }
+            return null;
+        }
     
-    // Check if the specified output file was created
-    if (!fs.exists(tempTextFile)) {
-        console.error("❌ Text file was not created at expected location:", tempTextFile);
+        // Check if the specified output file was created
+        if (!fs.exists(tempTextFile)) {
+            console.error("❌ Text file was not created at expected location:", tempTextFile);
         
-        // If the file wasn't created at the specified location, 
-        // doc-to-text might have used its default MD5-based path
-        console.log("🔍 Checking for default MD5-based output...");
+            // If the file wasn't created at the specified location, 
+            // doc-to-text might have used its default MD5-based path
+            console.log("🔍 Checking for default MD5-based output...");
         
-        // Try to find the output in current working directory with MD5 hash structure
-        var cwdResult = fs.cwd();
-        if (!cwdResult.error) {
-            var findResult = fs.find(cwdResult.path, "text.txt");
-            if (!findResult.error && findResult.files.length > 0) {
-                // Use the first found text.txt file (most recent)
-                tempTextFile = findResult.files[0];
-                console.log("✅ Found extracted text at:", tempTextFile);
+            // Try to find the output in current working directory with MD5 hash structure
+            var cwdResult = fs.cwd();
+            if (!cwdResult.error) {
+                var findResult = fs.find(cwdResult.path, "text.txt");
+                if (!findResult.error && findResult.files.length > 0) {
+                    // Use the first found text.txt file (most recent)
+                    tempTextFile = findResult.files[0];
+                    console.log("✅ Found extracted text at:", tempTextFile);
+                } else {
+                    console.error("❌ Could not locate extracted text file");
+                    traceFailure("Could not locate extracted text file");
+                    return null;
+                }
             } else {
-                console.error("❌ Could not locate extracted text file");
-                return false;
+                console.error("❌ Could not determine current working directory");
+                traceFailure("Could not determine current working directory");
+                return null;
             }
-        } else {
-            console.error("❌ Could not determine current working directory");
-            return false;
         }
-    }
     
-    console.log("✅ Text extracted successfully");
+        console.log("✅ Text extracted successfully");
+    }
     
-    // Step 2: Read extracted text
-    console.log("🔄 Step 2: Reading extracted text...");
-    var textContent = fs.read(tempTextFile);
+    return { path: tempTextFile, cacheEntry: cacheEntry, restoredFromCache: restoredFromCache };
+}
+
+function readExtractedText(extraction) {
+    // Returns the fs.read() result, or null after reporting a failure
+    var textContent = fs.read(extraction.path);
     if (textContent.error) {
         console.error("❌ Failed to read extracted text:", textContent.error);
-        return false;
+        traceFailure("Failed to read extracted text: " + textContent.error);
+        return null;
     }
     
     if (!textContent.content || textContent.content.trim().length === 0) {
         console.error("❌ Extracted text is empty");
-        return false;
+        traceFailure("Extracted text is empty");
+        return null;
     }
     
     console.log("✅ Text content loaded (" + textContent.content.length + " characters)");
+    if (!extraction.restoredFromCache) {
+        storeCachedExtraction(extraction.cacheEntry, extraction.path);
+    }
+    traceOutput(extraction.path);
+    return textContent;
+}
+
+function processDocument(documentFile, reviewOutputFile, ocrTool, ocrLlmTemplate, contractLlmTemplate, contentType, verbose) {
+    console.log("🔄 Step 1: Extracting text from document...");
+    
+    // Step 1: Extract text using doc-to-text with new parameter format
+    // Create a temporary text file path for extracted content
+    var extraction = extractDocumentText(documentFile, getExtractedTextPath(documentFile, reviewOutputFile), ocrTool, ocrLlmTemplate, contentType, verbose);
+    if (!extraction) {
+        return false;
+    }
+    
+    // Step 2: Read extracted text
+    console.log("🔄 Step 2: Reading extracted text...");
+    var textContent = readExtractedText(extraction);
+    if (!textContent) {
+        return false;
+    }
+    var tempTextFile = extraction.path;
+    
+    // With redact=..., every LLM call reads <name>.redacted.txt instead of the extracted text
+    var llmTextFile = tempTextFile;
+    var llmText = textContent.content;
+    var redacted = null;
+    if (redaction.rules.length > 0) {
+        redacted = writeRedactedText(tempTextFile, textContent.content, fs.filename(documentFile));
+        if (!redacted) {
+            return false;
+        }
+        llmTextFile = redacted.path;
+        llmText = redacted.text;
+    }
     
-    // Step 3: Call LLM for analysis with updated parameter format
+    // Step 3: Call LLM for analysis with updated parameter format, section by section for long contracts
     console.log("🔄 Step 3: Analyzing with LLM...");
     
-    // llm-caller parameter format: call <template> --var name:type:value
-    var llmArgs = [
-        "call", contractLlmTemplate,
-        "--var", "text:text:" + textContent.content
-    ];
+    // The review is text, or a validated object with review_format=json
+    var reviewResult = null;
+    var chunksDir = "";
+    var isLongContract = chunkedReview.size > 0 && llmText.length > chunkedReview.size;
+    if (ensembleReview.templates.length > 1) {
+        chunksDir = isLongContract ? getChunksDir(tempTextFile) : "";
+        reviewResult = reviewWithEnsemble(llmTextFile, llmText, getModelsDir(reviewOutputFile), chunksDir, fs.filename(documentFile));
+    } else if (isLongContract) {
+        chunksDir = getChunksDir(tempTextFile);
+        reviewResult = reviewInChunks(llmText, chunksDir, contractLlmTemplate, fs.filename(documentFile));
+    } else {
+        var review = runReviewCall("review", contractLlmTemplate, llmTextFile, llmText);
+        reviewResult = review === null ? null : { review: review, chunks: [] };
+    }
+    if (reviewResult === null) {
+        return false;
+    }
+    
+    // Playbook: pass, fail or unclear for every house position
+    if (playbook) {
+        reviewResult.playbook = checkPlaybook(llmTextFile, llmText, reviewResult.chunks, chunksDir, contractLlmTemplate);
+        if (reviewResult.playbook === null) {
+            return false;
+        }
+    }
+    
+    // Obligations: who has to do what by when
+    if (obligationExport.enabled) {
+        reviewResult.obligations = extractObligations(llmTextFile, llmText, reviewResult, chunksDir, contractLlmTemplate);
+        if (reviewResult.obligations === null) {
+            return false;
+        }
+    }
+    
+    console.log("✅ LLM analysis completed");
+    
+    // The saved review, checklist and obligations name the real parties, accounts and numbers again
+    if (redacted) {
+        reviewResult.review = restoreRedactedValues(reviewResult.review, redacted.map);
+        if (reviewResult.playbook) {
+            reviewResult.playbook = restoreRedactedValues(reviewResult.playbook, redacted.map);
+        }
+        if (reviewResult.obligations) {
+            reviewResult.obligations = restoreRedactedValues(reviewResult.obligations, redacted.map);
+        }
+    }
+    
+    // Invented quotes: every quoted passage must be in the extracted text
+    if (quoteVerification.enabled) {
+        reviewResult.quotes = verifyReviewQuotes(reviewResult.review, textContent.content, reviewOutputFile);
+    }
+    
+    // Step 4: Save review result
+    console.log("🔄 Step 4: Saving review result...");
+    
+    if (reviewOutput.format === "json") {
+        var jsonOutputFile = getJsonReviewPath(reviewOutputFile);
+        var reviewData = reviewResult.review;
+        reviewData.source_file = fs.filename(documentFile);
+        reviewData.review_timestamp = new Date().toISOString();
+        if (reviewResult.models) {
+            reviewData.ensemble = { models: ensembleReview.templates, merged_with: ensembleReview.consolidateTemplate };
+        }
+        if (reviewResult.quotes) {
+            reviewData.quote_verification = reviewResult.quotes.counts;
+        }
+        if (reviewResult.playbook) {
+            reviewData.playbook = reviewResult.playbook;
+        }
+        if (reviewResult.chunks.length > 0) {
+            reviewData.chunks = getChunkBoundaries(reviewResult.chunks);
+        }
+        var jsonWriteResult = fs.write(jsonOutputFile, JSON.stringify(reviewData, null, 2));
+        if (jsonWriteResult.error) {
+            console.error("❌ Failed to save review JSON:", jsonWriteResult.error);
+            traceFailure("Failed to save review JSON: " + jsonWriteResult.error);
+            return false;
+        }
+        traceOutput(jsonOutputFile);
+        console.log("✅ Review JSON saved: " + fs.filename(jsonOutputFile));
+    }
+    
+    var reviewText = reviewOutput.format === "json" ? renderContractReview(reviewResult.review) : reviewResult.review;
+    if (reviewResult.quotes && reviewOutput.format !== "json" && reviewResult.quotes.checks.length > 0) {
+        reviewText = reviewText.replace(/\s*$/, "\n") + formatQuoteChecks(reviewResult.quotes);
+    }
+    if (reviewResult.playbook) {
+        reviewText = reviewText.replace(/\s*$/, "\n") + formatPlaybookChecklist(reviewResult.playbook);
+    }
+    if (reviewResult.chunks.length > 0) {
+        reviewText = reviewText.replace(/\s*$/, "\n") + formatChunkBoundaries(reviewResult.chunks);
+    }
+    var writeResult = fs.write(reviewOutputFile, reviewText);
+    if (writeResult.error) {
+        console.error("❌ Failed to save review result:", writeResult.error);
+        traceFailure("Failed to save review result: " + writeResult.error);
+        return false;
+    }
+    
+    console.log("✅ Review result saved");
+    traceOutput(reviewOutputFile);
+    
+    if (reviewResult.obligations && !writeObligationFiles(reviewOutputFile, documentFile, reviewResult.obligations)) {
+        return false;
+    }
+    
+    if (reviewOutput.reportFormat !== "none") {
+        var templateLabel = contractLlmTemplate + (reviewResult.chunks.length > 0 ? " (chunks), " + chunkedReview.consolidateTemplate + " (merge)" : "");
+        if (reviewResult.models) {
+            templateLabel = ensembleReview.templates.join(", ") + (reviewResult.chunks.length > 0 ? " (chunks)" : "") + ", " + ensembleReview.consolidateTemplate + " (merge)";
+        }
+        if (!writeReviewReport(reviewOutputFile, documentFile, templateLabel, reviewResult)) {
+            return false;
+        }
+    }
+    
+    // Preserve extracted text file for reference, unless intermediates=delete
+    if (intermediatePolicy.mode === "delete") {
+        removeIntermediates([tempTextFile, chunksDir, getReviewRequestPath(tempTextFile), getReviewRequestPath(tempTextFile, "playbook"),
+            getReviewRequestPath(tempTextFile, "obligations"), getRedactedTextPath(tempTextFile), getRedactionMapPath(tempTextFile)]);
+    } else {
+        console.log("📁 Preserving extracted text file for reference:");
+        console.log("   " + tempTextFile);
+        console.log("💡 Note: Extracted text file is preserved for future reference");
+        console.log("   Use intermediates=delete to remove it after success, or clean=true to tidy up later");
+    }
+    
+    return true;
+}
+
+function runLlmReview(stepName, llmTemplate, textFile, text) {
+    // One llm-caller call on a text file, returns the review or null after reporting the failure
+    var textVar = getLlmTextVar(textFile, text);
+    if (textVar.error) {
+        console.error("❌ " + textVar.error);
+        traceFailure(textVar.error);
+        return null;
+    }
+    var llmArgs = buildLlmArgs(llmTemplate, textVar.value);
+    var llmDisplayArgs = buildLlmArgs(llmTemplate, textVar.display);
 
-    console.log("🔧 Command: llm-caller " + llmArgs.slice(0, 2).join(" ") + " --var text:text:[" + textContent.content.length + " characters]");
+    console.log("🔧 Command: llm-caller " + llmDisplayArgs.join(" "));
     
-    var llmResult = cliCommand("llm-caller", llmArgs, { timeout: 600 });
+    var llmResult = runTracedCommand(stepName, "llm-caller", llmArgs, { timeout: 600 }, llmDisplayArgs);
     
     if (llmResult.error) {
         console.error("❌ LLM analysis failed:");
-        console.error("Command: llm-caller " + llmArgs.slice(0, 2).join(" ") + " --var text:text:[content]");
+        traceFailure("LLM analysis failed: " + llmResult.error, llmResult);
+        console.error("Command: llm-caller " + llmDisplayArgs.join(" "));
         console.error("Error:", llmResult.error);
+        if (isArgumentListTooLong(llmResult)) {
+            console.error("💡 The text is too long for the command line, update llm-caller to a version that reads text:file: variables");
+        }
         
         // Show stderr if available
         if (llmResult.stderr && llmResult.stderr.trim()) {
@@ -519,35 +1372,4202 @@ function processDocument(documentFile, reviewOutputFile, ocrTool, ocrLlmTemplate
             }
         }
         
-        return false;
+        return null;
     }
     
     if (!llmResult.stdout || llmResult.stdout.trim().length === 0) {
         console.error("❌ LLM analysis returned empty result");
-        return false;
+        traceFailure("LLM analysis returned empty result");
+        return null;
     }
     
-    console.log("✅ LLM analysis completed");
-    
-    // Step 4: Save review result
-    console.log("🔄 Step 4: Saving review result...");
-    
-    var writeResult = fs.write(reviewOutputFile, llmResult.stdout);
-    if (writeResult.error) {
-        console.error("❌ Failed to save review result:", writeResult.error);
+    return llmResult.stdout;
+}
+
+// ======================== Input Lists ========================
+
+function resolveInputList(inputValue) {
+    // input accepts several entries separated by commas or newlines, glob patterns
+    // and @list.txt files with one path per line
+    var result = { paths: [], errors: [] };
+    var seen = {};
+
+    // A single existing path is taken as-is, even when its name contains a comma
+    var entries = fs.exists(inputValue) ? [inputValue] : readInputEntries(inputValue.split(/[,\n]/), "", result.errors);
+
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var matches = [entry];
+        if (/[*?]/.test(entry)) {
+            matches = expandInputGlob(entry);
+            if (matches.length === 0) {
+                result.errors.push("No files match: " + entry);
+            }
+        } else if (!fs.exists(entry)) {
+            result.errors.push("Input path does not exist: " + entry);
+            continue;
+        }
+
+        for (var j = 0; j < matches.length; j++) {
+            var absResult = fs.abs(matches[j]);
+            var matchPath = absResult.error ? matches[j] : absResult.path;
+            if (!seen[matchPath]) {
+                seen[matchPath] = true;
+                result.paths.push(matchPath);
+            }
+        }
+    }
+
+    if (result.paths.length === 0 && result.errors.length === 0) {
+        result.errors.push("Input path is required");
+    }
+    return result;
+}
+
+function readInputEntries(items, baseDir, errors) {
+    var entries = [];
+    for (var i = 0; i < items.length; i++) {
+        var item = items[i].trim();
+        if (!item) {
+            continue;
+        }
+        var isListFile = item.charAt(0) === "@";
+        if (isListFile) {
+            item = item.substring(1);
+        }
+        if (baseDir && !/^([\/\\]|[A-Za-z]:)/.test(item)) {
+            // Entries of a list file are relative to the list file
+            item = fs.join([baseDir, item]);
+        }
+        if (!isListFile) {
+            entries.push(item);
+            continue;
+        }
+
+        var listPath = item;
+        var readResult = fs.read(listPath);
+        if (readResult.error) {
+            errors.push("Cannot read input list " + listPath + ": " + readResult.error);
+            continue;
+        }
+        var lines = readResult.content.split(/\r?\n/).filter(function (line) {
+            return line.trim().charAt(0) !== "#";
+        });
+        entries = entries.concat(readInputEntries(lines, fs.dirname(listPath), errors));
+    }
+    return entries;
+}
+
+function expandInputGlob(pattern) {
+    // Walk from the folder before the first wildcard and match the rest of the pattern
+    var segments = pattern.replace(/\\/g, "/").split("/");
+    var firstWildcard = 0;
+    while (firstWildcard < segments.length && !/[*?]/.test(segments[firstWildcard])) {
+        firstWildcard++;
+    }
+    var baseDir = segments.slice(0, firstWildcard).join("/") || (pattern.charAt(0) === "/" ? "/" : ".");
+    var rest = segments.slice(firstWildcard).join("/");
+    if (!fs.isDir(baseDir)) {
+        return [];
+    }
+    var absResult = fs.abs(baseDir);
+    baseDir = absResult.error ? baseDir : absResult.path;
+
+    var maxDepth = rest.indexOf("**") !== -1 ? 0 : segments.length - firstWildcard;
+    var matches = [];
+    collectGlobMatches(baseDir, baseDir, 1, maxDepth, globToRegExp(rest), matches);
+    return matches.sort();
+}
+
+function collectGlobMatches(rootDir, dirPath, depth, maxDepth, regex, matches) {
+    var listResult = fs.readdir(dirPath);
+    if (listResult.error) {
+        return;
+    }
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        if (regex.test(getRelativePath(rootDir, fileInfo.path))) {
+            matches.push(fileInfo.path);
+        } else if (fileInfo.is_dir && (!maxDepth || depth < maxDepth)) {
+            collectGlobMatches(rootDir, fileInfo.path, depth + 1, maxDepth, regex, matches);
+        }
+    }
+}
+
+function collectInputFiles(inputPaths, findFiles) {
+    // Files of every input entry, each remembering the folder it was found in
+    // (folder entries are mirrored below the output directory, file entries are not)
+    var inputFiles = { files: [], roots: {} };
+    for (var i = 0; i < inputPaths.length; i++) {
+        var found = findFiles(inputPaths[i]);
+        if (found.length === 0 && fs.isFile(inputPaths[i])) {
+            console.warn("⚠️  Skipping unsupported file:", inputPaths[i]);
+        }
+        for (var j = 0; j < found.length; j++) {
+            if (inputFiles.roots[found[j]] === undefined) {
+                inputFiles.files.push(found[j]);
+                inputFiles.roots[found[j]] = fs.isDir(inputPaths[i]) ? inputPaths[i] : "";
+            }
+        }
+    }
+    return inputFiles;
+}
+
+function getInputSubdir(inputFiles, filePath) {
+    var rootDir = inputFiles.roots[filePath];
+    return rootDir ? getRelativeSubdir(rootDir, filePath) : "";
+}
+
+function getCommonDirectory(inputPaths) {
+    // Deepest folder containing every input entry. fs.dirname and fs.rel know the
+    // separators of the host, so Windows paths with backslashes find the same root
+    if (inputPaths.length === 0) {
+        return "/";
+    }
+    var common = fs.isDir(inputPaths[0]) ? inputPaths[0] : fs.dirname(inputPaths[0]);
+    for (var i = 1; i < inputPaths.length; i++) {
+        while (!isInsideDirectory(common, inputPaths[i]) && fs.dirname(common) !== common) {
+            common = fs.dirname(common);
+        }
+    }
+    return common;
+}
+
+function isInsideDirectory(dirPath, targetPath) {
+    // True for the folder itself and everything below it
+    var relResult = fs.rel(dirPath, targetPath);
+    return !relResult.error && !/^\.\.([\\\/]|$)/.test(relResult.path);
+}
+
+// ======================== Output Naming ========================
+
+// name_template settings, configured once by main(). Output paths handed out in
+// this run, and those the run journal records for earlier runs, are remembered so
+// that two sources never end up in the same file
+var outputNaming = { template: "{base}", date: "", usesFields: false, numbers: {}, total: 0, claimed: {}, recorded: {} };
+
+var NAME_PLACEHOLDERS = ["base", "ext", "date", "md5_8", "index", "parent"];
+
+function configureOutputNaming(template, allowDataFields) {
+    if (/[\/\\]/.test(template)) {
+        console.error("❌ Error: name_template must not contain path separators:", template);
         return false;
     }
-    
-    console.log("✅ Review result saved");
-    
-    // Preserve extracted text file for reference
-    console.log("📁 Preserving extracted text file for reference:");
-    console.log("   " + tempTextFile);
-    console.log("💡 Note: Extracted text file is preserved for future reference");
-    console.log("   If you want to clean up manually later, you can delete: " + tempTextFile);
-    
+
+    var usesFields = false;
+    var placeholders = template.match(/\{[^}]*\}/g) || [];
+    for (var i = 0; i < placeholders.length; i++) {
+        var name = placeholders[i].slice(1, -1);
+        if (NAME_PLACEHOLDERS.indexOf(name) !== -1) {
+            continue;
+        }
+        // Any other name refers to a field of the extracted data, where the workflow has some
+        if (allowDataFields && /^[A-Za-z_][\w.]*$/.test(name)) {
+            usesFields = true;
+            continue;
+        }
+        var suggestion = suggestClosest(name, NAME_PLACEHOLDERS);
+        console.error("❌ Error: Unknown placeholder " + placeholders[i] + " in name_template" + (suggestion ? " (did you mean {" + suggestion + "}?)" : ""));
+        console.log("Supported placeholders: {" + NAME_PLACEHOLDERS.join("}, {") + "}" + (allowDataFields ? " and extracted fields such as {vendor}" : ""));
+        return false;
+    }
+
+    var today = new Date();
+    outputNaming = {
+        template: template,
+        date: today.getFullYear() + "-" + padNumber(today.getMonth() + 1, 2) + "-" + padNumber(today.getDate(), 2),
+        usesFields: usesFields,
+        numbers: {},
+        total: 0,
+        claimed: {},
+        recorded: {}
+    };
     return true;
 }
 
+function numberOutputNames(files) {
+    // {index} counts over the whole batch before it is sharded, so that every shard
+    // (and the merge run after them) gives a file the same number as one unsharded run
+    outputNaming.numbers = {};
+    outputNaming.total = files.length;
+    for (var i = 0; i < files.length; i++) {
+        outputNaming.numbers[files[i]] = i + 1;
+    }
+}
+
+function renderOutputName(sourceFile, fields) {
+    if (!outputNaming.numbers.hasOwnProperty(sourceFile)) {
+        // Files that arrive later in watch mode continue the numbering
+        outputNaming.total++;
+        outputNaming.numbers[sourceFile] = outputNaming.total;
+    }
+    var values = {
+        base: fs.basename(sourceFile),
+        ext: fs.ext(sourceFile).replace(/^\./, ""),
+        date: outputNaming.date,
+        index: padNumber(outputNaming.numbers[sourceFile], String(outputNaming.total).length),
+        parent: fs.filename(fs.dirname(sourceFile))
+    };
+
+    var name = outputNaming.template.replace(/\{([^}]*)\}/g, function (match, key) {
+        if (key === "md5_8") {
+            return getFileMd5(sourceFile).substring(0, 8) || "nohash";
+        }
+        return sanitizeNamePart(values.hasOwnProperty(key) ? values[key] : getFieldValue(fields, key));
+    });
+    return name.trim() || values.base;
+}
+
+function getFieldValue(fields, fieldPath) {
+    // Dotted paths reach into nested objects, e.g. {total.amount}
+    var value = fields;
+    var parts = fieldPath.split(".");
+    for (var i = 0; i < parts.length && value !== null && value !== undefined; i++) {
+        value = typeof value === "object" ? value[parts[i]] : undefined;
+    }
+    return value === null || value === undefined || typeof value === "object" ? "" : value;
+}
+
+function sanitizeNamePart(value) {
+    // Keep the value readable, only drop characters that are not allowed in file names
+    return String(value).replace(/[\/\\:*?"<>|\x00-\x1f]+/g, "_").trim() || "unknown";
+}
+
+function padNumber(number, width) {
+    var text = String(number);
+    while (text.length < width) {
+        text = "0" + text;
+    }
+    return text;
+}
+
+function claimOutputPath(dirPath, stem, suffix, sourceFile, avoidExisting) {
+    // Add -2, -3 ... when another source already uses the name, in this run or in an
+    // earlier one. avoidExisting also passes over any file on disk that is not known to
+    // belong to the source, for names that depend on what was extracted from it
+    var candidate = fs.join([dirPath, stem + suffix]);
+    for (var n = 2; isOutputPathTaken(candidate, sourceFile, avoidExisting); n++) {
+        candidate = fs.join([dirPath, stem + "-" + n + suffix]);
+    }
+    if (n > 2) {
+        console.log("🏷️  " + stem + suffix + " is used by another file, writing " + fs.filename(candidate));
+    }
+    outputNaming.claimed[candidate] = sourceFile;
+    return candidate;
+}
+
+function isOutputPathTaken(candidate, sourceFile, avoidExisting) {
+    var owner = outputNaming.claimed[candidate] || outputNaming.recorded[candidate];
+    if (owner) {
+        return owner !== sourceFile;
+    }
+    return !!avoidExisting && fs.exists(candidate);
+}
+
+function rememberJournalOutputs(journal, inputRoot) {
+    // Outputs that earlier runs wrote keep belonging to their sources
+    for (var key in journal.data.items) {
+        var output = journal.data.items[key].output;
+        if (output) {
+            outputNaming.recorded[output] = fs.join([inputRoot, key]);
+        }
+    }
+}
+
+// ======================== Variables ========================
+
+function readVariables(schema) {
+    // Parse and validate every variable in the schema, collecting all problems at once
+    var options = { values: {}, errors: [] };
+    var explained = {};
+
+    for (var i = 0; i < schema.length; i++) {
+        var variable = schema[i];
+        var raw = getOption(variable.name).trim();
+        var parsed = raw ? parseVariableValue(variable, raw) : { value: variable.type === "list" ? [] : variable.default };
+
+        if (!raw && variable.required) {
+            var misspelling = findMisspelledVariable(variable.name, schema);
+            if (misspelling) {
+                explained[misspelling] = true;
+            }
+            options.errors.push(variable.name + " is required" + (misspelling ? " ('" + misspelling + "' was given, did you mean '" + variable.name + "'?)" : ""));
+        } else if (parsed.error) {
+            options.errors.push(variable.name + "=" + raw + ": " + parsed.error);
+        }
+        options.values[variable.name] = parsed.error ? variable.default : parsed.value;
+    }
+
+    options.errors = options.errors.concat(findMisspelledVariables(schema, explained), findUnknownConfigVariables(schema));
+    return options;
+}
+
+function parseVariableValue(variable, raw) {
+    switch (variable.type) {
+        case "boolean":
+            if (raw === "true" || raw === "false") {
+                return { value: raw === "true" };
+            }
+            return { error: "expected true or false" };
+        case "integer":
+        case "number":
+            var number = variable.type === "integer" ? (/^-?\d+$/.test(raw) ? parseInt(raw, 10) : NaN) : Number(raw);
+            if (isNaN(number) || !isFinite(number)) {
+                return { error: "expected " + (variable.type === "integer" ? "a whole number" : "a number") };
+            }
+            if (variable.min !== undefined && number < variable.min) {
+                return { error: "must be at least " + variable.min };
+            }
+            return { value: number };
+        case "enum":
+            if (variable.values.indexOf(raw) !== -1) {
+                return { value: raw };
+            }
+            var suggestion = suggestClosest(raw, variable.values);
+            return { error: "expected one of " + variable.values.join(", ") + (suggestion ? " (did you mean '" + suggestion + "'?)" : "") };
+        case "list":
+            return { value: parsePatternList(raw) };
+        default:
+            return { value: raw };
+    }
+}
+
+function findUnknownConfigVariables(schema) {
+    var knownNames = {};
+    var names = [];
+    for (var i = 0; i < schema.length; i++) {
+        knownNames[schema[i].name] = true;
+        names.push(schema[i].name);
+    }
+
+    // A workflow-specific config section may only hold this workflow's variables
+    var errors = [];
+    for (var key in workflowConfig.origins) {
+        if (knownNames[key] || workflowConfig.origins[key].indexOf("workflows.") === -1) {
+            continue;
+        }
+        var suggestion = suggestClosest(key, names);
+        errors.push("Unknown variable '" + key + "' in " + workflowConfig.origins[key] + (suggestion ? " (did you mean '" + suggestion + "'?)" : ""));
+    }
+
+    return errors;
+}
+
+function findMisspelledVariables(schema, explained) {
+    // The host cannot list the --var names it was given, so every known name is looked up
+    // under its likeliest misspellings (fromat, recursiv). All one-edit variants of every
+    // name would take thousands of getVar() calls
+    var knownNames = {};
+    for (var i = 0; i < schema.length; i++) {
+        knownNames[schema[i].name] = true;
+    }
+
+    var errors = [];
+    var reported = {};
+    for (var j = 0; j < schema.length; j++) {
+        var variants = getSpellingVariants(schema[j].name, true);
+        for (var k = 0; k < variants.length; k++) {
+            var variant = variants[k];
+            if (knownNames[variant] || reported[variant] || explained[variant] || !getVar(variant)) {
+                continue;
+            }
+            reported[variant] = true;
+            errors.push("Unknown variable '" + variant + "' (did you mean '" + schema[j].name + "'?)");
+        }
+    }
+    return errors;
+}
+
+function findMisspelledVariable(name, schema) {
+    // A missing required variable is looked for under all of its one-edit misspellings,
+    // so that the error can name the variable that was given instead
+    var variants = getSpellingVariants(name);
+    for (var i = 0; i < variants.length; i++) {
+        var isKnown = schema.some(function (variable) {
+            return variable.name === variants[i];
+        });
+        if (!isKnown && getVar(variants[i])) {
+            return variants[i];
+        }
+    }
+    return "";
+}
+
+function getSpellingVariants(name, likelyOnly) {
+    // One letter dropped, swapped with the next, added or changed. likelyOnly keeps
+    // dropped, swapped and doubled letters: a few dozen variants instead of hundreds
+    var letters = "abcdefghijklmnopqrstuvwxyz_";
+    var variants = [];
+    for (var i = 0; i <= name.length; i++) {
+        var head = name.substring(0, i);
+        var tail = name.substring(i);
+        if (tail) {
+            variants.push(head + tail.substring(1));
+        }
+        if (tail.length > 1) {
+            variants.push(head + tail.charAt(1) + tail.charAt(0) + tail.substring(2));
+        }
+        if (likelyOnly) {
+            if (tail) {
+                variants.push(head + tail.charAt(0) + tail);
+            }
+            continue;
+        }
+        for (var j = 0; j < letters.length; j++) {
+            variants.push(head + letters.charAt(j) + tail);
+            if (tail && letters.charAt(j) !== tail.charAt(0)) {
+                variants.push(head + letters.charAt(j) + tail.substring(1));
+            }
+        }
+    }
+    return variants;
+}
+
+function suggestClosest(word, candidates) {
+    // Closest candidate by edit distance, if it is close enough to be a typo
+    var best = "";
+    var bestDistance = Math.max(2, Math.floor(word.length / 3)) + 1;
+    for (var i = 0; i < candidates.length; i++) {
+        var distance = getEditDistance(word.toLowerCase(), candidates[i].toLowerCase());
+        if (distance < bestDistance) {
+            best = candidates[i];
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function getEditDistance(a, b) {
+    // Levenshtein distance, counting a swap of two neighbouring letters as one edit
+    var rows = [];
+    for (var i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (var j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+            var distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+function printVariableErrors(errors) {
+    for (var i = 0; i < errors.length; i++) {
+        console.error("❌ Error: " + errors[i]);
+    }
+    console.log("Run with --var help=true to list the supported variables");
+}
+
+function printVariableHelp(description, usage, schema) {
+    console.log(description);
+    console.log("Usage: " + usage);
+    console.log("Note: the host does not list the variables passed in, so only --var names with a letter dropped, doubled or swapped are reported as misspelled");
+    console.log("Supported variables:");
+    for (var i = 0; i < schema.length; i++) {
+        var variable = schema[i];
+        var details = [];
+        if (variable.required) {
+            details.push("required");
+        }
+        if (variable.type === "enum") {
+            details.push(variable.values.join(", "));
+        } else if (variable.type === "boolean") {
+            details.push("true/false");
+        }
+        var defaultLabel = variable.defaultLabel || (variable.type !== "boolean" && variable.default !== undefined && variable.default !== "" ? String(variable.default) : "");
+        if (defaultLabel) {
+            details.push("default: " + defaultLabel);
+        }
+        console.log("  " + variable.name + ": " + variable.description + (details.length > 0 ? " (" + details.join("; ") + ")" : ""));
+    }
+}
+
+// ======================== Configuration ========================
+
+// Settings from a config file, merged under explicit --var values by getOption()
+var workflowConfig = { path: "", profile: "", values: {}, origins: {} };
+
+var CONFIG_FILE_NAME = ".amo-workflow.json";
+
+function loadWorkflowConfig(workflowName) {
+    // config=<file.json>, otherwise a .amo-workflow.json next to the input
+    var configPath = getVar("config") || "";
+    if (!configPath) {
+        configPath = findConfigFile(getVar("input") || "");
+        if (!configPath) {
+            return true;
+        }
+    } else if (!fs.exists(configPath)) {
+        console.error("❌ Error: Config file does not exist:", configPath);
+        return false;
+    }
+
+    var readResult = fs.read(configPath);
+    if (readResult.error) {
+        console.error("❌ Error: Failed to read config file:", readResult.error);
+        return false;
+    }
+
+    var config;
+    try {
+        config = JSON.parse(readResult.content);
+    } catch (error) {
+        console.error("❌ Error: Config file is not valid JSON: " + configPath + " (" + error.message + ")");
+        return false;
+    }
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        console.error("❌ Error: Config file must contain a JSON object:", configPath);
+        return false;
+    }
+
+    // Later layers win: top level < workflows.<name> < profiles.<profile> < profiles.<profile>.workflows.<name>
+    var profileName = isVarSet("profile") ? getVar("profile") || "" : config.profile || "";
+    var profiles = config.profiles || {};
+    var layers = [
+        { values: config, origin: "config" },
+        { values: (config.workflows || {})[workflowName], origin: "config: workflows." + workflowName }
+    ];
+    if (profileName) {
+        var profile = profiles[profileName];
+        if (!profile || typeof profile !== "object") {
+            var profileNames = Object.keys(profiles);
+            console.error("❌ Error: Unknown profile '" + profileName + "' in " + configPath);
+            console.log("Available profiles:", profileNames.length > 0 ? profileNames.join(", ") : "(none)");
+            return false;
+        }
+        layers.push({ values: profile, origin: "profile: " + profileName });
+        layers.push({ values: (profile.workflows || {})[workflowName], origin: "profile: " + profileName + ", workflows." + workflowName });
+    }
+
+    workflowConfig = { path: configPath, profile: profileName, values: {}, origins: {} };
+    for (var i = 0; i < layers.length; i++) {
+        mergeConfigValues(layers[i].values, layers[i].origin);
+    }
+    return true;
+}
+
+function findConfigFile(inputPath) {
+    // With a list of inputs, the config file sits next to the first entry
+    if (inputPath && !fs.exists(inputPath)) {
+        inputPath = inputPath.split(/[,\n]/)[0].trim();
+    }
+    if (!inputPath || !fs.exists(inputPath)) {
+        return "";
+    }
+    var inputDir = fs.isDir(inputPath) ? inputPath : fs.dirname(inputPath);
+    var candidate = fs.join([inputDir, CONFIG_FILE_NAME]);
+    return fs.exists(candidate) ? candidate : "";
+}
+
+function mergeConfigValues(values, origin) {
+    if (!values || typeof values !== "object") {
+        return;
+    }
+    for (var key in values) {
+        // Structure keys, and keys that would load another config, are not settings
+        if (!values.hasOwnProperty(key) || key === "profiles" || key === "workflows" || key === "profile" || key === "config") {
+            continue;
+        }
+        var value = values[key];
+        if (value === null || (typeof value === "object" && !Array.isArray(value))) {
+            continue;
+        }
+        // Values are handed out like --var strings: lists become comma-separated
+        workflowConfig.values[key] = Array.isArray(value) ? value.join(",") : String(value);
+        workflowConfig.origins[key] = origin;
+    }
+}
+
+function getOption(key) {
+    // An explicit --var always wins over the config file, an empty one too
+    if (isVarSet(key)) {
+        return getVar(key) || "";
+    }
+    return workflowConfig.values.hasOwnProperty(key) ? workflowConfig.values[key] : "";
+}
+
+// Whether getVar() returns null or undefined for variables that were not passed, so that
+// an empty --var (which reads as "") can be told apart. Found out on first use
+var hostReportsUnsetVars = null;
+
+function isVarSet(key) {
+    if (hostReportsUnsetVars === null) {
+        var probe = getVar("amo_workflow_unset_probe");
+        hostReportsUnsetVars = probe === null || probe === undefined;
+    }
+    var value = getVar(key);
+    if (value === null || value === undefined) {
+        return false;
+    }
+    // Hosts that return "" for unset variables cannot tell an empty --var from a missing one
+    return value !== "" || hostReportsUnsetVars;
+}
+
+function printEffectiveConfig(schema, values) {
+    // Final value of every variable the config file or --var set, and where it came from
+    if (!workflowConfig.path) {
+        return;
+    }
+    console.log("⚙️  Config file:", workflowConfig.path + (workflowConfig.profile ? " (profile: " + workflowConfig.profile + ")" : ""));
+    for (var i = 0; i < schema.length; i++) {
+        var key = schema[i].name;
+        var inConfig = workflowConfig.values.hasOwnProperty(key);
+        var fromVar = isVarSet(key);
+        if (!inConfig && !fromVar) {
+            continue;
+        }
+        var value = Array.isArray(values[key]) ? values[key].join(",") : String(values[key]);
+        var origin = fromVar ? "--var" : workflowConfig.origins[key];
+        if (fromVar && inConfig) {
+            origin += ", overrides " + (workflowConfig.values[key] || "(empty)") + " from " + workflowConfig.origins[key];
+        }
+        console.log("  " + key + " = " + (value || "(empty)") + " (" + origin + ")");
+    }
+}
+
+// ======================== Dry Run ========================
+
+function formatCommandLine(command, args) {
+    // Quote arguments the way a shell would need them, so the line can be copied as-is
+    var parts = [command];
+    for (var i = 0; i < args.length; i++) {
+        var arg = String(args[i]);
+        if (arg === "" || /[\s"'$`\\]/.test(arg)) {
+            arg = "\"" + arg.replace(/(["$`\\])/g, "\\$1") + "\"";
+        }
+        parts.push(arg);
+    }
+    return parts.join(" ");
+}
+
+function printPlannedItem(outputFile, commandLines) {
+    console.log("📝 Would write: " + outputFile);
+    for (var i = 0; i < commandLines.length; i++) {
+        console.log("🔧 Would run: " + commandLines[i]);
+    }
+}
+
+function printDryRunSummary(plannedCount, totalCount) {
+    console.log("🧪 Dry Run Summary:");
+    console.log("===================");
+    console.log("📝 Would process:", plannedCount);
+    console.log("⏭️ Would skip:", totalCount - plannedCount);
+    console.log("📊 Total discovered:", totalCount);
+    console.log("");
+    console.log("ℹ️  Nothing was changed: no directories created, no commands run, no files written");
+}
+
+// ======================== Watch Mode ========================
+
+// watch=true keeps polling the input folders after the first pass and hands new
+// files to the same per-file loop once they have stopped growing
+var WATCH_DONE_DIR = "done";
+var WATCH_FAILED_DIR = "failed";
+
+function createWatcher(inputPaths, inputFiles, findFiles, settings) {
+    return {
+        folders: inputPaths,
+        inputFiles: inputFiles,
+        findFiles: findFiles,
+        interval: settings.interval,
+        idleExit: settings.idleExit,
+        moveProcessed: settings.moveProcessed,
+        pending: {},
+        written: {}
+    };
+}
+
+function getWatchExcludePatterns() {
+    // Processed sources must not be picked up again from done/ and failed/
+    return [WATCH_DONE_DIR + "/**", WATCH_FAILED_DIR + "/**"];
+}
+
+function waitForNewFiles(watcher) {
+    // Blocks until new files are ready and returns true, false when watching should stop
+    if (!watcher) {
+        return false;
+    }
+    var stopNote = watcher.idleExit > 0 ? "stopping after " + watcher.idleExit + "s without new files" : "press Ctrl+C to stop";
+    console.log("👀 Watching " + watcher.folders.length + " folder(s) for new files every " + watcher.interval + "s (" + stopNote + ")");
+
+    var idleSince = new Date().getTime();
+    while (true) {
+        if (!pauseSeconds(watcher.interval)) {
+            // Polling again at once would keep the CPU busy for as long as the watch runs
+            console.error("❌ Cannot wait between polls, stopping watch");
+            console.log("");
+            return false;
+        }
+        var readyCount = pollWatchedFolders(watcher);
+        if (readyCount > 0) {
+            console.log("📥 " + readyCount + " new file(s) ready");
+            console.log("");
+            return true;
+        }
+        if (Object.keys(watcher.pending).length > 0) {
+            // Something is still being written, that is not idle time
+            idleSince = new Date().getTime();
+        }
+        if (watcher.idleExit > 0 && new Date().getTime() - idleSince >= watcher.idleExit * 1000) {
+            console.log("💤 No new files for " + watcher.idleExit + "s, stopping watch");
+            console.log("");
+            return false;
+        }
+    }
+}
+
+function pollWatchedFolders(watcher) {
+    // A new file is ready once two polls in a row see the same size, so scans and
+    // copies that are still being written are left alone
+    var readyCount = 0;
+    var stillGrowing = {};
+    for (var i = 0; i < watcher.folders.length; i++) {
+        var found = watcher.findFiles(watcher.folders[i]);
+        for (var j = 0; j < found.length; j++) {
+            var filePath = found[j];
+            if (watcher.inputFiles.roots[filePath] !== undefined || watcher.written[filePath]) {
+                continue;
+            }
+            var sizeResult = fs.size(filePath);
+            if (sizeResult.error) {
+                continue;
+            }
+            if (watcher.pending[filePath] === sizeResult.size) {
+                watcher.inputFiles.files.push(filePath);
+                watcher.inputFiles.roots[filePath] = watcher.folders[i];
+                readyCount++;
+            } else {
+                stillGrowing[filePath] = sizeResult.size;
+            }
+        }
+    }
+    watcher.pending = stillGrowing;
+    return readyCount;
+}
+
+function finishWatchedFile(watcher, sourceFile, succeeded) {
+    if (!watcher) {
+        return;
+    }
+    // Outputs written next to the sources are not new arrivals
+    for (var i = 0; i < processingTrace.outputs.length; i++) {
+        watcher.written[processingTrace.outputs[i]] = true;
+    }
+
+    // move_processed=true: <input>/done/ or <input>/failed/, keeping sub-folders
+    if (!watcher.moveProcessed) {
+        return;
+    }
+    var rootDir = watcher.inputFiles.roots[sourceFile];
+    if (!rootDir) {
+        return;
+    }
+    var targetDir = succeeded ? WATCH_DONE_DIR : WATCH_FAILED_DIR;
+    var targetFile = fs.join([rootDir, targetDir, getRelativePath(rootDir, sourceFile)]);
+    if (fs.exists(targetFile)) {
+        // An earlier file with the same name was already moved there
+        targetFile = fs.join([fs.dirname(targetFile), fs.basename(targetFile) + "-" + new Date().getTime() + fs.ext(targetFile)]);
+    }
+
+    var mkdirResult = fs.mkdir(fs.dirname(targetFile));
+    var moveResult = mkdirResult.error ? mkdirResult : fs.move(sourceFile, targetFile);
+    if (moveResult.error) {
+        console.warn("⚠️  Could not move " + fs.filename(sourceFile) + " to " + targetDir + "/:", moveResult.error);
+        return;
+    }
+    console.log("📦 Moved source to " + getRelativePath(rootDir, targetFile));
+    // Forget the file so a new one dropped under the same name is processed again
+    delete watcher.inputFiles.roots[sourceFile];
+}
+
+// ======================== Sharding ========================
+
+// shard=k/N splits one batch across N invocations running side by side: each takes
+// every N-th file of the sorted list, keeps its own journal and report, and locks
+// the item it works on. merge=true folds the shard journals and reports back together.
+
+function parseShard(value) {
+    var match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || "");
+    if (!match) {
+        return { error: "shard must look like k/N, e.g. 2/4 (got '" + value + "')" };
+    }
+    var index = parseInt(match[1], 10);
+    var count = parseInt(match[2], 10);
+    if (count < 1 || index < 1 || index > count) {
+        return { error: "shard " + value + " is out of range, k must be between 1 and N" };
+    }
+    return { index: index, count: count, label: "shard-" + index + "-of-" + count };
+}
+
+function selectShardFiles(files, shard, inputRoot) {
+    // Sort by relative path so every shard sees the same order, whatever the listing order
+    var sorted = files.slice().sort(function (a, b) {
+        var keyA = getRelativePath(inputRoot, a);
+        var keyB = getRelativePath(inputRoot, b);
+        return keyA < keyB ? -1 : (keyA > keyB ? 1 : 0);
+    });
+    return sorted.filter(function (file, index) {
+        return index % shard.count === shard.index - 1;
+    });
+}
+
+function getShardPath(filePath, shardLabel) {
+    // report.json -> report.shard-2-of-4.json
+    var ext = fs.ext(filePath);
+    return fs.join([fs.dirname(filePath), fs.basename(filePath) + "." + shardLabel + ext]);
+}
+
+function openItemLocks(journalDir, workflowName, shard, timeoutSeconds) {
+    return {
+        dir: fs.join([journalDir, "." + workflowName + ".locks"]),
+        owner: shard.label + "-" + new Date().getTime() + "-" + Math.floor(Math.random() * 1000000),
+        timeout: timeoutSeconds
+    };
+}
+
+function getLockPath(locks, key) {
+    // "/" becomes "__", and every other character outside [A-Za-z0-9.-] ("_" too) becomes
+    // "_" plus its four-digit hex code, so a/b.pdf and a__b.pdf do not share a lock
+    var name = key.replace(/[^A-Za-z0-9.\-\/\\]/g, function (ch) {
+        return "_" + ("000" + ch.charCodeAt(0).toString(16)).slice(-4);
+    }).replace(/[\/\\]/g, "__");
+    return fs.join([locks.dir, name + ".lock"]);
+}
+
+function acquireItemLock(locks, key) {
+    // Best effort: the host has no exclusive create, so write the lock and read it
+    // back to see whether another shard wrote its own in between
+    var lockPath = getLockPath(locks, key);
+    var readResult = fs.read(lockPath);
+    if (!readResult.error) {
+        var holder = null;
+        try {
+            holder = JSON.parse(readResult.content);
+        } catch (error) {
+            holder = null;
+        }
+        var age = holder && holder.startedAt ? (new Date().getTime() - holder.startedAt) / 1000 : Infinity;
+        if (age < locks.timeout) {
+            return false;
+        }
+        console.warn("⚠️  Taking over stale lock (" + (holder && holder.owner || "unknown owner") + "): " + key);
+    }
+
+    var mkdirResult = fs.mkdir(locks.dir);
+    if (mkdirResult.error) {
+        console.warn("⚠️  Cannot create lock directory, continuing without lock:", mkdirResult.error);
+        return true;
+    }
+    var lock = { owner: locks.owner, item: key, started: new Date().toISOString(), startedAt: new Date().getTime() };
+    var writeResult = fs.write(lockPath, JSON.stringify(lock, null, 2));
+    if (writeResult.error) {
+        console.warn("⚠️  Cannot write lock, continuing without lock:", writeResult.error);
+        return true;
+    }
+    var checkResult = fs.read(lockPath);
+    return !checkResult.error && checkResult.content.indexOf('"' + locks.owner + '"') !== -1;
+}
+
+function releaseItemLock(locks, key) {
+    if (locks) {
+        fs.remove(getLockPath(locks, key));
+    }
+}
+
+function mergeShardResults(journal, files, inputRoot) {
+    // Journals first: the merged journal is what resume and later merges read
+    var journalDir = fs.dirname(journal.path);
+    var shardJournals = mergeShardJournals(journal);
+    if (shardJournals === 0) {
+        console.log("ℹ️  No shard journals found in " + journalDir + ", using the run journal as it is");
+    } else {
+        console.log("🧩 Merged " + shardJournals + " shard journal(s) into " + fs.filename(journal.path));
+    }
+
+    var counts = { done: 0, failed: 0, pending: 0, missing: 0 };
+    var unfinished = [];
+    for (var i = 0; i < files.length; i++) {
+        var key = getRelativePath(inputRoot, files[i]);
+        var entry = journal.data.items[key];
+        var state = entry ? entry.state : "missing";
+        counts[state] = (counts[state] || 0) + 1;
+        if (state !== "done") {
+            unfinished.push(key + " (" + (state === "missing" ? "not processed" : state) + ")");
+        }
+    }
+
+    var lockDir = fs.join([journalDir, "." + journal.data.workflow + ".locks"]);
+    var lockList = fs.readdir(lockDir);
+    if (!lockList.error && lockList.files.length > 0) {
+        console.warn("⚠️  " + lockList.files.length + " item(s) are still locked, is a shard still running? (" + lockDir + ")");
+    } else if (!lockList.error) {
+        fs.remove(lockDir);
+    }
+
+    console.log("");
+    console.log("🧩 Merge Summary:");
+    console.log("===================");
+    console.log("✅ Done:", counts.done);
+    console.log("❌ Failed:", counts.failed);
+    console.log("⏳ Unfinished:", counts.pending);
+    console.log("❔ Not processed:", counts.missing);
+    if (unfinished.length > 0) {
+        console.log("");
+        console.log("Files without a result (rerun the shards with resume=true):");
+        for (var u = 0; u < unfinished.length; u++) {
+            console.log("  " + unfinished[u]);
+        }
+    }
+    return counts;
+}
+
+function mergeShardJournals(journal) {
+    // .<workflow>.shard-k-of-N.journal.json next to the run journal, newest entry wins
+    var journalDir = fs.dirname(journal.path);
+    var pattern = new RegExp("^\\." + journal.data.workflow.replace(/[.\-]/g, "\\$&") + "\\.shard-\\d+-of-\\d+\\.journal\\.json$");
+    var listResult = fs.readdir(journalDir);
+    if (listResult.error) {
+        return 0;
+    }
+
+    var merged = [];
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        if (fileInfo.is_dir || !pattern.test(fileInfo.name)) {
+            continue;
+        }
+        var readResult = fs.read(fileInfo.path);
+        var data = null;
+        try {
+            data = readResult.error ? null : JSON.parse(readResult.content);
+        } catch (error) {
+            data = null;
+        }
+        if (!data || !data.items) {
+            console.warn("⚠️  Skipping unreadable shard journal:", fileInfo.path);
+            continue;
+        }
+        for (var key in data.items) {
+            var current = journal.data.items[key];
+            if (!current || (data.items[key].updated || "") > (current.updated || "")) {
+                journal.data.items[key] = data.items[key];
+            }
+        }
+        merged.push(fileInfo.path);
+    }
+
+    if (merged.length > 0) {
+        saveJournal(journal);
+        for (var m = 0; m < merged.length; m++) {
+            fs.remove(merged[m]);
+        }
+    }
+    return merged.length;
+}
+
+function mergeShardReports(reportPath, summaryFiles) {
+    // report.shard-k-of-N.json files next to report.json become one report
+    var reportDir = fs.dirname(reportPath);
+    var prefix = fs.basename(reportPath) + ".shard-";
+    var listResult = fs.readdir(reportDir);
+    if (listResult.error) {
+        console.warn("⚠️  Cannot list shard reports:", listResult.error);
+        return false;
+    }
+
+    var report = null;
+    var mergedCount = 0;
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        if (fileInfo.is_dir || fileInfo.name.indexOf(prefix) !== 0 || fs.ext(fileInfo.name) !== fs.ext(reportPath)) {
+            continue;
+        }
+        var readResult = fs.read(fileInfo.path);
+        var data = null;
+        try {
+            data = readResult.error ? null : JSON.parse(readResult.content);
+        } catch (error) {
+            data = null;
+        }
+        if (!data || !data.files) {
+            console.warn("⚠️  Skipping unreadable shard report:", fileInfo.path);
+            continue;
+        }
+        if (!report) {
+            report = createRunReport(data.workflow, data.input, data.output);
+            report.started = data.started;
+            report.startedAt = new Date(data.started).getTime();
+        } else if (data.started < report.started) {
+            report.started = data.started;
+            report.startedAt = new Date(data.started).getTime();
+        }
+        report.files = report.files.concat(data.files);
+        report.summary_files = report.summary_files.concat(data.summary_files || []);
+        mergedCount++;
+    }
+
+    if (!report) {
+        console.log("ℹ️  No shard reports found next to " + reportPath);
+        return false;
+    }
+    if (summaryFiles) {
+        report.summary_files = report.summary_files.concat(summaryFiles);
+    }
+    console.log("🧩 Merged " + mergedCount + " shard report(s)");
+    return writeRunReport(report, reportPath);
+}
+
+// ======================== Intermediates ========================
+
+// Placement and clean-up of intermediate files, configured once by main():
+// keep them next to the output, collect them under <output root>/.work/, or
+// delete them once an item has been processed successfully
+var intermediatePolicy = { mode: "keep", root: "" };
+
+var INTERMEDIATES_DIR_NAME = ".work";
+
+function configureIntermediates(mode, rootDir) {
+    intermediatePolicy = { mode: mode, root: rootDir };
+}
+
+function getIntermediatePath(outputFile, name, mode) {
+    if ((mode || intermediatePolicy.mode) !== "separate") {
+        return fs.join([fs.dirname(outputFile), name]);
+    }
+    // .work/ mirrors the sub-folders of the output directory
+    var relativeDir = getRelativeSubdir(intermediatePolicy.root, outputFile);
+    return fs.join([intermediatePolicy.root, INTERMEDIATES_DIR_NAME, relativeDir, name]);
+}
+
+function removeIntermediates(paths) {
+    for (var i = 0; i < paths.length; i++) {
+        if (!paths[i] || !fs.exists(paths[i])) {
+            continue;
+        }
+        if (removePath(paths[i])) {
+            console.log("🧹 Removed intermediate: " + paths[i]);
+            // Removed files are no longer outputs of this item
+            var removedPath = paths[i];
+            processingTrace.outputs = processingTrace.outputs.filter(function (outputPath) {
+                return !isInsideDirectory(removedPath, outputPath);
+            });
+        }
+    }
+}
+
+function removePath(targetPath) {
+    if (fs.isDir(targetPath)) {
+        var listResult = fs.readdir(targetPath);
+        if (!listResult.error) {
+            for (var i = 0; i < listResult.files.length; i++) {
+                removePath(listResult.files[i].path);
+            }
+        }
+    }
+    var removeResult = fs.remove(targetPath);
+    if (removeResult.error) {
+        console.warn("⚠️  Failed to remove " + targetPath + ":", removeResult.error);
+        return false;
+    }
+    return true;
+}
+
+function collectIntermediates(dirPath, isIntermediate, found) {
+    var listResult = fs.readdir(dirPath);
+    if (listResult.error) {
+        return found;
+    }
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        if (isIntermediate(fileInfo)) {
+            found.push(fileInfo.path);
+        } else if (fileInfo.is_dir) {
+            collectIntermediates(fileInfo.path, isIntermediate, found);
+        }
+    }
+    return found;
+}
+
+function cleanIntermediates(isIntermediate, expectedIntermediates, dryRun) {
+    // expectedIntermediates maps the intermediate paths of the current sources to their outputs
+    console.log("🧹 Looking for orphaned intermediates in: " + intermediatePolicy.root);
+    var candidates = collectIntermediates(intermediatePolicy.root, isIntermediate, []);
+    var removedCount = 0;
+
+    for (var i = 0; i < candidates.length; i++) {
+        var outputFile = expectedIntermediates[candidates[i]];
+        var reason = "";
+        if (!outputFile) {
+            reason = "source no longer present";
+        } else if (intermediatePolicy.mode !== "keep" && fs.exists(outputFile)) {
+            reason = "output already complete";
+        }
+        if (!reason) {
+            continue;
+        }
+
+        if (dryRun) {
+            console.log("🧹 Would remove: " + candidates[i] + " (" + reason + ")");
+            removedCount++;
+        } else if (removePath(candidates[i])) {
+            console.log("🧹 Removed: " + candidates[i] + " (" + reason + ")");
+            removedCount++;
+        }
+    }
+
+    console.log("");
+    console.log("🧹 " + (dryRun ? "Would remove " : "Removed ") + removedCount + " orphaned intermediate(s), " +
+        (candidates.length - removedCount) + " still in use");
+}
+
+// ======================== Extraction Cache ========================
+
+// Shared doc-to-text cache, configured once by main(). Entries are keyed by the
+// md5 of the source file plus the extraction settings, so text extracted by one
+// workflow is reused by any other workflow pointed at the same cache directory
+var extractionCache = { mode: "off", dir: "", hits: 0, misses: 0, stores: 0 };
+
+var CACHE_MODES = ["off", "read", "write", "refresh"];
+
+function configureExtractionCache(mode, cacheDir) {
+    if (CACHE_MODES.indexOf(mode) === -1) {
+        console.error("❌ Error: Invalid cache mode: " + mode + " (expected " + CACHE_MODES.join(", ") + ")");
+        return false;
+    }
+    extractionCache = { mode: mode, dir: cacheDir, hits: 0, misses: 0, stores: 0 };
+    return true;
+}
+
+function getDefaultCacheDir() {
+    var cwdResult = fs.cwd();
+    return fs.join([cwdResult.error ? "." : cwdResult.path, ".doc-to-text-cache"]);
+}
+
+function getExtractionCacheEntry(documentFile, ocrTool, ocrLlmTemplate, contentType) {
+    if (extractionCache.mode === "off") {
+        return null;
+    }
+    // The tool picked at an interactive prompt is unknown, so it cannot be part of the key
+    if (!ocrTool || ocrTool === "interactive") {
+        return null;
+    }
+    var sourceMd5 = getFileMd5(documentFile);
+    if (!sourceMd5) {
+        return null;
+    }
+
+    // <cache_dir>/<md5 of source>/<ocr tool>[__<llm template>]__<content type>.txt
+    var settings = [ocrTool];
+    if (ocrTool === "llm-caller") {
+        settings.push(ocrLlmTemplate || "default");
+    }
+    settings.push(contentType || "auto");
+    var entryName = settings.join("__").replace(/[^A-Za-z0-9._-]/g, "_") + ".txt";
+    return { md5: sourceMd5, path: fs.join([extractionCache.dir, sourceMd5, entryName]) };
+}
+
+function hasCachedExtraction(cacheEntry) {
+    // refresh ignores existing entries and extracts again
+    return !!cacheEntry && extractionCache.mode !== "refresh" && fs.exists(cacheEntry.path);
+}
+
+function restoreCachedExtraction(cacheEntry, textFile) {
+    if (!cacheEntry) {
+        return false;
+    }
+    if (!hasCachedExtraction(cacheEntry)) {
+        extractionCache.misses++;
+        return false;
+    }
+
+    var copyResult = fs.copy(cacheEntry.path, textFile);
+    if (copyResult.error) {
+        console.warn("⚠️  Failed to restore cached text, extracting again:", copyResult.error);
+        extractionCache.misses++;
+        return false;
+    }
+
+    extractionCache.hits++;
+    processingTrace.steps.push({ step: "extract", command: "cache " + cacheEntry.path, duration_ms: 0, attempts: 0, success: true, cached: true });
+    console.log("⚡ Using cached text: " + cacheEntry.path);
+    return true;
+}
+
+function storeCachedExtraction(cacheEntry, textFile) {
+    if (!cacheEntry || extractionCache.mode === "read") {
+        return;
+    }
+    if (extractionCache.mode !== "refresh" && fs.exists(cacheEntry.path)) {
+        return;
+    }
+
+    // A cache that cannot be written only costs a later re-extraction
+    var entryDir = fs.dirname(cacheEntry.path);
+    var mkdirResult = fs.exists(entryDir) ? {} : fs.mkdir(entryDir);
+    var copyResult = mkdirResult.error ? mkdirResult : fs.copy(textFile, cacheEntry.path);
+    if (copyResult.error) {
+        console.warn("⚠️  Failed to store text in the extraction cache:", copyResult.error);
+        return;
+    }
+    extractionCache.stores++;
+}
+
+function getCacheStats() {
+    return {
+        mode: extractionCache.mode,
+        dir: extractionCache.dir,
+        hits: extractionCache.hits,
+        misses: extractionCache.misses,
+        stores: extractionCache.stores
+    };
+}
+
+function printCacheStats() {
+    if (extractionCache.mode === "off") {
+        return;
+    }
+    console.log("⚡ Extraction cache (" + extractionCache.mode + "): " + extractionCache.hits + " hits, " +
+        extractionCache.misses + " misses, " + extractionCache.stores + " stored");
+}
+
+// ======================== LLM Text Handoff ========================
+
+// A whole document does not fit on a command line (and shows up in the process list),
+// so the extracted text goes to llm-caller as a file when the installed version supports it
+var llmTextHandoff = { mode: "auto", supportsFile: null };
+// Linux caps a single argument at 128 KiB, leave room for multi-byte characters
+var MAX_ARGV_TEXT_LENGTH = 100000;
+
+function configureLlmTextHandoff(mode) {
+    llmTextHandoff.mode = mode;
+    llmTextHandoff.supportsFile = null;
+}
+
+function llmCallerSupportsFileVars() {
+    // Versions with file variables list the type in their help, e.g. "--var name:file:path"
+    if (llmTextHandoff.supportsFile === null) {
+        var helpResult = cliCommand("llm-caller", ["-h"], { timeout: 10 });
+        var helpText = (helpResult.stdout || "") + "\n" + (helpResult.stderr || "");
+        llmTextHandoff.supportsFile = /[:|]file\b/.test(helpText);
+        if (!llmTextHandoff.supportsFile && llmTextHandoff.mode === "auto") {
+            console.log("ℹ️  llm-caller does not accept text files, passing the text on the command line");
+        }
+    }
+    return llmTextHandoff.supportsFile;
+}
+
+function getLlmTextVar(textFile, text) {
+    // The --var value for the text and how to show it: the file path, or the text itself
+    if (llmTextHandoff.mode === "file" || (llmTextHandoff.mode === "auto" && llmCallerSupportsFileVars())) {
+        var absResult = fs.abs(textFile);
+        var filePath = absResult.error ? textFile : absResult.path;
+        return { value: "text:file:" + filePath, display: "text:file:" + filePath };
+    }
+    if (text.length > MAX_ARGV_TEXT_LENGTH) {
+        return {
+            error: "The extracted text has " + text.length + " characters, more than the " + MAX_ARGV_TEXT_LENGTH +
+                " that fit on a command line. Update llm-caller to a version that reads text:file: variables" +
+                (llmTextHandoff.mode === "argv" ? " and use llm_text_handoff=auto" : "")
+        };
+    }
+    return { value: "text:text:" + text, display: "text:text:[" + text.length + " characters]" };
+}
+
+function getPlannedLlmTextVar(textFile) {
+    // Dry run: llm-caller is not asked what it supports
+    return llmTextHandoff.mode === "argv" ? "text:text:<contents of " + textFile + ">" : "text:file:" + textFile;
+}
+
+function isArgumentListTooLong(result) {
+    var text = [result.error, result.stderr].join("\n").toLowerCase();
+    return text.indexOf("argument list too long") !== -1 || text.indexOf("e2big") !== -1 ||
+        text.indexOf("command line is too long") !== -1 || text.indexOf("filename or extension is too long") !== -1;
+}
+
+// ======================== Redaction ========================
+
+// redact=pii,secrets,<rules.json> replaces sensitive values in the text with placeholders such as
+// [EMAIL_1] before any llm-caller call; the same value always gets the same placeholder. The map
+// stays local in <name>.redaction.json and the saved review gets the original values back, while
+// chunk and model reviews kept for audit show the placeholders the LLM saw
+var redaction = { sources: [], rules: [] };
+
+// A rule replaces every match of pattern, or only capture group `group` (e.g. the value after a
+// label); `check` drops matches that fail a checksum, so order numbers are not taken for cards
+var REDACTION_RULE_SETS = {
+    pii: [
+        { name: "EMAIL", pattern: "[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}" },
+        { name: "IBAN", pattern: "\\b[A-Z]{2}[0-9]{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\\b", check: "iban" },
+        { name: "CARD", pattern: "\\b(?:[0-9][ -]?){12,18}[0-9]\\b", check: "luhn" },
+        { name: "CARD", pattern: "(?:[*xX\\u2022]{4}[ -]?){1,3}[0-9]{4}\\b" },
+        { name: "PHONE", pattern: "(?:\\+|\\b00)[1-9][0-9 ()./-]{6,18}[0-9]" },
+        { name: "PHONE", pattern: "\\b(?:phone|tel|telephone|fax|mobile)\\b\\.?:?\\s*(\\(?[0-9][0-9 ()./-]{5,18}[0-9])", flags: "i", group: 1 },
+        { name: "SSN", pattern: "\\b[0-9]{3}-[0-9]{2}-[0-9]{4}\\b" }
+    ],
+    secrets: [
+        { name: "PRIVATE_KEY", pattern: "-----BEGIN [A-Z ]*PRIVATE KEY-----[\\s\\S]*?-----END [A-Z ]*PRIVATE KEY-----" },
+        { name: "API_KEY", pattern: "\\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|\\bsk-[A-Za-z0-9_-]{20,}|\\bAKIA[0-9A-Z]{16}\\b|\\bgh[pousr]_[A-Za-z0-9]{36,}|\\bxox[abpr]-[A-Za-z0-9-]{10,}" },
+        { name: "SECRET", pattern: "\\b(?:password|passwd|passcode|api[ _-]?key|access[ _-]?token|client[ _-]?secret)\\s*[:=]\\s*(\\S+)", flags: "i", group: 1 }
+    ]
+};
+var REDACTION_CHECKS = ["luhn", "iban"];
+var REDACTION_PLACEHOLDER_PATTERN = /\[[A-Z][A-Z0-9_]*_[0-9]+\]/g;
+
+function configureRedaction(entries) {
+    // entries: built-in rule set names and JSON rule files, returns false after reporting an error
+    redaction = { sources: [], rules: [] };
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var rules = null;
+        if (Object.prototype.hasOwnProperty.call(REDACTION_RULE_SETS, entry)) {
+            rules = parseRedactionRules(REDACTION_RULE_SETS[entry]).rules;
+        } else if (fs.isFile(entry)) {
+            var readResult = fs.read(entry);
+            if (readResult.error) {
+                console.error("❌ Error: cannot read redaction rules " + entry + ":", readResult.error);
+                return false;
+            }
+            var loaded = null;
+            try {
+                loaded = parseRedactionRules(JSON.parse(readResult.content));
+            } catch (error) {
+                loaded = { error: "not valid JSON (" + error.message + ")" };
+            }
+            if (loaded.error) {
+                console.error("❌ Error: invalid redaction rules " + entry + ": " + loaded.error);
+                return false;
+            }
+            rules = loaded.rules;
+            console.log("🛡️  Redaction rules " + fs.basename(entry) + ": " + rules.length + " rule(s)");
+        } else {
+            console.error("❌ Error: unknown redaction rule set '" + entry + "', use " + Object.keys(REDACTION_RULE_SETS).join(", ") + " or a JSON rules file");
+            return false;
+        }
+        redaction.sources.push(entry);
+        redaction.rules = redaction.rules.concat(rules);
+    }
+    return true;
+}
+
+function parseRedactionRules(value) {
+    // A list of { name, pattern | values, flags, group, check }, or { "rules": [...] }.
+    // values lists literal text such as party names. Returns { rules } or { error }
+    var list = Array.isArray(value) ? value : value && Array.isArray(value.rules) ? value.rules : null;
+    if (!list || list.length === 0) {
+        return { error: "expected a list of rules, or { \"rules\": [...] }" };
+    }
+    var rules = [];
+    for (var i = 0; i < list.length; i++) {
+        var rule = list[i];
+        var label = "rule " + (i + 1);
+        if (!rule || typeof rule !== "object") {
+            return { error: label + ": expected an object with a name and a pattern" };
+        }
+        var name = typeof rule.name === "string" ? rule.name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, "_") : "";
+        if (!/^[A-Z]/.test(name)) {
+            return { error: label + ": name must start with a letter, e.g. \"EMPLOYEE_ID\"" };
+        }
+        label += " (" + name + ")";
+        var source = "";
+        if (Array.isArray(rule.values)) {
+            source = getLiteralRedactionPattern(rule.values);
+            if (!source) {
+                return { error: label + ": values must list at least one text" };
+            }
+        } else if (typeof rule.pattern === "string" && rule.pattern) {
+            source = rule.pattern;
+        } else {
+            return { error: label + ": needs a pattern or a list of values" };
+        }
+        var flags = typeof rule.flags === "string" ? rule.flags : "";
+        if (!/^[imsu]*$/.test(flags)) {
+            return { error: label + ": flags may only use i, m, s and u" };
+        }
+        if (rule.check !== undefined && REDACTION_CHECKS.indexOf(rule.check) === -1) {
+            return { error: label + ": check must be one of " + REDACTION_CHECKS.join(", ") };
+        }
+        if (rule.group !== undefined && !(typeof rule.group === "number" && rule.group >= 1 && Math.floor(rule.group) === rule.group)) {
+            return { error: label + ": group must be the number of a capture group" };
+        }
+        var regex = null;
+        try {
+            regex = new RegExp(source, "g" + flags);
+        } catch (error) {
+            return { error: label + ": invalid pattern (" + error.message + ")" };
+        }
+        if (new RegExp(source, flags).test("")) {
+            return { error: label + ": pattern matches empty text" };
+        }
+        rules.push({ name: name, regex: regex, group: rule.group || 0, check: rule.check || "" });
+    }
+    return { rules: rules };
+}
+
+function getLiteralRedactionPattern(values) {
+    // Longest first, so "Acme Holding Ltd" wins over "Acme"; whole words only
+    var texts = values.filter(function (value) {
+        return typeof value === "string" && value.trim() !== "";
+    }).map(function (value) {
+        return value.trim();
+    }).sort(function (a, b) {
+        return b.length - a.length;
+    });
+    return texts.map(function (text) {
+        var escaped = text.replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&");
+        return (/^\w/.test(text) ? "\\b" : "") + escaped + (/\w$/.test(text) ? "\\b" : "");
+    }).join("|");
+}
+
+function getRedactedTextPath(textFile) {
+    // <name>.extracted.txt -> <name>.redacted.txt, what llm-caller reads instead
+    var name = fs.filename(textFile).replace(/\.extracted\.txt$/, "").replace(/\.txt$/, "");
+    return fs.join([fs.dirname(textFile), name + ".redacted.txt"]);
+}
+
+function getRedactionMapPath(textFile) {
+    // <name>.redaction.json next to the extracted text: placeholders and the values they stand for
+    var name = fs.filename(textFile).replace(/\.(extracted|redacted)\.txt$/, "").replace(/\.txt$/, "");
+    return fs.join([fs.dirname(textFile), name + ".redaction.json"]);
+}
+
+function createRedactionMap() {
+    // placeholders: "[EMAIL_1]" -> value, values: value -> placeholder, counts: rule name -> values
+    return { placeholders: {}, values: {}, counts: {} };
+}
+
+function redactText(text, map) {
+    // Applies every rule in order, adding new values to the map
+    for (var r = 0; r < redaction.rules.length; r++) {
+        var rule = redaction.rules[r];
+        text = text.replace(rule.regex, function (match) {
+            var value = rule.group ? arguments[rule.group] : match;
+            // A value an earlier rule already replaced stays as it is
+            if (!value || /^\[[A-Z][A-Z0-9_]*_[0-9]+\]$/.test(value) || (rule.check && !passesRedactionCheck(rule.check, value))) {
+                return match;
+            }
+            var placeholder = getRedactionPlaceholder(map, rule.name, value);
+            if (!rule.group) {
+                return placeholder;
+            }
+            var at = match.lastIndexOf(value);
+            return match.substring(0, at) + placeholder + match.substring(at + value.length);
+        });
+    }
+    return text;
+}
+
+function getRedactionPlaceholder(map, name, value) {
+    var key = "=" + value;
+    if (!Object.prototype.hasOwnProperty.call(map.values, key)) {
+        map.counts[name] = (map.counts[name] || 0) + 1;
+        var placeholder = "[" + name + "_" + map.counts[name] + "]";
+        map.values[key] = placeholder;
+        // Values may contain placeholders of earlier rules, the map keeps the original text
+        map.placeholders[placeholder] = restoreRedactedValues(value, map);
+    }
+    return map.values[key];
+}
+
+function passesRedactionCheck(check, value) {
+    var compact = value.replace(/[\s-]/g, "").toUpperCase();
+    var digits = "";
+    if (check === "iban") {
+        // ISO 13616: the first four characters move to the end, letters count as 10-35, mod 97 is 1
+        if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/.test(compact)) {
+            return false;
+        }
+        var rearranged = compact.substring(4) + compact.substring(0, 4);
+        for (var i = 0; i < rearranged.length; i++) {
+            digits += /[A-Z]/.test(rearranged.charAt(i)) ? String(rearranged.charCodeAt(i) - 55) : rearranged.charAt(i);
+        }
+        var remainder = 0;
+        for (var d = 0; d < digits.length; d++) {
+            remainder = (remainder * 10 + parseInt(digits.charAt(d), 10)) % 97;
+        }
+        return remainder === 1;
+    }
+    // Luhn: every second digit from the right doubled, the sum a multiple of 10
+    if (!/^[0-9]{13,19}$/.test(compact)) {
+        return false;
+    }
+    var sum = 0;
+    for (var j = 0; j < compact.length; j++) {
+        var digit = parseInt(compact.charAt(compact.length - 1 - j), 10);
+        if (j % 2 === 1) {
+            digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function restoreRedactedValues(value, map) {
+    // Puts the original values back into a string, or every string of an object or list;
+    // placeholders the LLM made up are left as they are
+    if (typeof value === "string") {
+        return value.replace(REDACTION_PLACEHOLDER_PATTERN, function (placeholder) {
+            return Object.prototype.hasOwnProperty.call(map.placeholders, placeholder) ? map.placeholders[placeholder] : placeholder;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (item) {
+            return restoreRedactedValues(item, map);
+        });
+    }
+    if (value && typeof value === "object") {
+        var restored = {};
+        for (var key in value) {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                restored[key] = restoreRedactedValues(value[key], map);
+            }
+        }
+        return restored;
+    }
+    return value;
+}
+
+function writeRedactedText(textFile, text, documentName) {
+    // Writes <name>.redacted.txt for the llm-caller calls and the map next to it,
+    // returns { path, text, map } or null after reporting the failure
+    var map = createRedactionMap();
+    var redactedText = redactText(text, map);
+    var redactedFile = getRedactedTextPath(textFile);
+    if (!writeChunkFile(redactedFile, redactedText) || !writeRedactionMap(getRedactionMapPath(textFile), map, documentName)) {
+        return null;
+    }
+    console.log("🛡️  " + formatRedactionCounts(map.counts) + ", llm-caller reads " + fs.filename(redactedFile));
+    return { path: redactedFile, text: redactedText, map: map };
+}
+
+function writeRedactionMap(mapFile, map, documentName) {
+    var data = { source_file: documentName, rules: redaction.sources, counts: map.counts, placeholders: map.placeholders };
+    return writeChunkFile(mapFile, JSON.stringify(data, null, 2));
+}
+
+function formatRedactionCounts(counts) {
+    var names = Object.keys(counts);
+    if (names.length === 0) {
+        return "Nothing to redact";
+    }
+    var total = 0;
+    var parts = names.map(function (name) {
+        total += counts[name];
+        return name + " " + counts[name];
+    });
+    return "Redacted " + total + " value(s) (" + parts.join(", ") + ")";
+}
+
+// ======================== Chunked Review ========================
+
+// Contracts longer than chunk_size do not fit the model context in one call: the text is
+// split at section headings and numbered clauses, every chunk is reviewed with the contract
+// template, and a consolidation call merges the chunk reviews. Configured once by main()
+var chunkedReview = { size: 0, consolidateTemplate: "" };
+
+// Line starts a chunk may begin at, tried in order: sections, then paragraphs, then any line
+var SECTION_HEADING_PATTERNS = [
+    /^\s{0,3}#{1,6}\s+\S/, // # Markdown heading
+    /^\s*(article|section|clause|schedule|annex|exhibit|appendix|part)\s+[0-9ivxlc]+\b/i, // Article 4, Schedule II
+    /^\s*\d+(\.\d+)*\.\s+\S/, // 1. Term, 4.2. Payment
+    /^\s*\d+(\.\d+)+\s+\S/, // 4.2 Payment
+    /^\s*[A-Z][A-Z0-9 ,&'\/-]{2,78}:?\s*$/ // TERMINATION
+];
+
+function configureChunkedReview(size, consolidateTemplate) {
+    chunkedReview = { size: size, consolidateTemplate: consolidateTemplate };
+}
+
+function getChunksDir(textFile) {
+    // <name>.chunks/ next to <name>.extracted.txt holds the chunk texts and chunk reviews
+    var textName = fs.filename(textFile).replace(/\.(extracted|redacted)\.txt$/, "").replace(/\.txt$/, "");
+    return fs.join([fs.dirname(textFile), textName + ".chunks"]);
+}
+
+function reviewInChunks(text, chunksDir, contractLlmTemplate, documentName) {
+    // Returns { review, chunks } with the merged review, or null after reporting the failure
+    var chunks = splitIntoChunks(text, chunkedReview.size);
+    console.log("✂️  Long contract: " + text.length + " characters in " + chunks.length + " chunks of up to " + chunkedReview.size);
+    if (!ensureDirectory(chunksDir)) {
+        traceFailure("Cannot create directory for chunks: " + chunksDir);
+        return null;
+    }
+
+    var chunkReviews = [];
+    for (var i = 0; i < chunks.length; i++) {
+        var chunk = chunks[i];
+        var chunkName = "chunk-" + padNumber(chunk.index, 2);
+        console.log("🧩 Chunk " + chunk.index + "/" + chunks.length + ": " + describeChunk(chunk));
+        var chunkFile = fs.join([chunksDir, chunkName + ".txt"]);
+        if (!writeChunkFile(chunkFile, chunk.text)) {
+            return null;
+        }
+        var chunkReview = runLlmReview("review-chunk-" + chunk.index, contractLlmTemplate, chunkFile, chunk.text);
+        if (chunkReview === null || !writeChunkFile(fs.join([chunksDir, chunkName + ".review.txt"]), chunkReview)) {
+            return null;
+        }
+        chunkReviews.push("=== Part " + chunk.index + " of " + chunks.length + ": " + describeChunk(chunk) + " ===\n" + chunkReview.trim());
+    }
+
+    // Reduce: one review of the whole contract from the chunk reviews
+    console.log("🔗 Consolidating " + chunks.length + " chunk reviews with " + chunkedReview.consolidateTemplate + "...");
+    var mergeText = "The following are reviews of " + chunks.length + " consecutive parts of one contract (" + documentName + "). " +
+        "Merge them into a single review of the whole contract: combine findings that repeat across parts, keep every " +
+        "distinct risk and obligation, and refer to clauses by their numbers.\n\n" + chunkReviews.join("\n\n") + "\n";
+    var mergeFile = fs.join([chunksDir, "chunk-reviews.txt"]);
+    if (!writeChunkFile(mergeFile, mergeText)) {
+        return null;
+    }
+    var review = runReviewCall("consolidate", chunkedReview.consolidateTemplate, mergeFile, mergeText);
+    return review === null ? null : { review: review, chunks: chunks };
+}
+
+function writeChunkFile(filePath, content) {
+    var writeResult = fs.write(filePath, content);
+    if (writeResult.error) {
+        console.error("❌ Failed to write " + filePath + ":", writeResult.error);
+        traceFailure("Failed to write " + filePath + ": " + writeResult.error);
+        return false;
+    }
+    traceOutput(filePath);
+    return true;
+}
+
+function splitIntoChunks(text, maxLength) {
+    // Sections (or, when a section is too long by itself, its paragraphs, lines or words)
+    // are packed in order into chunks of at most maxLength characters
+    var pieces = [];
+    splitTextPieces(text, 0, text.length, maxLength, 0, pieces);
+
+    var chunks = [];
+    var current = null;
+    for (var i = 0; i < pieces.length; i++) {
+        if (current && pieces[i].end - current.start <= maxLength) {
+            current.end = pieces[i].end;
+        } else {
+            current = { start: pieces[i].start, end: pieces[i].end };
+            chunks.push(current);
+        }
+    }
+
+    for (var c = 0; c < chunks.length; c++) {
+        var chunk = chunks[c];
+        chunk.index = c + 1;
+        chunk.text = text.substring(chunk.start, chunk.end);
+        chunk.startLine = countLines(text, chunk.start);
+        chunk.endLine = countLines(text, chunk.end - 1);
+        var firstLine = chunk.text.replace(/^\s+/, "").split("\n")[0];
+        chunk.heading = firstLine.length > 60 ? firstLine.substring(0, 60).trim() + "..." : firstLine.trim();
+    }
+    return chunks;
+}
+
+function splitTextPieces(text, start, end, maxLength, level, pieces) {
+    if (end - start <= maxLength) {
+        pieces.push({ start: start, end: end });
+        return;
+    }
+    if (level > 2) {
+        // No line break left to use: cut at the last space that keeps the piece short enough
+        while (end - start > maxLength) {
+            var cut = start + maxLength;
+            var space = text.lastIndexOf(" ", cut - 1);
+            if (space > start + maxLength / 2) {
+                cut = space + 1;
+            }
+            pieces.push({ start: start, end: cut });
+            start = cut;
+        }
+        pieces.push({ start: start, end: end });
+        return;
+    }
+
+    var cuts = findChunkCuts(text, start, end, level).concat([end]);
+    var pieceStart = start;
+    for (var i = 0; i < cuts.length; i++) {
+        splitTextPieces(text, pieceStart, cuts[i], maxLength, level + 1, pieces);
+        pieceStart = cuts[i];
+    }
+}
+
+function findChunkCuts(text, start, end, level) {
+    // Offsets inside start..end where a piece may begin: level 0 section headings,
+    // level 1 paragraphs (after a blank line), level 2 any line
+    var cuts = [];
+    var lines = text.substring(start, end).split("\n");
+    var position = start;
+    for (var i = 0; i < lines.length; i++) {
+        if (i > 0 && position < end) {
+            var isCut = level === 2 ||
+                (level === 1 && lines[i - 1].trim() === "" && lines[i].trim() !== "") ||
+                (level === 0 && isSectionHeading(lines[i]));
+            if (isCut) {
+                cuts.push(position);
+            }
+        }
+        position += lines[i].length + 1;
+    }
+    return cuts;
+}
+
+function isSectionHeading(line) {
+    for (var i = 0; i < SECTION_HEADING_PATTERNS.length; i++) {
+        if (SECTION_HEADING_PATTERNS[i].test(line)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function countLines(text, offset) {
+    // 1-based number of the line the character at offset is on
+    var line = 1;
+    for (var i = text.indexOf("\n"); i !== -1 && i < offset; i = text.indexOf("\n", i + 1)) {
+        line++;
+    }
+    return line;
+}
+
+function describeChunk(chunk) {
+    return "characters " + (chunk.start + 1) + "-" + chunk.end + ", lines " + chunk.startLine + "-" + chunk.endLine +
+        (chunk.heading ? ", starts at \"" + chunk.heading + "\"" : "");
+}
+
+function getChunkBoundaries(chunks) {
+    return chunks.map(function (chunk) {
+        return { index: chunk.index, start: chunk.start, end: chunk.end, start_line: chunk.startLine, end_line: chunk.endLine, heading: chunk.heading };
+    });
+}
+
+function formatChunkBoundaries(chunks) {
+    // Appended to the merged review so findings can be traced back to the text
+    var lines = [
+        "",
+        "---",
+        "Chunked review: " + chunks.length + " chunks of up to " + chunkedReview.size + " characters, reviewed separately and merged"
+    ];
+    for (var i = 0; i < chunks.length; i++) {
+        lines.push("Chunk " + chunks[i].index + ": " + describeChunk(chunks[i]));
+    }
+    return lines.join("\n") + "\n";
+}
+
+// ======================== Ensemble Review ========================
+
+// contract_llm_template=a,b,c: every template reviews the same text (chunk by chunk for long
+// contracts), then the consolidation template merges the reviews into one and notes which
+// models raised each finding. The raw model reviews stay in <name>.models/ next to the merged
+// review for audit, they are outputs and are kept with intermediates=delete. Configured once by main()
+var ensembleReview = { templates: [], consolidateTemplate: "" };
+
+function configureEnsembleReview(templates, consolidateTemplate) {
+    ensembleReview = { templates: templates, consolidateTemplate: consolidateTemplate };
+}
+
+function parseTemplateList(value) {
+    // "a, b" -> { templates: ["a", "b"] }, or { error } for an empty or repeated name
+    var templates = [];
+    var parts = String(value || "").split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var template = parts[i].trim();
+        if (!template) {
+            return { error: "empty template name in the list" };
+        }
+        if (templates.indexOf(template) !== -1) {
+            return { error: "template " + template + " is listed twice" };
+        }
+        templates.push(template);
+    }
+    return { templates: templates };
+}
+
+function getModelsDir(reviewOutputFile) {
+    // <name>.review.txt -> <name>.models/ with one raw review per template
+    var name = fs.filename(reviewOutputFile);
+    var dirName = /\.review\.txt$/.test(name) ? name.replace(/\.review\.txt$/, ".models") : fs.basename(reviewOutputFile) + ".models";
+    return fs.join([fs.dirname(reviewOutputFile), dirName]);
+}
+
+function getTemplateFileName(template) {
+    return template.replace(/[^A-Za-z0-9._-]+/g, "_");
+}
+
+function reviewWithEnsemble(textFile, text, modelsDir, chunksDir, documentName) {
+    // Returns { review, chunks, models } with the merged review, or null after reporting the failure
+    var templates = ensembleReview.templates;
+    var isJson = reviewOutput.format === "json";
+    console.log("🤖 Ensemble review with " + templates.length + " models: " + templates.join(", "));
+    if (!ensureDirectory(modelsDir)) {
+        traceFailure("Cannot create directory for model reviews: " + modelsDir);
+        return null;
+    }
+
+    var chunks = [];
+    var models = [];
+    var modelReviews = [];
+    for (var i = 0; i < templates.length; i++) {
+        var template = templates[i];
+        console.log("🤖 Model " + (i + 1) + "/" + templates.length + ": " + template);
+        var result = null;
+        if (chunksDir) {
+            result = reviewInChunks(text, fs.join([chunksDir, getTemplateFileName(template)]), template, documentName);
+        } else {
+            var review = runReviewCall("review-" + (i + 1), template, textFile, text);
+            result = review === null ? null : { review: review, chunks: [] };
+        }
+        if (result === null) {
+            return null;
+        }
+        chunks = result.chunks;
+
+        var modelFile = fs.join([modelsDir, getTemplateFileName(template) + (isJson ? ".review.json" : ".review.txt")]);
+        if (isJson) {
+            result.review.source_file = documentName;
+            result.review.model = template;
+        }
+        if (!writeChunkFile(modelFile, isJson ? JSON.stringify(result.review, null, 2) : result.review)) {
+            return null;
+        }
+        models.push({ template: template, file: modelFile });
+        modelReviews.push("=== Review by " + template + " ===\n" + (isJson ? renderContractReview(result.review) : result.review).trim());
+    }
+
+    // One review from all models, with the models behind every finding
+    console.log("🔗 Consolidating " + templates.length + " model reviews with " + ensembleReview.consolidateTemplate + "...");
+    var mergeText = "The following are reviews of the same contract (" + documentName + ") by " + templates.length + " models: " +
+        templates.join(", ") + ". Merge them into a single review: combine findings that several models raised into one, keep every " +
+        "distinct risk and obligation, and refer to clauses by their numbers. " +
+        (isJson ? "List the models that raised each issue in its \"models\" field, e.g. [\"" + templates[0] + "\", \"" + templates[1] + "\"]." :
+            "End every finding with the models that raised it, e.g. (models: " + templates[0] + ", " + templates[1] + ").") +
+        "\n\n" + modelReviews.join("\n\n") + "\n";
+    var mergeFile = fs.join([modelsDir, "model-reviews.txt"]);
+    if (!writeChunkFile(mergeFile, mergeText)) {
+        return null;
+    }
+    var merged = runReviewCall("consolidate-models", ensembleReview.consolidateTemplate, mergeFile, mergeText);
+    if (merged === null) {
+        return null;
+    }
+    if (isJson) {
+        console.log("🤝 " + formatModelAgreement(merged.issues, templates.length));
+    }
+    return { review: merged, chunks: chunks, models: models };
+}
+
+function formatModelAgreement(issues, modelCount) {
+    var unanimous = issues.filter(function (issue) {
+        return issue.models && issue.models.length >= modelCount;
+    }).length;
+    var single = issues.filter(function (issue) {
+        return issue.models && issue.models.length === 1;
+    }).length;
+    return issues.length + " issue(s): " + unanimous + " raised by all " + modelCount + " models, " + single + " by one model";
+}
+
+// ======================== Structured Review ========================
+
+// review_format=json asks llm-caller for a review object instead of free text, checks it
+// and saves it next to a readable rendering. Configured once by main()
+var reviewOutput = { format: "text", reportFormat: "none" };
+
+var REVIEW_SEVERITIES = ["low", "medium", "high", "critical"];
+// One more call when the answer is not usable JSON, CLI failures are retried by runTracedCommand()
+var JSON_REVIEW_ATTEMPTS = 2;
+var JSON_REVIEW_INSTRUCTIONS = [
+    "Write the review as one JSON object, without any other text, in this structure:",
+    "{",
+    "  \"parties\": [{ \"name\": \"...\", \"role\": \"...\" }],",
+    "  \"term\": \"duration, start and end of the contract\",",
+    "  \"effective_date\": \"YYYY-MM-DD\",",
+    "  \"expiry_date\": \"YYYY-MM-DD, empty when the contract runs until terminated\",",
+    "  \"renewal\": \"renewal and notice terms, e.g. renews yearly unless cancelled 90 days before\",",
+    "  \"governing_law\": \"...\",",
+    "  \"summary\": \"two or three sentences\",",
+    "  \"issues\": [{ \"title\": \"...\", \"clause\": \"clause number, e.g. 4.2\", \"quote\": \"exact text from the contract\", " +
+        "\"severity\": \"" + REVIEW_SEVERITIES.join("|") + "\", \"recommendation\": \"...\" }]",
+    "}",
+    "Use an empty string where the contract says nothing, and an empty issues list when nothing needs attention."
+].join("\n");
+
+function configureReviewFormat(format, reportFormat) {
+    reviewOutput = { format: format, reportFormat: reportFormat || "none" };
+}
+
+function getJsonReviewPath(reviewOutputFile) {
+    // <name>.review.txt -> <name>.review.json
+    var name = fs.filename(reviewOutputFile);
+    var jsonName = /\.review\.txt$/.test(name) ? name.replace(/\.review\.txt$/, ".review.json") : fs.basename(reviewOutputFile) + ".json";
+    return fs.join([fs.dirname(reviewOutputFile), jsonName]);
+}
+
+function getReviewRequestPath(textFile, purpose) {
+    // What llm-caller reads for a JSON answer: the instructions followed by the text,
+    // <name>.request.txt or <name>.<purpose>.request.txt
+    var name = fs.filename(textFile).replace(/\.(extracted|redacted)\.txt$/, "").replace(/\.txt$/, "");
+    return fs.join([fs.dirname(textFile), name + (purpose ? "." + purpose : "") + ".request.txt"]);
+}
+
+function runReviewCall(stepName, llmTemplate, textFile, text) {
+    // The call whose answer becomes the review: text as printed, or a checked object in json mode
+    if (reviewOutput.format !== "json") {
+        return runLlmReview(stepName, llmTemplate, textFile, text);
+    }
+    return runJsonCall(stepName, llmTemplate, getReviewRequestPath(textFile), text, JSON_REVIEW_INSTRUCTIONS, validateContractReview);
+}
+
+function runJsonCall(stepName, llmTemplate, requestFile, text, instructions, validate) {
+    // Asks for JSON by writing the instructions and the text to requestFile, asks again once when
+    // the answer is not usable. validate(value) returns { data } or { error }. Returns the data or null
+    var correction = "";
+    var lastError = "";
+    for (var attempt = 1; attempt <= JSON_REVIEW_ATTEMPTS; attempt++) {
+        var request = instructions + correction + "\n\n" + text;
+        var writeResult = fs.write(requestFile, request);
+        if (writeResult.error) {
+            console.error("❌ Failed to write " + requestFile + ":", writeResult.error);
+            traceFailure("Failed to write " + requestFile + ": " + writeResult.error);
+            return null;
+        }
+        traceOutput(requestFile);
+
+        var output = runLlmReview(attempt > 1 ? stepName + "-json-retry" : stepName, llmTemplate, requestFile, request);
+        if (output === null) {
+            return null;
+        }
+        var parsed = parseLlmJson(output);
+        if (!parsed.error) {
+            parsed = validate(parsed.value);
+        }
+        if (parsed.data) {
+            return parsed.data;
+        }
+
+        lastError = parsed.error;
+        console.warn("⚠️  The answer is not usable JSON (" + lastError + ")" +
+            (attempt < JSON_REVIEW_ATTEMPTS ? ", asking again [attempt " + (attempt + 1) + "/" + JSON_REVIEW_ATTEMPTS + "]" : ""));
+        console.log("Raw LLM output:");
+        console.log(truncateText(output, 200));
+        correction = "\nYour previous answer could not be used (" + lastError + "). Answer with the JSON object only.";
+    }
+
+    console.error("❌ LLM answer is not valid JSON after " + JSON_REVIEW_ATTEMPTS + " attempts");
+    traceFailure("LLM answer is not valid JSON: " + lastError);
+    return null;
+}
+
+function parseLlmJson(llmOutput) {
+    // Returns { value } or { error }. Like the receipt processor, the JSON may be wrapped in ```json fences
+    var jsonMatch = llmOutput.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    var jsonStr = jsonMatch ? jsonMatch[1] : llmOutput;
+
+    // Drop text around the object, e.g. "Here is the review:"
+    var first = jsonStr.indexOf("{");
+    var last = jsonStr.lastIndexOf("}");
+    if (first === -1 || last < first) {
+        return { error: "no JSON object in the answer" };
+    }
+    jsonStr = jsonStr.substring(first, last + 1);
+
+    var data;
+    try {
+        data = JSON.parse(jsonStr);
+    } catch (error) {
+        // Repair the usual slip, a comma before } or ]
+        try {
+            data = JSON.parse(jsonStr.replace(/,\s*([}\]])/g, "$1"));
+        } catch (repairError) {
+            return { error: "invalid JSON: " + error.message };
+        }
+    }
+    return { value: data };
+}
+
+function validateContractReview(data) {
+    // Keeps the fields of JSON_REVIEW_INSTRUCTIONS, normalized, or lists what is wrong
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        return { error: "the answer is not a JSON object" };
+    }
+    var problems = [];
+    var review = {
+        parties: [],
+        term: getReviewString(data, "term", problems),
+        effective_date: getReviewString(data, "effective_date", problems),
+        expiry_date: getReviewString(data, "expiry_date", problems),
+        renewal: getReviewString(data, "renewal", problems),
+        governing_law: getReviewString(data, "governing_law", problems),
+        summary: getReviewString(data, "summary", problems),
+        issues: []
+    };
+
+    var parties = data.parties === undefined || data.parties === null ? [] : data.parties;
+    if (!Array.isArray(parties)) {
+        problems.push("parties is not a list");
+        parties = [];
+    }
+    for (var p = 0; p < parties.length; p++) {
+        var party = typeof parties[p] === "string" ? { name: parties[p] } : parties[p] || {};
+        var partyName = getReviewString(party, "name", problems);
+        if (!partyName) {
+            problems.push("party " + (p + 1) + " has no name");
+            continue;
+        }
+        review.parties.push({ name: partyName, role: getReviewString(party, "role", problems) });
+    }
+
+    if (!Array.isArray(data.issues)) {
+        problems.push(data.issues === undefined ? "issues is missing" : "issues is not a list");
+    }
+    var issues = Array.isArray(data.issues) ? data.issues : [];
+    for (var i = 0; i < issues.length; i++) {
+        var issue = issues[i];
+        if (!issue || typeof issue !== "object") {
+            problems.push("issue " + (i + 1) + " is not an object");
+            continue;
+        }
+        var severity = getReviewString(issue, "severity", problems).toLowerCase();
+        if (REVIEW_SEVERITIES.indexOf(severity) === -1) {
+            problems.push("issue " + (i + 1) + " has severity \"" + severity + "\", expected " + REVIEW_SEVERITIES.join(", "));
+        }
+        var title = getReviewString(issue, "title", problems);
+        if (!title) {
+            problems.push("issue " + (i + 1) + " has no title");
+        }
+        var reviewIssue = {
+            title: title,
+            clause: getReviewString(issue, "clause", problems),
+            quote: getReviewString(issue, "quote", problems),
+            severity: severity,
+            recommendation: getReviewString(issue, "recommendation", problems)
+        };
+        // Only in merged ensemble reviews: the models that raised the issue
+        if (issue.models !== undefined && issue.models !== null) {
+            if (!Array.isArray(issue.models)) {
+                problems.push("issue " + (i + 1) + " models is not a list");
+            } else {
+                reviewIssue.models = issue.models.map(function (model) {
+                    return String(model).trim();
+                }).filter(Boolean);
+            }
+        }
+        review.issues.push(reviewIssue);
+    }
+
+    if (problems.length > 0) {
+        return { error: problems.slice(0, 3).join("; ") + (problems.length > 3 ? " (+" + (problems.length - 3) + " more)" : "") };
+    }
+    return { data: review };
+}
+
+function getReviewString(object, key, problems) {
+    // Missing or null is an empty string, numbers are accepted as text
+    var value = object[key];
+    if (value === undefined || value === null) {
+        return "";
+    }
+    if (typeof value === "number") {
+        return String(value);
+    }
+    if (typeof value !== "string") {
+        problems.push(key + " is not text");
+        return "";
+    }
+    return value.trim();
+}
+
+function renderContractReview(review) {
+    // Readable <name>.review.txt for a review object
+    var lines = ["Contract review: " + review.source_file, "==================================", ""];
+    lines.push("Parties: " + (review.parties.length > 0 ? review.parties.map(function (party) {
+        return party.name + (party.role ? " (" + party.role + ")" : "");
+    }).join("; ") : "not stated"));
+    lines.push("Term: " + (review.term || "not stated"));
+    if (review.effective_date || review.expiry_date) {
+        lines.push("Dates: " + (review.effective_date || "?") + " to " + (review.expiry_date || "open-ended"));
+    }
+    lines.push("Renewal: " + (review.renewal || "not stated"));
+    lines.push("Governing law: " + (review.governing_law || "not stated"));
+    if (review.summary) {
+        lines.push("", "Summary:", review.summary);
+    }
+
+    var counts = {};
+    for (var i = 0; i < review.issues.length; i++) {
+        counts[review.issues[i].severity] = (counts[review.issues[i].severity] || 0) + 1;
+    }
+    var countLabels = REVIEW_SEVERITIES.slice().reverse().filter(function (severity) {
+        return counts[severity];
+    }).map(function (severity) {
+        return counts[severity] + " " + severity;
+    });
+    lines.push("", "Issues: " + review.issues.length + (countLabels.length > 0 ? " (" + countLabels.join(", ") + ")" : ""));
+    for (var j = 0; j < review.issues.length; j++) {
+        var issue = review.issues[j];
+        lines.push("");
+        lines.push((j + 1) + ". [" + issue.severity.toUpperCase() + "] " + issue.title + (issue.clause ? " (clause " + issue.clause + ")" : ""));
+        if (issue.quote) {
+            lines.push("   \"" + issue.quote + "\"");
+            if (issue.quote_check) {
+                lines.push("   Quote: " + describeQuoteCheck(issue.quote_check));
+            }
+        }
+        if (issue.recommendation) {
+            lines.push("   Recommendation: " + issue.recommendation);
+        }
+        if (issue.models && issue.models.length > 0) {
+            lines.push("   Raised by: " + issue.models.join(", "));
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+// ======================== Review Reports ========================
+
+// report_format=md|html: a standalone report for reading in a browser and printing, with
+// the review details, the issues sorted by severity (structured reviews only) and the analysis.
+// The HTML has its styles inline and loads nothing, so it also works offline
+
+function getReviewReportPath(reviewOutputFile, format) {
+    // <name>.review.txt -> <name>.review.md / <name>.review.html
+    var name = fs.filename(reviewOutputFile);
+    var reportName = /\.review\.txt$/.test(name) ? name.replace(/\.txt$/, "." + format) : fs.basename(reviewOutputFile) + "." + format;
+    return fs.join([fs.dirname(reviewOutputFile), reportName]);
+}
+
+function writeReviewReport(reviewOutputFile, documentFile, templateLabel, reviewResult) {
+    var reportFile = getReviewReportPath(reviewOutputFile, reviewOutput.reportFormat);
+    var report = buildReviewReport(documentFile, templateLabel, reviewResult);
+    var content = reviewOutput.reportFormat === "html" ? renderHtmlReport(report) : renderMarkdownReport(report);
+    var writeResult = fs.write(reportFile, content);
+    if (writeResult.error) {
+        console.error("❌ Failed to save review report:", writeResult.error);
+        traceFailure("Failed to save review report: " + writeResult.error);
+        return false;
+    }
+    traceOutput(reportFile);
+    console.log("✅ Review report saved: " + fs.filename(reportFile));
+    return true;
+}
+
+function buildReviewReport(documentFile, templateLabel, reviewResult) {
+    // Format-neutral content of a report, the analysis is Markdown
+    var review = reviewResult.review;
+    var isStructured = typeof review === "object";
+    var report = {
+        title: "Contract review: " + fs.filename(documentFile),
+        details: [
+            ["Source file", documentFile],
+            ["MD5", getFileMd5(documentFile) || "unknown"],
+            ["Template", templateLabel],
+            ["Date", new Date().toISOString()]
+        ],
+        issues: isStructured ? sortIssuesBySeverity(review.issues) : null,
+        analysis: shiftMarkdownHeadings(isStructured ? getStructuredAnalysis(review) : review.trim(), 3),
+        playbook: reviewResult.playbook || null,
+        chunks: reviewResult.chunks
+    };
+    if (isStructured) {
+        report.details.push(["Parties", review.parties.map(function (party) {
+            return party.name + (party.role ? " (" + party.role + ")" : "");
+        }).join("; ") || "not stated"]);
+        report.details.push(["Term", review.term || "not stated"]);
+        if (review.effective_date || review.expiry_date) {
+            report.details.push(["Dates", (review.effective_date || "?") + " to " + (review.expiry_date || "open-ended")]);
+        }
+        report.details.push(["Renewal", review.renewal || "not stated"]);
+        report.details.push(["Governing law", review.governing_law || "not stated"]);
+    }
+    if (reviewResult.quotes) {
+        report.details.push(["Quote check", formatQuoteCounts(reviewResult.quotes.counts)]);
+    }
+    if (reviewResult.models) {
+        report.details.push(["Model reviews", reviewResult.models.map(function (model) {
+            return fs.filename(fs.dirname(model.file)) + "/" + fs.filename(model.file);
+        }).join("; ")]);
+    }
+    return report;
+}
+
+function sortIssuesBySeverity(issues) {
+    // Most severe first, in the order of the review within a severity
+    return issues.map(function (issue, index) {
+        return { issue: issue, index: index };
+    }).sort(function (a, b) {
+        var bySeverity = REVIEW_SEVERITIES.indexOf(b.issue.severity) - REVIEW_SEVERITIES.indexOf(a.issue.severity);
+        return bySeverity !== 0 ? bySeverity : a.index - b.index;
+    }).map(function (entry) {
+        return entry.issue;
+    });
+}
+
+function getStructuredAnalysis(review) {
+    var lines = [];
+    if (review.summary) {
+        lines.push("### Summary", "", review.summary, "");
+    }
+    for (var i = 0; i < review.issues.length; i++) {
+        var issue = review.issues[i];
+        lines.push("### " + (i + 1) + ". " + issue.title + (issue.clause ? " (clause " + issue.clause + ")" : ""), "");
+        lines.push("**Severity:** " + issue.severity, "");
+        if (issue.quote) {
+            lines.push("> " + issue.quote.replace(/\s*\n\s*/g, " "), "");
+            if (issue.quote_check) {
+                lines.push("**Quote check:** " + describeQuoteCheck(issue.quote_check), "");
+            }
+        }
+        if (issue.recommendation) {
+            lines.push("**Recommendation:** " + issue.recommendation, "");
+        }
+        if (issue.models && issue.models.length > 0) {
+            lines.push("**Raised by:** " + issue.models.join(", "), "");
+        }
+    }
+    return lines.join("\n").trim() || "No issues found.";
+}
+
+function shiftMarkdownHeadings(markdown, topLevel) {
+    // The analysis goes below the sections of the report: its highest heading becomes ### (topLevel)
+    var headingPattern = /^(\s{0,3})(#{1,6})(?=\s)/gm;
+    var levels = (markdown.match(headingPattern) || []).map(function (heading) {
+        return heading.trim().length;
+    });
+    if (levels.length === 0) {
+        return markdown;
+    }
+    var shift = topLevel - Math.min.apply(Math, levels);
+    return markdown.replace(headingPattern, function (match, indent, hashes) {
+        return indent + new Array(Math.min(Math.max(hashes.length + shift, 1), 6) + 1).join("#");
+    });
+}
+
+function renderMarkdownReport(report) {
+    var lines = ["# " + report.title, ""];
+    for (var i = 0; i < report.details.length; i++) {
+        lines.push("- **" + report.details[i][0] + ":** " + report.details[i][1]);
+    }
+
+    lines.push("", "## Issues", "");
+    if (!report.issues) {
+        lines.push("No structured findings, run with review_format=json for an issue table.");
+    } else if (report.issues.length === 0) {
+        lines.push("No issues found.");
+    } else {
+        var showModels = hasIssueModels(report.issues);
+        lines.push("| Severity | Issue | Clause | Recommendation |" + (showModels ? " Raised by |" : ""), "| --- | --- | --- | --- |" + (showModels ? " --- |" : ""));
+        for (var j = 0; j < report.issues.length; j++) {
+            var issue = report.issues[j];
+            var cells = [issue.severity.toUpperCase(), issue.title, issue.clause, issue.recommendation];
+            if (showModels) {
+                cells.push((issue.models || []).join(", "));
+            }
+            lines.push("| " + cells.map(escapeMarkdownCell).join(" | ") + " |");
+        }
+    }
+
+    if (report.playbook) {
+        lines.push("", "## Playbook: " + report.playbook.name, "", formatPlaybookCounts(report.playbook), "");
+        lines.push("| Result | Position | Evidence | Comment |", "| --- | --- | --- | --- |");
+        for (var p = 0; p < report.playbook.checks.length; p++) {
+            var check = report.playbook.checks[p];
+            lines.push("| " + [check.result.toUpperCase(), check.position, check.evidence, check.comment].map(escapeMarkdownCell).join(" | ") + " |");
+        }
+    }
+
+    lines.push("", "## Analysis", "", report.analysis);
+    if (report.chunks.length > 0) {
+        lines.push("", "## Chunks", "");
+        for (var c = 0; c < report.chunks.length; c++) {
+            lines.push("- Chunk " + report.chunks[c].index + ": " + describeChunk(report.chunks[c]));
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+function hasIssueModels(issues) {
+    // Merged ensemble reviews say which models raised each issue
+    return issues.some(function (issue) {
+        return issue.models && issue.models.length > 0;
+    });
+}
+
+function escapeMarkdownCell(value) {
+    return String(value || "").replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|");
+}
+
+var HTML_REPORT_STYLE = [
+    "body { font-family: -apple-system, \"Segoe UI\", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 60em; margin: 2em auto; padding: 0 1.5em; line-height: 1.5; }",
+    "h1 { font-size: 1.6em; border-bottom: 2px solid #d0d7de; padding-bottom: .3em; }",
+    "h2 { font-size: 1.25em; margin-top: 1.6em; border-bottom: 1px solid #d0d7de; padding-bottom: .2em; }",
+    "table { border-collapse: collapse; width: 100%; margin: 1em 0; }",
+    "th, td { border: 1px solid #d0d7de; padding: .4em .6em; text-align: left; vertical-align: top; }",
+    "th { background: #f6f8fa; }",
+    "table.details th { width: 10em; }",
+    ".severity { display: inline-block; padding: .1em .6em; border-radius: 1em; font-size: .8em; font-weight: 600; text-transform: uppercase; white-space: nowrap; }",
+    ".severity-critical { background: #82071e; color: #fff; }",
+    ".severity-high { background: #cf222e; color: #fff; }",
+    ".severity-medium { background: #bf8700; color: #fff; }",
+    ".severity-low { background: #ddf4ff; color: #0969da; }",
+    ".result { display: inline-block; padding: .1em .6em; border-radius: 1em; font-size: .8em; font-weight: 600; text-transform: uppercase; white-space: nowrap; }",
+    ".result-pass { background: #1a7f37; color: #fff; }",
+    ".result-fail { background: #cf222e; color: #fff; }",
+    ".result-unclear { background: #eaeef2; color: #57606a; }",
+    "blockquote { margin: .5em 0; padding: 0 1em; color: #57606a; border-left: .25em solid #d0d7de; }",
+    "code { background: #f6f8fa; padding: .1em .3em; border-radius: 3px; }",
+    "@media print { body { margin: 0; max-width: none; } h2, h3 { page-break-after: avoid; } tr, blockquote { page-break-inside: avoid; } }"
+];
+
+function renderHtmlReport(report) {
+    var html = [
+        "<!DOCTYPE html>",
+        "<html lang=\"en\">",
+        "<head>",
+        "<meta charset=\"utf-8\">",
+        "<title>" + escapeHtml(report.title) + "</title>",
+        "<style>",
+        HTML_REPORT_STYLE.join("\n"),
+        "</style>",
+        "</head>",
+        "<body>",
+        "<h1>" + escapeHtml(report.title) + "</h1>",
+        "<table class=\"details\">"
+    ];
+    for (var i = 0; i < report.details.length; i++) {
+        html.push("<tr><th>" + escapeHtml(report.details[i][0]) + "</th><td>" + escapeHtml(report.details[i][1]) + "</td></tr>");
+    }
+    html.push("</table>", "<h2>Issues</h2>");
+
+    if (!report.issues) {
+        html.push("<p>No structured findings, run with review_format=json for an issue table.</p>");
+    } else if (report.issues.length === 0) {
+        html.push("<p>No issues found.</p>");
+    } else {
+        var showModels = hasIssueModels(report.issues);
+        html.push("<table class=\"issues\">", "<tr><th>Severity</th><th>Issue</th><th>Clause</th><th>Recommendation</th>" + (showModels ? "<th>Raised by</th>" : "") + "</tr>");
+        for (var j = 0; j < report.issues.length; j++) {
+            var issue = report.issues[j];
+            html.push("<tr><td><span class=\"severity severity-" + issue.severity + "\">" + escapeHtml(issue.severity) + "</span></td><td>" +
+                escapeHtml(issue.title) + "</td><td>" + escapeHtml(issue.clause) + "</td><td>" + escapeHtml(issue.recommendation) + "</td>" +
+                (showModels ? "<td>" + escapeHtml((issue.models || []).join(", ")) + "</td>" : "") + "</tr>");
+        }
+        html.push("</table>");
+    }
+
+    if (report.playbook) {
+        html.push("<h2>Playbook: " + escapeHtml(report.playbook.name) + "</h2>", "<p>" + escapeHtml(formatPlaybookCounts(report.playbook)) + "</p>");
+        html.push("<table class=\"playbook\">", "<tr><th>Result</th><th>Position</th><th>Evidence</th><th>Comment</th></tr>");
+        for (var p = 0; p < report.playbook.checks.length; p++) {
+            var check = report.playbook.checks[p];
+            html.push("<tr><td><span class=\"result result-" + check.result + "\">" + escapeHtml(check.result) + "</span></td><td>" +
+                escapeHtml(check.position) + "</td><td>" + escapeHtml(check.evidence) + "</td><td>" + escapeHtml(check.comment) + "</td></tr>");
+        }
+        html.push("</table>");
+    }
+
+    html.push("<h2>Analysis</h2>", markdownToHtml(report.analysis));
+    if (report.chunks.length > 0) {
+        html.push("<h2>Chunks</h2>", "<ul>");
+        for (var c = 0; c < report.chunks.length; c++) {
+            html.push("<li>Chunk " + report.chunks[c].index + ": " + escapeHtml(describeChunk(report.chunks[c])) + "</li>");
+        }
+        html.push("</ul>");
+    }
+    html.push("</body>", "</html>");
+    return html.join("\n") + "\n";
+}
+
+function markdownToHtml(markdown) {
+    // The Markdown LLM reviews use: headings, lists, quotes, rules, paragraphs, **bold** and `code`
+    var html = [];
+    var paragraph = [];
+    var listTag = "";
+    var flushParagraph = function () {
+        if (paragraph.length > 0) {
+            html.push("<p>" + formatInlineMarkdown(paragraph.join(" ")) + "</p>");
+            paragraph = [];
+        }
+    };
+    var closeList = function () {
+        if (listTag) {
+            html.push("</" + listTag + ">");
+            listTag = "";
+        }
+    };
+
+    var lines = markdown.split(/\r?\n/);
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i];
+        var heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        var item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        var quote = line.match(/^\s*>\s?(.*)$/);
+        if (!line.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            closeList();
+            if (line.trim()) {
+                html.push("<hr>");
+            }
+        } else if (heading) {
+            flushParagraph();
+            closeList();
+            var level = heading[1].length;
+            html.push("<h" + level + ">" + formatInlineMarkdown(heading[2]) + "</h" + level + ">");
+        } else if (item) {
+            flushParagraph();
+            var tag = /\d/.test(item[1]) ? "ol" : "ul";
+            if (listTag !== tag) {
+                closeList();
+                html.push("<" + tag + ">");
+                listTag = tag;
+            }
+            html.push("<li>" + formatInlineMarkdown(item[2]) + "</li>");
+        } else if (quote) {
+            flushParagraph();
+            closeList();
+            html.push("<blockquote>" + formatInlineMarkdown(quote[1]) + "</blockquote>");
+        } else {
+            closeList();
+            paragraph.push(line.trim());
+        }
+    }
+    flushParagraph();
+    closeList();
+    return html.join("\n");
+}
+
+function formatInlineMarkdown(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, "<code>$1</code>")
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>");
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+// ======================== Portfolio Summary ========================
+
+// portfolio=true: after a batch, portfolio-summary.csv and .json in the output folder list every
+// contract with the key terms and a risk score, riskiest first, so a whole vendor folder can be
+// triaged without opening each review. Rows come from the <name>.review.json files, so contracts
+// reviewed in earlier runs (skipped as existing, or by other shards) are included too
+
+// Risk score: the issue weights added up, at most 100
+var RISK_SCORE_WEIGHTS = { low: 1, medium: 3, high: 7, critical: 15 };
+var PORTFOLIO_TOP_ISSUES = 3;
+// Riskiest contracts listed on the console
+var PORTFOLIO_CONSOLE_ROWS = 3;
+var PORTFOLIO_COLUMNS = ["file", "status", "risk_score", "risk_level", "critical", "high", "medium", "low", "parties",
+    "effective_date", "expiry_date", "renewal", "governing_law", "top_issues", "review"];
+
+function getPortfolioSummaryPath(outputRoot, format) {
+    return fs.join([outputRoot, "portfolio-summary." + format]);
+}
+
+function getBatchReviewItems(documentFiles, inputFiles, outputPath) {
+    // The review of every batch file, named as in the processing loop
+    var items = [];
+    for (var i = 0; i < documentFiles.length; i++) {
+        var relativeDir = getInputSubdir(inputFiles, documentFiles[i]);
+        var reviewFile = determineReviewOutputPath(documentFiles[i], renderOutputName(documentFiles[i]), outputPath, true, relativeDir);
+        items.push({ source: documentFiles[i], review: reviewFile });
+    }
+    return items;
+}
+
+function writePortfolioSummary(items, outputRoot, inputRoot) {
+    var rows = [];
+    for (var i = 0; i < items.length; i++) {
+        rows.push(buildPortfolioRow(items[i], outputRoot, inputRoot, i));
+    }
+    // Riskiest first, contracts without a review last, batch order within a score
+    rows.sort(function (a, b) {
+        var byScore = (b.risk_score === null ? -1 : b.risk_score) - (a.risk_score === null ? -1 : a.risk_score);
+        return byScore !== 0 ? byScore : a.order - b.order;
+    });
+    rows.forEach(function (row) {
+        delete row.order;
+    });
+
+    var reviewed = rows.filter(function (row) {
+        return row.status === "reviewed";
+    });
+    var byRiskLevel = { critical: 0, high: 0, medium: 0, low: 0, none: 0 };
+    for (var r = 0; r < reviewed.length; r++) {
+        byRiskLevel[reviewed[r].risk_level]++;
+    }
+    var summary = {
+        generated_at: new Date().toISOString(),
+        input: inputRoot,
+        contracts: rows.length,
+        reviewed: reviewed.length,
+        by_risk_level: byRiskLevel,
+        risk_score_weights: RISK_SCORE_WEIGHTS,
+        rows: rows
+    };
+
+    var csvFile = getPortfolioSummaryPath(outputRoot, "csv");
+    var jsonFile = getPortfolioSummaryPath(outputRoot, "json");
+    var csvResult = fs.write(csvFile, formatPortfolioCsv(rows));
+    var jsonResult = csvResult.error ? csvResult : fs.write(jsonFile, JSON.stringify(summary, null, 2));
+    if (jsonResult.error) {
+        console.error("❌ Failed to write the portfolio summary:", jsonResult.error);
+        return false;
+    }
+
+    console.log("📈 Portfolio summary: " + reviewed.length + " of " + rows.length + " contract(s) reviewed, highest risk: " +
+        REVIEW_SEVERITIES.slice().reverse().concat(["none"]).filter(function (level) {
+            return byRiskLevel[level] > 0;
+        }).map(function (level) {
+            return byRiskLevel[level] + " " + level;
+        }).join(", "));
+    for (var t = 0; t < Math.min(reviewed.length, PORTFOLIO_CONSOLE_ROWS); t++) {
+        console.log("   " + (t + 1) + ". " + reviewed[t].file + ": risk " + reviewed[t].risk_score + " (" + reviewed[t].risk_level + ")");
+    }
+    if (reviewed.length < rows.length) {
+        console.log("⚠️  " + (rows.length - reviewed.length) + " contract(s) without a usable review, listed last");
+    }
+    console.log("📄 " + csvFile);
+    console.log("📄 " + jsonFile);
+    return true;
+}
+
+function buildPortfolioRow(item, outputRoot, inputRoot, order) {
+    var row = { order: order, file: getRelativePath(inputRoot, item.source), status: "missing", risk_score: null, risk_level: "" };
+    var jsonFile = getJsonReviewPath(item.review);
+    if (!fs.exists(jsonFile)) {
+        return row;
+    }
+    var readResult = fs.read(jsonFile);
+    var data = null;
+    try {
+        data = readResult.error ? null : JSON.parse(readResult.content);
+    } catch (error) {
+        data = null;
+    }
+    var review = validateContractReview(data).data;
+    if (!review) {
+        row.status = "invalid";
+        return row;
+    }
+
+    var counts = { critical: 0, high: 0, medium: 0, low: 0 };
+    var score = 0;
+    for (var i = 0; i < review.issues.length; i++) {
+        counts[review.issues[i].severity]++;
+        score += RISK_SCORE_WEIGHTS[review.issues[i].severity];
+    }
+    var sortedIssues = sortIssuesBySeverity(review.issues);
+    row.status = "reviewed";
+    row.risk_score = Math.min(score, 100);
+    row.risk_level = sortedIssues.length > 0 ? sortedIssues[0].severity : "none";
+    row.critical = counts.critical;
+    row.high = counts.high;
+    row.medium = counts.medium;
+    row.low = counts.low;
+    row.parties = review.parties.map(function (party) {
+        return party.name + (party.role ? " (" + party.role + ")" : "");
+    }).join("; ");
+    row.effective_date = review.effective_date;
+    row.expiry_date = review.expiry_date;
+    row.renewal = review.renewal;
+    row.governing_law = review.governing_law;
+    row.top_issues = sortedIssues.slice(0, PORTFOLIO_TOP_ISSUES).map(function (issue) {
+        return "[" + issue.severity.toUpperCase() + "] " + issue.title + (issue.clause ? " (clause " + issue.clause + ")" : "");
+    });
+    var relResult = fs.rel(outputRoot, item.review);
+    row.review = relResult.error ? item.review : relResult.path;
+    return row;
+}
+
+function formatPortfolioCsv(rows) {
+    var lines = [PORTFOLIO_COLUMNS.join(",")];
+    for (var i = 0; i < rows.length; i++) {
+        var row = rows[i];
+        lines.push(PORTFOLIO_COLUMNS.map(function (column) {
+            var value = row[column];
+            return escapeCsvValue(Array.isArray(value) ? value.join("; ") : value);
+        }).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+function escapeCsvValue(value) {
+    var text = value === undefined || value === null ? "" : String(value);
+    return /[",\n\r]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+// ======================== Obligations ========================
+
+// obligations=true: one more pass asks for the dated obligations of the contract (who, what,
+// when, notice period). Relative deadlines ("90 days before expiry") come back as offsets from
+// the effective or expiry date and are turned into calendar dates here, so the arithmetic does
+// not depend on the model. Each contract gets <name>.obligations.csv and .ics, a batch also an
+// obligations.ics with every contract's events. Configured once by main(), sourceRoot is
+// the input folder the calendar event UIDs are relative to
+var obligationExport = { enabled: false, sourceRoot: "" };
+
+var OBLIGATION_UNITS = ["days", "weeks", "months", "years"];
+var OBLIGATION_ANCHORS = ["effective_date", "expiry_date"];
+var OBLIGATION_RECURRENCES = ["none", "monthly", "quarterly", "yearly"];
+var OBLIGATION_COLUMNS = ["contract", "party", "obligation", "clause", "due_date", "date_basis", "notice_period", "recurrence"];
+// Calendar reminder before each deadline
+var OBLIGATION_REMINDER_DAYS = 14;
+var OBLIGATION_INSTRUCTIONS = [
+    "List the obligations of the contract below that have a deadline or a date, and answer with one JSON object, without any other text, in this structure:",
+    "{",
+    "  \"effective_date\": \"YYYY-MM-DD, empty when not stated\",",
+    "  \"expiry_date\": \"YYYY-MM-DD, empty when not stated or open-ended\",",
+    "  \"obligations\": [{",
+    "    \"party\": \"who has to act\", \"obligation\": \"what, in a few words\", \"clause\": \"clause number\",",
+    "    \"date\": \"YYYY-MM-DD when the contract states the date, else empty\",",
+    "    \"relative\": { \"amount\": 90, \"unit\": \"" + OBLIGATION_UNITS.join("|") + "\", \"direction\": \"before|after\", \"from\": \"" + OBLIGATION_ANCHORS.join("|") + "\" } or null,",
+    "    \"notice_period\": \"e.g. 90 days written notice, empty when none\",",
+    "    \"recurrence\": \"" + OBLIGATION_RECURRENCES.join("|") + "\"",
+    "  }]",
+    "}",
+    "Include renewal and termination notice deadlines, payment deadlines, reporting and delivery dates. Use relative for deadlines counted from the start or the end of the contract."
+].join("\n");
+
+function configureObligations(enabled, sourceRoot) {
+    obligationExport = { enabled: enabled, sourceRoot: sourceRoot };
+}
+
+function getObligationsPath(reviewOutputFile, format) {
+    // <name>.review.txt -> <name>.obligations.csv / <name>.obligations.ics
+    var name = fs.filename(reviewOutputFile);
+    var baseName = /\.review\.txt$/.test(name) ? name.replace(/\.review\.txt$/, "") : fs.basename(reviewOutputFile);
+    return fs.join([fs.dirname(reviewOutputFile), baseName + ".obligations." + format]);
+}
+
+function getMergedCalendarPath(outputRoot) {
+    return fs.join([outputRoot, "obligations.ics"]);
+}
+
+function extractObligations(textFile, text, reviewResult, chunksDir, llmTemplate) {
+    // Returns { effective_date, expiry_date, items } with due dates resolved, or null after reporting the failure
+    console.log("📅 Extracting obligations...");
+    var parts = [{ file: textFile, text: text, label: "" }];
+    if (reviewResult.chunks.length > 0) {
+        parts = reviewResult.chunks.map(function (chunk) {
+            return {
+                file: fs.join([chunksDir, "chunk-" + padNumber(chunk.index, 2) + ".txt"]),
+                text: chunk.text,
+                label: "The text is part " + chunk.index + " of " + reviewResult.chunks.length + " of the contract."
+            };
+        });
+    }
+
+    // Dates the model found, else those of a structured review
+    var review = typeof reviewResult.review === "object" ? reviewResult.review : {};
+    var result = { effective_date: "", expiry_date: "", items: [] };
+    var seen = {};
+    for (var p = 0; p < parts.length; p++) {
+        var instructions = OBLIGATION_INSTRUCTIONS + (parts[p].label ? "\n" + parts[p].label : "") + "\n\nContract text:";
+        var answer = runJsonCall(parts.length > 1 ? "obligations-" + (p + 1) : "obligations", llmTemplate,
+            getReviewRequestPath(parts[p].file, "obligations"), parts[p].text, instructions, validateObligations);
+        if (answer === null) {
+            return null;
+        }
+        result.effective_date = result.effective_date || answer.effective_date;
+        result.expiry_date = result.expiry_date || answer.expiry_date;
+        for (var i = 0; i < answer.obligations.length; i++) {
+            var item = answer.obligations[i];
+            var key = [item.party, item.obligation, item.date, JSON.stringify(item.relative)].join("|").toLowerCase();
+            if (!seen[key]) {
+                seen[key] = true;
+                result.items.push(item);
+            }
+        }
+    }
+    result.effective_date = result.effective_date || (isIsoDate(review.effective_date) ? review.effective_date : "");
+    result.expiry_date = result.expiry_date || (isIsoDate(review.expiry_date) ? review.expiry_date : "");
+
+    for (var r = 0; r < result.items.length; r++) {
+        var resolved = resolveObligationDate(result.items[r], result);
+        result.items[r].due_date = resolved.date;
+        result.items[r].date_basis = resolved.basis;
+    }
+    // Dated obligations by due date first, undated ones after them
+    result.items = result.items.map(function (item, index) {
+        return { item: item, index: index };
+    }).sort(function (a, b) {
+        var aDate = a.item.due_date || "9999";
+        var bDate = b.item.due_date || "9999";
+        return aDate !== bDate ? (aDate < bDate ? -1 : 1) : a.index - b.index;
+    }).map(function (entry) {
+        return entry.item;
+    });
+
+    var dated = result.items.filter(function (item) {
+        return item.due_date;
+    });
+    console.log("📅 " + result.items.length + " obligation(s), " + dated.length + " with a date" +
+        (dated.length > 0 ? ", first " + dated[0].due_date + ": " + dated[0].party + " - " + dated[0].obligation : ""));
+    return result;
+}
+
+function validateObligations(value) {
+    if (!value || !Array.isArray(value.obligations)) {
+        return { error: "obligations is missing or not a list" };
+    }
+    var problems = [];
+    var data = {
+        effective_date: getReviewString(value, "effective_date", problems),
+        expiry_date: getReviewString(value, "expiry_date", problems),
+        obligations: []
+    };
+    if (data.effective_date && !isIsoDate(data.effective_date)) {
+        problems.push("effective_date is not YYYY-MM-DD");
+    }
+    if (data.expiry_date && !isIsoDate(data.expiry_date)) {
+        problems.push("expiry_date is not YYYY-MM-DD");
+    }
+    for (var i = 0; i < value.obligations.length; i++) {
+        var source = value.obligations[i] || {};
+        var label = "obligation " + (i + 1);
+        var item = {
+            party: getReviewString(source, "party", problems),
+            obligation: getReviewString(source, "obligation", problems),
+            clause: getReviewString(source, "clause", problems),
+            date: getReviewString(source, "date", problems),
+            relative: null,
+            notice_period: getReviewString(source, "notice_period", problems),
+            recurrence: getReviewString(source, "recurrence", problems).toLowerCase() || "none"
+        };
+        if (!item.obligation) {
+            problems.push(label + " has no obligation");
+        }
+        if (item.date && !isIsoDate(item.date)) {
+            problems.push(label + " date is not YYYY-MM-DD");
+        }
+        if (OBLIGATION_RECURRENCES.indexOf(item.recurrence) === -1) {
+            problems.push(label + " has recurrence \"" + item.recurrence + "\", expected " + OBLIGATION_RECURRENCES.join(", "));
+        }
+        var relative = source.relative;
+        if (relative) {
+            var amount = Number(relative.amount);
+            var unit = String(relative.unit || "").toLowerCase().replace(/^(day|week|month|year)$/, "$1s");
+            var direction = String(relative.direction || "").toLowerCase();
+            var anchor = String(relative.from || "").toLowerCase();
+            if (!(amount >= 0 && Math.floor(amount) === amount) || OBLIGATION_UNITS.indexOf(unit) === -1 ||
+                    (direction !== "before" && direction !== "after") || OBLIGATION_ANCHORS.indexOf(anchor) === -1) {
+                problems.push(label + " relative needs a whole amount, a unit (" + OBLIGATION_UNITS.join(", ") + "), before or after and from (" + OBLIGATION_ANCHORS.join(", ") + ")");
+            } else {
+                item.relative = { amount: amount, unit: unit, direction: direction, from: anchor };
+            }
+        }
+        data.obligations.push(item);
+    }
+    if (problems.length > 0) {
+        return { error: problems.slice(0, 3).join("; ") + (problems.length > 3 ? " (+" + (problems.length - 3) + " more)" : "") };
+    }
+    return { data: data };
+}
+
+function resolveObligationDate(item, dates) {
+    // { date, basis }: the stated date, or the offset from the effective or expiry date
+    if (item.date) {
+        return { date: item.date, basis: "stated in the contract" };
+    }
+    if (!item.relative) {
+        return { date: "", basis: "no date in the contract" };
+    }
+    var relative = item.relative;
+    var description = relative.amount + " " + (relative.amount === 1 ? relative.unit.replace(/s$/, "") : relative.unit) + " " + relative.direction + " the " + relative.from.replace("_", " ");
+    var anchorDate = dates[relative.from];
+    if (!anchorDate) {
+        return { date: "", basis: description + " (not stated)" };
+    }
+    var amount = relative.direction === "before" ? -relative.amount : relative.amount;
+    return { date: addToIsoDate(anchorDate, amount, relative.unit), basis: description + " (" + anchorDate + ")" };
+}
+
+function isIsoDate(value) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    var date = new Date(value + "T00:00:00Z");
+    return !isNaN(date.getTime()) && date.toISOString().substring(0, 10) === value;
+}
+
+function addToIsoDate(isoDate, amount, unit) {
+    // Calendar arithmetic in UTC; a month later than 31 January is the end of February
+    var date = new Date(isoDate + "T00:00:00Z");
+    if (unit === "days" || unit === "weeks") {
+        date.setUTCDate(date.getUTCDate() + amount * (unit === "weeks" ? 7 : 1));
+        return date.toISOString().substring(0, 10);
+    }
+    var months = amount * (unit === "years" ? 12 : 1);
+    var day = date.getUTCDate();
+    var target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    var lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().substring(0, 10);
+}
+
+function writeObligationFiles(reviewOutputFile, documentFile, obligations) {
+    var contractName = fs.filename(documentFile);
+    var csvLines = [OBLIGATION_COLUMNS.join(",")];
+    for (var i = 0; i < obligations.items.length; i++) {
+        var item = obligations.items[i];
+        var row = { contract: contractName, party: item.party, obligation: item.obligation, clause: item.clause, due_date: item.due_date,
+            date_basis: item.date_basis, notice_period: item.notice_period, recurrence: item.recurrence };
+        csvLines.push(OBLIGATION_COLUMNS.map(function (column) {
+            return escapeCsvValue(row[column]);
+        }).join(","));
+    }
+    var csvFile = getObligationsPath(reviewOutputFile, "csv");
+    var icsFile = getObligationsPath(reviewOutputFile, "ics");
+    var sourceKey = obligationExport.sourceRoot ? getRelativePath(obligationExport.sourceRoot, documentFile) : contractName;
+    var usedUids = {};
+    var events = [];
+    for (var e = 0; e < obligations.items.length; e++) {
+        if (obligations.items[e].due_date) {
+            var uid = getObligationUid(sourceKey, obligations.items[e], usedUids);
+            events = events.concat(formatObligationEvent(obligations.items[e], contractName, obligations.expiry_date, uid));
+        }
+    }
+    return writeOutputFile(csvFile, csvLines.join("\n") + "\n", "obligations CSV") &&
+        writeOutputFile(icsFile, formatCalendar("Obligations: " + contractName, events), "obligations calendar");
+}
+
+function getObligationUid(sourceKey, item, usedUids) {
+    // Stable across runs and unique in the merged calendar, where contracts with the same
+    // name from other folders meet: relative source path plus a hash of who, what and where
+    var uid = sourceKey + "-" + hashText([item.party, item.obligation, item.clause].join("\n"));
+    // The same duty twice in one contract (e.g. two payment dates) still needs two events
+    var unique = uid;
+    for (var n = 2; usedUids[unique]; n++) {
+        unique = uid + "-" + n;
+    }
+    usedUids[unique] = true;
+    return unique;
+}
+
+function hashText(text) {
+    // 32-bit FNV-1a as 8 hex digits: short and stable, not meant to be secure
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24)) >>> 0;
+    }
+    return ("0000000" + hash.toString(16)).slice(-8);
+}
+
+function formatObligationEvent(item, contractName, expiryDate, uid) {
+    // All-day VEVENT on the due date with a reminder, repeating until the expiry date
+    var start = item.due_date.replace(/-/g, "");
+    var lines = [
+        "BEGIN:VEVENT",
+        "UID:" + escapeIcsText(uid) + "@contract-review",
+        "DTSTAMP:" + new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z"),
+        "DTSTART;VALUE=DATE:" + start,
+        "DTEND;VALUE=DATE:" + addToIsoDate(item.due_date, 1, "days").replace(/-/g, ""),
+        "SUMMARY:" + escapeIcsText((item.party ? item.party + ": " : "") + item.obligation),
+        "DESCRIPTION:" + escapeIcsText([
+            "Contract: " + contractName + (item.clause ? ", clause " + item.clause : ""),
+            "Date: " + item.date_basis,
+            item.notice_period ? "Notice: " + item.notice_period : ""
+        ].filter(Boolean).join("\n"))
+    ];
+    if (item.recurrence !== "none") {
+        var rule = { monthly: "FREQ=MONTHLY", quarterly: "FREQ=MONTHLY;INTERVAL=3", yearly: "FREQ=YEARLY" }[item.recurrence];
+        lines.push("RRULE:" + rule + (expiryDate && expiryDate > item.due_date ? ";UNTIL=" + expiryDate.replace(/-/g, "") : ""));
+    }
+    lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        "DESCRIPTION:" + escapeIcsText(item.obligation),
+        "TRIGGER:-P" + OBLIGATION_REMINDER_DAYS + "D",
+        "END:VALARM",
+        "END:VEVENT"
+    );
+    return lines;
+}
+
+function formatCalendar(name, eventLines) {
+    // RFC 5545: CRLF line ends, lines folded at 75 octets
+    var lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Amo//contract-review//EN",
+        "CALSCALE:GREGORIAN",
+        "X-WR-CALNAME:" + escapeIcsText(name)
+    ].concat(eventLines, ["END:VCALENDAR"]);
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function foldIcsLine(line) {
+    var folded = "";
+    var octets = 0;
+    for (var i = 0; i < line.length; i++) {
+        var code = line.charCodeAt(i);
+        var isPair = code >= 0xd800 && code <= 0xdbff && i + 1 < line.length;
+        var ch = isPair ? line.substring(i, i + 2) : line.charAt(i);
+        var size = code < 0x80 ? 1 : code < 0x800 ? 2 : isPair ? 4 : 3;
+        if (octets + size > 75) {
+            folded += "\r\n ";
+            octets = 1;
+        }
+        folded += ch;
+        octets += size;
+        i += isPair ? 1 : 0;
+    }
+    return folded;
+}
+
+function writeMergedCalendar(items, outputRoot) {
+    // Every contract's events, also those of contracts reviewed in earlier runs or by other shards
+    var events = [];
+    var contractCount = 0;
+    for (var i = 0; i < items.length; i++) {
+        var readResult = fs.read(getObligationsPath(items[i].review, "ics"));
+        if (readResult.error) {
+            continue;
+        }
+        var blocks = readResult.content.match(/BEGIN:VEVENT\r?\n[\s\S]*?END:VEVENT/g) || [];
+        contractCount++;
+        for (var b = 0; b < blocks.length; b++) {
+            events.push(blocks[b].split(/\r?\n/).join("\r\n"));
+        }
+    }
+    var calendarFile = getMergedCalendarPath(outputRoot);
+    var content = formatCalendar("Contract obligations", []).replace(/END:VCALENDAR\r\n$/, events.map(function (event) {
+        return event + "\r\n";
+    }).join("") + "END:VCALENDAR\r\n");
+    var writeResult = fs.write(calendarFile, content);
+    if (writeResult.error) {
+        console.error("❌ Failed to write the merged obligations calendar:", writeResult.error);
+        return false;
+    }
+    console.log("📅 Merged calendar: " + calendarFile + " (" + events.length + " event(s) from " + contractCount + " contract(s))");
+    return true;
+}
+
+// ======================== Playbook ========================
+
+// playbook=<file>: house positions (e.g. "liability must be capped") the LLM checks every contract
+// against, after the review. Long contracts are checked chunk by chunk, a position fails when any
+// chunk contradicts it and passes when a chunk meets it. Loaded once by main()
+var playbook = null;
+
+var PLAYBOOK_RESULTS = ["pass", "fail", "unclear"];
+// Merging chunk answers: fail beats pass beats unclear, the first answer wins a tie
+var PLAYBOOK_RESULT_RANK = { fail: 2, pass: 1, unclear: 0 };
+
+function configurePlaybook(playbookPath) {
+    var readResult = fs.read(playbookPath);
+    if (readResult.error) {
+        console.error("❌ Error: cannot read playbook " + playbookPath + ":", readResult.error);
+        return false;
+    }
+    var loaded = parsePlaybook(readResult.content, fs.basename(playbookPath));
+    if (loaded.error) {
+        console.error("❌ Error: invalid playbook " + playbookPath + ": " + loaded.error);
+        return false;
+    }
+    playbook = loaded;
+    console.log("📋 Playbook " + playbook.name + ": " + playbook.items.length + " position(s)");
+    return true;
+}
+
+function parsePlaybook(content, defaultName) {
+    // JSON: a list of positions, or { "name": ..., "positions": [...] }; a position is a string or
+    // { "id", "position", "details" }. Text: "- position" or "id: position" lines, indented lines
+    // add details, # starts a comment. Returns { name, items } or { error }
+    var name = defaultName;
+    var entries = [];
+    var trimmed = content.replace(/^﻿/, "").trim();
+    if (/^[\[{]/.test(trimmed)) {
+        var data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            return { error: "invalid JSON: " + error.message };
+        }
+        if (!Array.isArray(data)) {
+            name = typeof data.name === "string" && data.name.trim() ? data.name.trim() : name;
+            data = data.positions || data.items;
+        }
+        if (!Array.isArray(data)) {
+            return { error: "expected a list of positions, or an object with \"positions\"" };
+        }
+        for (var i = 0; i < data.length; i++) {
+            var item = typeof data[i] === "string" ? { position: data[i] } : data[i] || {};
+            entries.push({ id: item.id, position: item.position || item.title || item.rule, details: item.details || "" });
+        }
+    } else {
+        var lines = content.split(/\r?\n/);
+        for (var l = 0; l < lines.length; l++) {
+            var line = lines[l];
+            if (!line.trim() || /^\s*#/.test(line)) {
+                continue;
+            }
+            var bullet = line.match(/^([-*]|\d+[.)])\s+(.+)$/);
+            var keyed = line.match(/^([A-Za-z][\w-]*):\s+(.+)$/);
+            if (bullet || keyed) {
+                entries.push({ id: keyed ? keyed[1] : "", position: (bullet || keyed)[2].trim(), details: "" });
+            } else if (/^\s/.test(line) && entries.length > 0) {
+                var last = entries[entries.length - 1];
+                last.details = (last.details ? last.details + " " : "") + line.trim();
+            } else {
+                return { error: "line " + (l + 1) + ": expected \"- position\" or \"id: position\"" };
+            }
+        }
+    }
+
+    var items = [];
+    var seen = {};
+    for (var e = 0; e < entries.length; e++) {
+        var position = typeof entries[e].position === "string" ? entries[e].position.trim() : "";
+        if (!position) {
+            return { error: "position " + (e + 1) + " has no text" };
+        }
+        var id = entries[e].id ? String(entries[e].id).trim() : "P" + (e + 1);
+        if (seen[id.toLowerCase()]) {
+            return { error: "duplicate position id: " + id };
+        }
+        seen[id.toLowerCase()] = true;
+        items.push({ id: id, position: position, details: String(entries[e].details || "").trim() });
+    }
+    if (items.length === 0) {
+        return { error: "no positions found" };
+    }
+    return { name: name, items: items };
+}
+
+function getPlaybookInstructions(partLabel) {
+    var lines = [
+        "Check the contract text below against each of our house positions and answer with one JSON object, without any other text, in this structure:",
+        "{ \"checks\": [{ \"id\": \"" + playbook.items[0].id + "\", \"result\": \"" + PLAYBOOK_RESULTS.join("|") + "\", " +
+            "\"evidence\": \"clause number and the exact text that decides it\", \"comment\": \"...\" }] }",
+        "pass: the contract meets the position, fail: it contradicts the position, unclear: the text does not say or is ambiguous.",
+        "Include every position id exactly once."
+    ];
+    if (partLabel) {
+        lines.push("The text is " + partLabel + " of the contract, answer unclear for positions this part does not address.");
+    }
+    lines.push("", "House positions:");
+    for (var i = 0; i < playbook.items.length; i++) {
+        lines.push("[" + playbook.items[i].id + "] " + playbook.items[i].position + (playbook.items[i].details ? " (" + playbook.items[i].details + ")" : ""));
+    }
+    lines.push("", "Contract text:");
+    return lines.join("\n");
+}
+
+function checkPlaybook(textFile, text, chunks, chunksDir, llmTemplate) {
+    // Returns { name, counts, checks } in playbook order, or null after reporting the failure
+    console.log("📋 Checking " + playbook.items.length + " playbook position(s)...");
+    var parts = [{ file: textFile, text: text, label: "" }];
+    if (chunks.length > 0) {
+        parts = chunks.map(function (chunk) {
+            return {
+                file: fs.join([chunksDir, "chunk-" + padNumber(chunk.index, 2) + ".txt"]),
+                text: chunk.text,
+                label: "part " + chunk.index + " of " + chunks.length
+            };
+        });
+    }
+
+    var decided = {};
+    for (var p = 0; p < parts.length; p++) {
+        var checks = runJsonCall(parts.length > 1 ? "playbook-" + (p + 1) : "playbook", llmTemplate, getReviewRequestPath(parts[p].file, "playbook"),
+            parts[p].text, getPlaybookInstructions(parts[p].label), validatePlaybookChecks);
+        if (checks === null) {
+            return null;
+        }
+        for (var i = 0; i < playbook.items.length; i++) {
+            var key = playbook.items[i].id.toLowerCase();
+            if (!decided[key] || PLAYBOOK_RESULT_RANK[checks[key].result] > PLAYBOOK_RESULT_RANK[decided[key].result]) {
+                decided[key] = checks[key];
+            }
+        }
+    }
+
+    var result = { name: playbook.name, counts: { pass: 0, fail: 0, unclear: 0 }, checks: [] };
+    for (var j = 0; j < playbook.items.length; j++) {
+        var check = decided[playbook.items[j].id.toLowerCase()];
+        result.counts[check.result]++;
+        result.checks.push({ id: playbook.items[j].id, position: playbook.items[j].position, result: check.result, evidence: check.evidence, comment: check.comment });
+    }
+    console.log("📋 " + formatPlaybookCounts(result));
+    return result;
+}
+
+function validatePlaybookChecks(value) {
+    // Every position needs a result from PLAYBOOK_RESULTS, returns the checks by lower-case id
+    if (!value || !Array.isArray(value.checks)) {
+        return { error: "checks is missing or not a list" };
+    }
+    var byId = {};
+    var problems = [];
+    for (var i = 0; i < value.checks.length; i++) {
+        var item = value.checks[i] || {};
+        var result = getReviewString(item, "result", problems).toLowerCase();
+        if (PLAYBOOK_RESULTS.indexOf(result) === -1) {
+            problems.push("position " + (item.id || i + 1) + " has result \"" + result + "\", expected " + PLAYBOOK_RESULTS.join(", "));
+        }
+        byId[getReviewString(item, "id", problems).toLowerCase()] = {
+            result: result,
+            evidence: getReviewString(item, "evidence", problems),
+            comment: getReviewString(item, "comment", problems)
+        };
+    }
+    for (var p = 0; p < playbook.items.length; p++) {
+        if (!byId[playbook.items[p].id.toLowerCase()]) {
+            problems.push("no result for " + playbook.items[p].id);
+        }
+    }
+    if (problems.length > 0) {
+        return { error: problems.slice(0, 3).join("; ") + (problems.length > 3 ? " (+" + (problems.length - 3) + " more)" : "") };
+    }
+    return { data: byId };
+}
+
+function formatPlaybookCounts(result) {
+    return result.checks.length + " position(s): " + result.counts.pass + " pass, " + result.counts.fail + " fail, " + result.counts.unclear + " unclear";
+}
+
+function formatPlaybookChecklist(result) {
+    // Appended to <name>.review.txt
+    var lines = ["", "---", "Playbook " + result.name + ": " + formatPlaybookCounts(result)];
+    for (var i = 0; i < result.checks.length; i++) {
+        var check = result.checks[i];
+        lines.push("[" + check.result.toUpperCase() + "] " + check.id + ": " + check.position);
+        if (check.evidence) {
+            lines.push("    Evidence: " + check.evidence);
+        }
+        if (check.comment) {
+            lines.push("    Comment: " + check.comment);
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+// ======================== Quote Verification ========================
+
+// LLM reviews sometimes quote clauses that are not in the contract. Each quoted passage is
+// looked up in the extracted text word by word, so line breaks, hyphenation, punctuation and
+// case do not matter: verified when the words appear in this order, approximate when most of
+// them do (a misread or a paraphrase), not found otherwise. Configured once by main()
+var quoteVerification = { enabled: true, flaggedReviews: [] };
+
+// Quoted text in a free-text review shorter than this is a defined term, not a passage
+var QUOTE_MIN_LENGTH = 20;
+// Share of the quoted words found in order for an approximate match
+var QUOTE_APPROXIMATE_THRESHOLD = 0.8;
+var QUOTE_STATUSES = ["verified", "approximate", "not_found"];
+
+function configureQuoteVerification(enabled) {
+    quoteVerification = { enabled: enabled, flaggedReviews: [] };
+}
+
+function verifyReviewQuotes(review, sourceText, reviewOutputFile) {
+    // Structured reviews get a quote_check per issue, returns { counts, checks } for either kind
+    var source = tokenizeForQuotes(sourceText);
+    var sourceLines = sourceText.split("\n");
+    var checks = [];
+    if (typeof review === "object") {
+        for (var i = 0; i < review.issues.length; i++) {
+            if (review.issues[i].quote) {
+                review.issues[i].quote_check = checkQuote(review.issues[i].quote, source, sourceLines);
+                checks.push({ quote: review.issues[i].quote, check: review.issues[i].quote_check });
+            }
+        }
+    } else {
+        var quotes = findQuotedPassages(review);
+        for (var q = 0; q < quotes.length; q++) {
+            checks.push({ quote: quotes[q], check: checkQuote(quotes[q], source, sourceLines) });
+        }
+    }
+
+    var counts = { verified: 0, approximate: 0, not_found: 0 };
+    for (var c = 0; c < checks.length; c++) {
+        counts[checks[c].check.status]++;
+    }
+    if (checks.length === 0) {
+        console.log("🔎 No quoted passages to verify");
+    } else {
+        console.log("🔎 Quotes: " + formatQuoteCounts(counts));
+    }
+    if (counts.not_found > 0) {
+        console.warn("⚠️  " + counts.not_found + " quote(s) not found in the extracted text, check them before relying on the review");
+        quoteVerification.flaggedReviews.push(reviewOutputFile);
+    }
+    return { counts: counts, checks: checks };
+}
+
+function findQuotedPassages(reviewText) {
+    // "..." or “...” of QUOTE_MIN_LENGTH and more, and > blockquotes, in review order
+    var passages = [];
+    var quotePattern = /["“]([^"“”\n]+)["”]/g;
+    var match;
+    while ((match = quotePattern.exec(reviewText)) !== null) {
+        var quoted = match[1].trim();
+        if (quoted.length >= QUOTE_MIN_LENGTH && quoted.split(/\s+/).length >= 3) {
+            passages.push({ offset: match.index, text: quoted });
+        }
+    }
+    var blockPattern = /(^[ \t]*>[^\n]*(\n|$))+/gm;
+    while ((match = blockPattern.exec(reviewText)) !== null) {
+        var block = match[0].replace(/^[ \t]*>[ \t]?/gm, "").replace(/\s+/g, " ").trim();
+        if (block.length >= QUOTE_MIN_LENGTH) {
+            passages.push({ offset: match.index, text: block.replace(/^["“](.*)["”]$/, "$1") });
+        }
+    }
+    passages.sort(function (a, b) {
+        return a.offset - b.offset;
+    });
+    var seen = {};
+    return passages.map(function (passage) {
+        return passage.text;
+    }).filter(function (text) {
+        var isNew = !seen[text];
+        seen[text] = true;
+        return isNew;
+    });
+}
+
+function tokenizeForQuotes(text) {
+    // Lower-case words with their offsets; "liabil-\nity" and "self-employed" are one word
+    var words = [];
+    var starts = [];
+    var wordPattern = /[a-z0-9\u00df-\u024f]+/g;
+    var lowerText = text.toLowerCase();
+    var match;
+    var lastEnd = -1;
+    while ((match = wordPattern.exec(lowerText)) !== null) {
+        if (words.length > 0 && /^[-\u00ad]\s*$/.test(lowerText.substring(lastEnd, match.index))) {
+            words[words.length - 1] += match[0];
+        } else {
+            words.push(match[0]);
+            starts.push(match.index);
+        }
+        lastEnd = match.index + match[0].length;
+    }
+    return { words: words, starts: starts };
+}
+
+function checkQuote(quote, source, sourceLines) {
+    // { status, similarity, line, section }; a quote with ... is checked part by part
+    var parts = quote.split(/\s*(?:\.\.\.|…|\[\.\.\.\])\s*/).map(function (part) {
+        return tokenizeForQuotes(part).words;
+    }).filter(function (words) {
+        return words.length >= 2;
+    });
+    if (parts.length === 0) {
+        parts = [tokenizeForQuotes(quote).words];
+    }
+
+    var similarity = 1;
+    var firstStart = -1;
+    for (var i = 0; i < parts.length; i++) {
+        var found = findQuoteWords(parts[i], source);
+        similarity = Math.min(similarity, found.similarity);
+        if (firstStart === -1 && found.start !== -1) {
+            firstStart = found.start;
+        }
+    }
+    var status = similarity === 1 ? "verified" : similarity >= QUOTE_APPROXIMATE_THRESHOLD ? "approximate" : "not_found";
+    var check = { status: status, similarity: Math.round(similarity * 100) / 100 };
+    if (status !== "not_found" && firstStart !== -1) {
+        var location = getQuoteLocation(source.starts[firstStart], sourceLines);
+        check.line = location.line;
+        check.section = location.section;
+    }
+    return check;
+}
+
+function findQuoteWords(words, source) {
+    // { similarity, start }: 1 for the exact word sequence, else the best window's in-order share
+    var n = words.length;
+    if (n === 0) {
+        return { similarity: 1, start: -1 };
+    }
+    for (var i = 0; i + n <= source.words.length; i++) {
+        var j = 0;
+        while (j < n && source.words[i + j] === words[j]) {
+            j++;
+        }
+        if (j === n) {
+            return { similarity: 1, start: i };
+        }
+    }
+
+    // Window of n words sharing the most words with the quote, then the in-order share there
+    var wanted = Object.create(null);
+    for (var w = 0; w < n; w++) {
+        wanted[words[w]] = (wanted[words[w]] || 0) + 1;
+    }
+    var inWindow = Object.create(null);
+    var shared = 0;
+    var bestShared = 0;
+    var bestStart = -1;
+    for (var k = 0; k < source.words.length; k++) {
+        var added = source.words[k];
+        if ((inWindow[added] || 0) < (wanted[added] || 0)) {
+            shared++;
+        }
+        inWindow[added] = (inWindow[added] || 0) + 1;
+        if (k >= n) {
+            var removed = source.words[k - n];
+            if (inWindow[removed] <= (wanted[removed] || 0)) {
+                shared--;
+            }
+            inWindow[removed]--;
+        }
+        if (shared > bestShared) {
+            bestShared = shared;
+            bestStart = Math.max(k - n + 1, 0);
+        }
+    }
+    if (bestStart === -1 || bestShared / n < QUOTE_APPROXIMATE_THRESHOLD) {
+        return { similarity: bestShared / n, start: -1 };
+    }
+    // A few words of slack on each side for words the quote dropped or added
+    var slack = Math.max(2, Math.ceil(n * 0.2));
+    var windowStart = Math.max(bestStart - slack, 0);
+    var windowWords = source.words.slice(windowStart, Math.min(bestStart + n + slack, source.words.length));
+    var inOrder = countCommonSubsequence(words, windowWords);
+    return { similarity: Math.min(inOrder / n, 0.99), start: bestStart };
+}
+
+function countCommonSubsequence(a, b) {
+    // Length of the longest common subsequence, one row at a time
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) {
+        previous[j] = 0;
+    }
+    for (var i = 1; i <= a.length; i++) {
+        var current = [0];
+        for (var k = 1; k <= b.length; k++) {
+            current[k] = a[i - 1] === b[k - 1] ? previous[k - 1] + 1 : Math.max(previous[k], current[k - 1]);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function getQuoteLocation(offset, sourceLines) {
+    // 1-based line of the offset and the nearest section heading above it
+    var line = 0;
+    var lineEnd = 0;
+    while (line < sourceLines.length - 1 && lineEnd + sourceLines[line].length < offset) {
+        lineEnd += sourceLines[line].length + 1;
+        line++;
+    }
+    var section = "";
+    for (var i = line; i >= 0 && !section; i--) {
+        if (isSectionHeading(sourceLines[i])) {
+            section = truncateHeading(sourceLines[i].trim());
+        }
+    }
+    return { line: line + 1, section: section };
+}
+
+function describeQuoteCheck(check) {
+    var label = check.status === "not_found" ? "not found in the extracted text" : check.status;
+    if (check.status === "approximate") {
+        label += " (" + Math.round(check.similarity * 100) + "% match)";
+    }
+    if (check.line) {
+        label += ", line " + check.line + (check.section ? " in " + check.section : "");
+    }
+    return label;
+}
+
+function formatQuoteCounts(counts) {
+    return QUOTE_STATUSES.map(function (status) {
+        return counts[status] + " " + status.replace("_", " ");
+    }).join(", ");
+}
+
+function formatQuoteChecks(quotes) {
+    // Appended to a free-text <name>.review.txt
+    var lines = ["", "---", "Quote check: " + formatQuoteCounts(quotes.counts)];
+    for (var i = 0; i < quotes.checks.length; i++) {
+        var quote = quotes.checks[i].quote;
+        lines.push("[" + quotes.checks[i].check.status.replace("_", " ").toUpperCase() + "] \"" +
+            (quote.length > 80 ? quote.substring(0, 80).trim() + "..." : quote) + "\"");
+        lines.push("    " + describeQuoteCheck(quotes.checks[i].check));
+    }
+    return lines.join("\n") + "\n";
+}
+
+function printQuoteVerificationSummary() {
+    if (quoteVerification.flaggedReviews.length === 0) {
+        return;
+    }
+    console.log("⚠️  Reviews with quotes not found in the source: " + quoteVerification.flaggedReviews.length);
+    for (var i = 0; i < quoteVerification.flaggedReviews.length; i++) {
+        console.log("   - " + fs.filename(quoteVerification.flaggedReviews[i]));
+    }
+}
+
+// ======================== Version Comparison ========================
+
+// compare_with=<older file>: both versions are split into clauses (see SECTION_HEADING_PATTERNS),
+// the clauses are matched and diffed locally, and only the changed ones go to the LLM, which rates
+// the risk impact of each change. The result is <name>.changes.txt instead of a review
+
+var CHANGE_RISKS = ["none"].concat(REVIEW_SEVERITIES);
+var CHANGE_REVIEW_INSTRUCTIONS = [
+    "Below are the clauses that changed between two versions of a contract. Assess the risk impact of every change",
+    "and answer with one JSON object, without any other text, in this structure:",
+    "{ \"changes\": [{ \"id\": \"C1\", \"risk\": \"" + CHANGE_RISKS.join("|") + "\", \"impact\": \"what the change means and why it matters\", \"recommendation\": \"...\" }] }",
+    "Include every change id exactly once."
+].join("\n");
+// Clauses that share at least this much of their wording count as the same clause, modified
+var CLAUSE_SIMILARITY_THRESHOLD = 0.5;
+
+function getChangeReportPath(reviewOutputFile) {
+    // <name>.review.txt -> <name>.changes.txt
+    return reviewOutputFile.replace(/\.review\.txt$/, ".changes.txt");
+}
+
+function getCompareDir(textFile) {
+    // <name>.compare/ next to <name>.extracted.txt: the previous version's text and the change lists
+    var textName = fs.filename(textFile).replace(/\.extracted\.txt$/, "").replace(/\.txt$/, "");
+    return fs.join([fs.dirname(textFile), textName + ".compare"]);
+}
+
+function processComparison(documentFile, previousFile, reportFile, ocrTool, ocrLlmTemplate, contractLlmTemplate, contentType, verbose) {
+    console.log("🔄 Step 1: Extracting text from both versions...");
+    var current = extractDocumentText(documentFile, getExtractedTextPath(documentFile, reportFile), ocrTool, ocrLlmTemplate, contentType, verbose);
+    var currentText = current ? readExtractedText(current) : null;
+    if (!currentText) {
+        return false;
+    }
+    var compareDir = getCompareDir(current.path);
+    console.log("📄 Previous version: " + fs.filename(previousFile));
+    var previous = extractDocumentText(previousFile, fs.join([compareDir, "previous.extracted.txt"]), ocrTool, ocrLlmTemplate, contentType, verbose);
+    var previousText = previous ? readExtractedText(previous) : null;
+    if (!previousText) {
+        return false;
+    }
+
+    console.log("🔄 Step 2: Comparing clauses...");
+    var comparison = compareClauses(splitIntoClauses(previousText.content), splitIntoClauses(currentText.content));
+    console.log("📊 " + formatChangeCounts(comparison.counts));
+
+    console.log("🔄 Step 3: Reviewing changed clauses with LLM...");
+    if (comparison.changes.length === 0) {
+        console.log("ℹ️  No clause changed, nothing to review");
+    }
+    var groups = groupChanges(comparison.changes, chunkedReview.size);
+    // With redact=..., the LLM sees the changed clauses with placeholders, shared by all groups
+    var redactionMap = redaction.rules.length > 0 ? createRedactionMap() : null;
+    for (var g = 0; g < groups.length; g++) {
+        var changesFile = fs.join([compareDir, "changes-" + padNumber(g + 1, 2) + ".txt"]);
+        var changesText = "Previous version: " + fs.filename(previousFile) + "\nCurrent version: " + fs.filename(documentFile) + "\n\n" +
+            groups[g].map(formatChangeForLlm).join("\n\n") + "\n";
+        if (redactionMap) {
+            changesText = redactText(changesText, redactionMap);
+        }
+        if (!writeChunkFile(changesFile, changesText)) {
+            return false;
+        }
+        var assessments = runJsonCall(groups.length > 1 ? "review-changes-" + (g + 1) : "review-changes", contractLlmTemplate, getReviewRequestPath(changesFile), changesText,
+            CHANGE_REVIEW_INSTRUCTIONS, getChangeAssessmentValidator(groups[g]));
+        if (assessments === null) {
+            return false;
+        }
+        if (redactionMap) {
+            assessments = restoreRedactedValues(assessments, redactionMap);
+        }
+        for (var c = 0; c < groups[g].length; c++) {
+            var assessment = assessments[groups[g][c].id];
+            groups[g][c].risk = assessment.risk;
+            groups[g][c].impact = assessment.impact;
+            groups[g][c].recommendation = assessment.recommendation;
+        }
+    }
+
+    if (redactionMap) {
+        console.log("🛡️  " + formatRedactionCounts(redactionMap.counts));
+        if (!writeRedactionMap(getRedactionMapPath(current.path), redactionMap, fs.filename(documentFile))) {
+            return false;
+        }
+    }
+
+    console.log("🔄 Step 4: Saving change report...");
+    var report = {
+        previous_file: fs.filename(previousFile),
+        current_file: fs.filename(documentFile),
+        counts: comparison.counts,
+        highest_risk: getHighestRisk(comparison.changes),
+        changes: comparison.changes.map(function (change) {
+            return {
+                id: change.id,
+                type: change.type,
+                clause: change.clause,
+                previous_clause: change.previousClause,
+                heading: change.heading,
+                risk: change.risk,
+                impact: change.impact,
+                recommendation: change.recommendation,
+                previous_text: change.previousText,
+                current_text: change.currentText,
+                diff: change.diff
+            };
+        })
+    };
+    if (reviewOutput.format === "json") {
+        var jsonOutputFile = getJsonReviewPath(reportFile);
+        report.source_file = fs.filename(documentFile);
+        report.review_timestamp = new Date().toISOString();
+        if (!writeOutputFile(jsonOutputFile, JSON.stringify(report, null, 2), "change report JSON")) {
+            return false;
+        }
+    }
+    if (!writeOutputFile(reportFile, renderChangeReport(report), "change report")) {
+        return false;
+    }
+
+    if (intermediatePolicy.mode === "delete") {
+        removeIntermediates([current.path, compareDir, getRedactionMapPath(current.path)]);
+    }
+    return true;
+}
+
+function writeOutputFile(filePath, content, label) {
+    var writeResult = fs.write(filePath, content);
+    if (writeResult.error) {
+        console.error("❌ Failed to save " + label + ":", writeResult.error);
+        traceFailure("Failed to save " + label + ": " + writeResult.error);
+        return false;
+    }
+    traceOutput(filePath);
+    console.log("✅ " + label.charAt(0).toUpperCase() + label.substring(1) + " saved: " + fs.filename(filePath));
+    return true;
+}
+
+function splitIntoClauses(text) {
+    // A clause runs from one section heading to the next, text before the first heading is the preamble
+    var starts = [0].concat(findChunkCuts(text, 0, text.length, 0)).concat([text.length]);
+    var clauses = [];
+    for (var i = 0; i < starts.length - 1; i++) {
+        var clauseText = text.substring(starts[i], starts[i + 1]).trim();
+        if (!clauseText) {
+            continue;
+        }
+        var heading = clauseText.split("\n")[0].trim();
+        var numberMatch = isSectionHeading(heading) ? heading.match(/^(?:(?:article|section|clause|schedule|annex|exhibit|appendix|part)\s+)?(\d+(?:\.\d+)*|[ivxlc]+\b)\.?/i) : null;
+        var normalized = clauseText.replace(/\s+/g, " ");
+        clauses.push({
+            number: numberMatch ? numberMatch[1] : "",
+            title: isSectionHeading(heading) ? heading.substring(numberMatch ? numberMatch[0].length : 0).replace(/[\s:.]+$/, "").trim().toLowerCase() : "",
+            heading: clauses.length === 0 && !isSectionHeading(heading) ? "Preamble" : truncateHeading(heading),
+            text: clauseText,
+            // Wording without the clause number, so renumbered clauses still match
+            body: numberMatch ? normalized.substring(numberMatch[0].length).trim() : normalized,
+            words: getWordSet(normalized)
+        });
+    }
+    return clauses;
+}
+
+function truncateHeading(heading) {
+    return heading.length > 60 ? heading.substring(0, 60).trim() + "..." : heading;
+}
+
+function getWordSet(text) {
+    var set = {};
+    var words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+    for (var i = 0; i < words.length; i++) {
+        set[words[i]] = true;
+    }
+    return set;
+}
+
+function getWordSimilarity(a, b) {
+    // Dice coefficient of the two word sets
+    var aWords = Object.keys(a);
+    var bCount = Object.keys(b).length;
+    if (aWords.length + bCount === 0) {
+        return 1;
+    }
+    var shared = 0;
+    for (var i = 0; i < aWords.length; i++) {
+        if (b[aWords[i]]) {
+            shared++;
+        }
+    }
+    return 2 * shared / (aWords.length + bCount);
+}
+
+function compareClauses(previousClauses, currentClauses) {
+    // Pairs clauses: same wording, then same title, then same number, then similar wording.
+    // Unpaired current clauses were added, unpaired previous clauses removed
+    var pairOf = [];
+    var taken = {};
+    var matchers = [
+        function (previous, current) { return previous.body === current.body; },
+        function (previous, current) { return current.title !== "" && previous.title === current.title; },
+        function (previous, current) { return current.number !== "" && previous.number === current.number; }
+    ];
+    for (var m = 0; m < matchers.length; m++) {
+        for (var j = 0; j < currentClauses.length; j++) {
+            for (var i = 0; pairOf[j] === undefined && i < previousClauses.length; i++) {
+                if (!taken[i] && matchers[m](previousClauses[i], currentClauses[j])) {
+                    pairOf[j] = i;
+                    taken[i] = true;
+                }
+            }
+        }
+    }
+    for (var k = 0; k < currentClauses.length; k++) {
+        var best = -1;
+        var bestScore = CLAUSE_SIMILARITY_THRESHOLD;
+        for (var p = 0; pairOf[k] === undefined && p < previousClauses.length; p++) {
+            var score = taken[p] ? 0 : getWordSimilarity(previousClauses[p].words, currentClauses[k].words);
+            if (score >= bestScore) {
+                best = p;
+                bestScore = score;
+            }
+        }
+        if (best !== -1) {
+            pairOf[k] = best;
+            taken[best] = true;
+        }
+    }
+
+    // Changes in the order of the current version, a removed clause after the clause before it
+    var entries = [];
+    var positionOfPrevious = {};
+    for (var c = 0; c < currentClauses.length; c++) {
+        var previous = pairOf[c] === undefined ? null : previousClauses[pairOf[c]];
+        var type = !previous ? "added" : previous.body === currentClauses[c].body ? "unchanged" : "modified";
+        entries.push({ position: c, type: type, previous: previous, current: currentClauses[c] });
+        if (previous) {
+            positionOfPrevious[pairOf[c]] = c;
+        }
+    }
+    var lastPosition = -1;
+    for (var r = 0; r < previousClauses.length; r++) {
+        if (taken[r]) {
+            lastPosition = positionOfPrevious[r];
+        } else {
+            entries.push({ position: lastPosition + 0.5 + r / 10000, type: "removed", previous: previousClauses[r], current: null });
+        }
+    }
+    entries.sort(function (a, b) {
+        return a.position - b.position;
+    });
+
+    var counts = { unchanged: 0, modified: 0, added: 0, removed: 0 };
+    var changes = [];
+    for (var e = 0; e < entries.length; e++) {
+        var entry = entries[e];
+        counts[entry.type]++;
+        if (entry.type === "unchanged") {
+            continue;
+        }
+        var clause = entry.current || entry.previous;
+        changes.push({
+            id: "C" + (changes.length + 1),
+            type: entry.type,
+            clause: clause.number,
+            previousClause: entry.previous && entry.current && entry.previous.number !== entry.current.number ? entry.previous.number : "",
+            heading: clause.heading,
+            previousText: entry.previous ? entry.previous.text : "",
+            currentText: entry.current ? entry.current.text : "",
+            diff: entry.type === "modified" ? getWordDiff(entry.previous.text, entry.current.text) : "",
+            risk: "",
+            impact: "",
+            recommendation: ""
+        });
+    }
+    return { counts: counts, changes: changes };
+}
+
+function getWordDiff(previousText, currentText) {
+    // Word diff in wdiff style: [-removed words-]{+added words+}, empty when the clauses are too long to compare
+    var a = previousText.split(/\s+/).filter(Boolean);
+    var b = currentText.split(/\s+/).filter(Boolean);
+    if (a.length * b.length > 1000000) {
+        return "";
+    }
+    // Longest common subsequence table, from the end
+    var lcs = [];
+    for (var i = a.length; i >= 0; i--) {
+        lcs[i] = [];
+        for (var j = b.length; j >= 0; j--) {
+            lcs[i][j] = i === a.length || j === b.length ? 0 : a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    var parts = [];
+    var removed = [];
+    var added = [];
+    var flush = function () {
+        if (removed.length > 0) {
+            parts.push("[-" + removed.join(" ") + "-]");
+        }
+        if (added.length > 0) {
+            parts.push("{+" + added.join(" ") + "+}");
+        }
+        removed = [];
+        added = [];
+    };
+    var x = 0;
+    var y = 0;
+    while (x < a.length || y < b.length) {
+        if (x < a.length && y < b.length && a[x] === b[y]) {
+            flush();
+            parts.push(a[x]);
+            x++;
+            y++;
+        } else if (y < b.length && (x === a.length || lcs[x][y + 1] >= lcs[x + 1][y])) {
+            added.push(b[y++]);
+        } else {
+            removed.push(a[x++]);
+        }
+    }
+    flush();
+    return parts.join(" ");
+}
+
+function groupChanges(changes, maxLength) {
+    // One LLM call per group of changes that fits maxLength characters (0 = all in one call)
+    var groups = [];
+    var current = null;
+    var currentLength = 0;
+    for (var i = 0; i < changes.length; i++) {
+        var length = formatChangeForLlm(changes[i]).length;
+        if (!current || (maxLength > 0 && currentLength + length > maxLength)) {
+            current = [];
+            currentLength = 0;
+            groups.push(current);
+        }
+        current.push(changes[i]);
+        currentLength += length;
+    }
+    return groups;
+}
+
+function formatChangeForLlm(change) {
+    var label = "[" + change.id + "] " + change.type.toUpperCase() + " " + change.heading +
+        (change.previousClause ? " (clause " + change.previousClause + " in the previous version)" : "");
+    if (change.type === "added") {
+        return label + "\nNew text:\n" + change.currentText;
+    }
+    if (change.type === "removed") {
+        return label + "\nRemoved text:\n" + change.previousText;
+    }
+    return label + "\nPrevious text:\n" + change.previousText + "\nNew text:\n" + change.currentText;
+}
+
+function getChangeAssessmentValidator(changes) {
+    // Every change of the group needs a risk from CHANGE_RISKS, returns the assessments by id
+    return function (value) {
+        if (!value || !Array.isArray(value.changes)) {
+            return { error: "changes is missing or not a list" };
+        }
+        var byId = {};
+        var problems = [];
+        for (var i = 0; i < value.changes.length; i++) {
+            var item = value.changes[i] || {};
+            var risk = getReviewString(item, "risk", problems).toLowerCase();
+            if (CHANGE_RISKS.indexOf(risk) === -1) {
+                problems.push("change " + (item.id || i + 1) + " has risk \"" + risk + "\", expected " + CHANGE_RISKS.join(", "));
+            }
+            byId[getReviewString(item, "id", problems).toUpperCase()] = {
+                risk: risk,
+                impact: getReviewString(item, "impact", problems),
+                recommendation: getReviewString(item, "recommendation", problems)
+            };
+        }
+        for (var c = 0; c < changes.length; c++) {
+            if (!byId[changes[c].id]) {
+                problems.push("no assessment for " + changes[c].id);
+            }
+        }
+        if (problems.length > 0) {
+            return { error: problems.slice(0, 3).join("; ") + (problems.length > 3 ? " (+" + (problems.length - 3) + " more)" : "") };
+        }
+        return { data: byId };
+    };
+}
+
+function getHighestRisk(changes) {
+    var highest = 0;
+    for (var i = 0; i < changes.length; i++) {
+        highest = Math.max(highest, CHANGE_RISKS.indexOf(changes[i].risk));
+    }
+    return CHANGE_RISKS[highest];
+}
+
+function formatChangeCounts(counts) {
+    return "Clauses: " + counts.unchanged + " unchanged, " + counts.modified + " modified, " + counts.added + " added, " + counts.removed + " removed";
+}
+
+function renderChangeReport(report) {
+    var lines = [
+        "Contract changes: " + report.current_file + " compared with " + report.previous_file,
+        "==================================",
+        "",
+        formatChangeCounts(report.counts),
+        "Highest risk: " + report.highest_risk
+    ];
+    for (var i = 0; i < report.changes.length; i++) {
+        var change = report.changes[i];
+        lines.push("");
+        lines.push("[" + change.id + "] " + change.type.toUpperCase() + " " + change.heading + " (risk: " + change.risk + ")");
+        if (change.previous_clause) {
+            lines.push("   Was clause " + change.previous_clause);
+        }
+        if (change.impact) {
+            lines.push("   Impact: " + change.impact);
+        }
+        if (change.recommendation) {
+            lines.push("   Recommendation: " + change.recommendation);
+        }
+        if (change.type === "modified" && change.diff) {
+            lines.push("   Change: " + change.diff);
+        } else if (change.type === "modified") {
+            lines.push("   Previous text: " + change.previous_text.replace(/\s*\n\s*/g, " "));
+            lines.push("   New text: " + change.current_text.replace(/\s*\n\s*/g, " "));
+        } else {
+            lines.push("   Text: " + (change.current_text || change.previous_text).replace(/\s*\n\s*/g, " "));
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+// ======================== Retries ========================
+
+// Retry settings for CLI steps, configured once by main()
+var retryPolicy = { retries: 0, delaySeconds: 5 };
+
+function classifyCliFailure(result) {
+    var text = [result.error, result.stderr, result.stdout].join("\n").toLowerCase();
+
+    // Retrying cannot fix a blocked or missing tool, or input the tool rejects
+    var permanentPatterns = [
+        "not in the allowed cli commands list", "command not found", "no such file or directory",
+        "unsupported", "not supported", "permission denied", "invalid argument", "template not found",
+        "argument list too long"
+    ];
+    for (var i = 0; i < permanentPatterns.length; i++) {
+        if (text.indexOf(permanentPatterns[i]) !== -1) {
+            return "permanent";
+        }
+    }
+
+    // Timeouts, rate limits and server-side errors usually go away on their own
+    var retryablePatterns = [
+        "timeout", "timed out", "deadline exceeded", "rate limit", "too many requests", "quota",
+        "internal server error", "bad gateway", "service unavailable", "overloaded",
+        "connection reset", "connection refused", "temporarily", "try again"
+    ];
+    for (var j = 0; j < retryablePatterns.length; j++) {
+        if (text.indexOf(retryablePatterns[j]) !== -1) {
+            return "retryable";
+        }
+    }
+    if (/\b(429|50[0-4])\b/.test(text)) {
+        return "retryable";
+    }
+
+    return "unknown";
+}
+
+function getRetryDelay(attempt) {
+    // Exponential backoff: delay, 2 x delay, 4 x delay ... capped at five minutes
+    return Math.min(retryPolicy.delaySeconds * Math.pow(2, attempt - 1), 300);
+}
+
+function pauseSeconds(seconds) {
+    // Returns false when it could not wait
+    if (seconds <= 0) {
+        return true;
+    }
+    // There is no timer API in workflows, only the sleep command waits without
+    // holding the CPU (main() checks that it is allowed)
+    var sleepResult = cliCommand("sleep", [String(seconds)], { timeout: seconds + 10 });
+    if (sleepResult.error) {
+        console.warn("⚠️  sleep failed, continuing without a delay:", sleepResult.error);
+        return false;
+    }
+    return true;
+}
+
+function describeFailure(result) {
+    var lines = [result.stderr, result.stdout, result.error].join("\n").split("\n");
+    for (var i = 0; i < lines.length; i++) {
+        if (lines[i].trim()) {
+            return truncateText(lines[i], 120);
+        }
+    }
+    return "unknown error";
+}
+
+// ======================== Run Report ========================
+
+function runTracedCommand(stepName, command, args, options, displayArgs) {
+    // Run a CLI step, retrying transient failures, and record it for the run report
+    var startedAt = new Date().getTime();
+    var maxAttempts = retryPolicy.retries + 1;
+    var attempt = 0;
+    var result = null;
+    var failureType = "";
+
+    while (true) {
+        attempt++;
+        result = cliCommand(command, args, options);
+        if (!result.error) {
+            failureType = "";
+            break;
+        }
+        failureType = classifyCliFailure(result);
+        if (failureType !== "retryable" || attempt >= maxAttempts) {
+            break;
+        }
+        var delay = getRetryDelay(attempt);
+        console.warn("⚠️  " + command + " failed (" + describeFailure(result) + "), retrying in " + delay + "s [attempt " + (attempt + 1) + "/" + maxAttempts + "]");
+        pauseSeconds(delay);
+    }
+
+    if (failureType && failureType !== "retryable" && maxAttempts > 1) {
+        console.log("🚫 Not retrying " + command + ": " + failureType + " failure");
+    }
+
+    var step = {
+        step: stepName,
+        command: formatCommandLine(command, displayArgs || args),
+        duration_ms: new Date().getTime() - startedAt,
+        attempts: attempt,
+        success: !result.error
+    };
+    if (result.error) {
+        step.failure_type = failureType;
+        processingTrace.failureType = failureType;
+    }
+    processingTrace.steps.push(step);
+    processingTrace.retries += attempt - 1;
+    return result;
+}
+
+function createRunReport(workflowName, inputPath, outputPath) {
+    return {
+        workflow: workflowName,
+        started: new Date().toISOString(),
+        startedAt: new Date().getTime(),
+        input: inputPath,
+        output: outputPath || "",
+        files: [],
+        summary_files: []
+    };
+}
+
+function reportSkippedItem(report, sourceFile, outputFile, reason) {
+    if (!report) {
+        return;
+    }
+    report.files.push({
+        source: sourceFile,
+        status: "skipped",
+        reason: reason,
+        outputs: [outputFile]
+    });
+}
+
+function reportProcessedItem(report, sourceFile, succeeded, startedAt) {
+    if (!report) {
+        return;
+    }
+    var entry = {
+        source: sourceFile,
+        status: succeeded ? "success" : "failed",
+        outputs: processingTrace.outputs,
+        duration_ms: new Date().getTime() - startedAt,
+        steps: processingTrace.steps
+    };
+    if (!succeeded) {
+        entry.error = processingTrace.error || "Processing failed";
+        entry.failure_type = processingTrace.failureType || "unknown";
+        entry.stderr = processingTrace.stderr;
+    }
+    report.files.push(entry);
+}
+
+function writeRunReport(report, reportPath) {
+    var totals = { discovered: report.files.length, success: 0, skipped: 0, failed: 0 };
+    for (var i = 0; i < report.files.length; i++) {
+        totals[report.files[i].status]++;
+    }
+
+    var document = {
+        workflow: report.workflow,
+        started: report.started,
+        finished: new Date().toISOString(),
+        duration_ms: new Date().getTime() - report.startedAt,
+        input: report.input,
+        output: report.output,
+        totals: totals,
+        files: report.files,
+        summary_files: report.summary_files
+    };
+    if (report.cache) {
+        document.cache = report.cache;
+    }
+
+    if (!ensureDirectory(fs.dirname(reportPath))) {
+        return false;
+    }
+    var writeResult = fs.write(reportPath, JSON.stringify(document, null, 2));
+    if (writeResult.error) {
+        console.error("❌ Failed to write run report:", writeResult.error);
+        return false;
+    }
+    console.log("📋 Run report written:", reportPath);
+    return true;
+}
+
+function truncateText(text, maxLength) {
+    text = (text || "").trim();
+    return text.length > maxLength ? text.substring(0, maxLength) + "... (truncated)" : text;
+}
+
+// ======================== Run Journal ========================
+
+// Details of the file currently being processed, filled in by the processing
+// functions so that main() can record what ran, what was written and why an item failed
+var processingTrace = { error: "", stderr: "", failureType: "", steps: [], outputs: [], retries: 0 };
+
+function startProcessingTrace() {
+    processingTrace = { error: "", stderr: "", failureType: "", steps: [], outputs: [], retries: 0 };
+}
+
+function traceFailure(message, commandResult) {
+    // Keep the first failure, later ones are usually consequences of it
+    if (!processingTrace.error) {
+        processingTrace.error = message;
+        if (commandResult) {
+            processingTrace.stderr = truncateText(commandResult.stderr || commandResult.stdout, 2000);
+        }
+    }
+}
+
+function traceOutput(filePath) {
+    processingTrace.outputs.push(filePath);
+}
+
+function openJournal(journalDir, workflowName, inputPath, shardLabel) {
+    var mainPath = fs.join([journalDir, "." + workflowName + ".journal.json"]);
+    var journal = {
+        path: shardLabel ? fs.join([journalDir, "." + workflowName + "." + shardLabel + ".journal.json"]) : mainPath,
+        data: { workflow: workflowName, input: inputPath, updated: "", items: {} },
+        pendingItems: {},
+        changes: []
+    };
+    if (shardLabel) {
+        journal.data.shard = shardLabel;
+    }
+
+    // A new shard journal starts from what the merged run journal already knows
+    var readPath = fs.exists(journal.path) ? journal.path : (shardLabel ? mainPath : "");
+    if (!readPath || !fs.exists(readPath)) {
+        return journal;
+    }
+
+    var readResult = fs.read(readPath);
+    if (readResult.error) {
+        console.warn("⚠️  Failed to read run journal, starting a new one:", readResult.error);
+        return journal;
+    }
+
+    try {
+        var data = JSON.parse(readResult.content);
+        if (data && data.items) {
+            journal.data.items = data.items;
+        }
+    } catch (error) {
+        console.warn("⚠️  Run journal is not valid JSON, starting a new one:", readPath);
+    }
+
+    return journal;
+}
+
+function saveJournal(journal) {
+    journal.data.updated = new Date().toISOString();
+    var writeResult = fs.write(journal.path, JSON.stringify(journal.data, null, 2));
+    if (writeResult.error) {
+        console.warn("⚠️  Failed to update run journal:", writeResult.error);
+    }
+}
+
+function getResumeAction(journal, key, sourceMd5, outputFile) {
+    var entry = journal.data.items[key];
+    if (!entry) {
+        return { process: true, reason: "new" };
+    }
+    if (entry.md5 && sourceMd5 && entry.md5 !== sourceMd5) {
+        return { process: true, reason: "input changed" };
+    }
+    if (entry.state === "done") {
+        if (fs.exists(entry.output || outputFile)) {
+            return { process: false, reason: "done" };
+        }
+        return { process: true, reason: "output missing" };
+    }
+    if (entry.state === "failed") {
+        return { process: true, reason: "failed before" };
+    }
+    // A pending item was interrupted, its output may be half-written
+    return { process: true, reason: "unfinished" };
+}
+
+function beginJournalItem(journal, key, sourceMd5, outputFile, resumeReason) {
+    var entry = journal.data.items[key] || { state: "", attempts: 0 };
+    journal.pendingItems[key] = { from: entry.state || "new", reason: resumeReason || "" };
+    journal.data.items[key] = {
+        state: "pending",
+        attempts: (entry.attempts || 0) + 1,
+        error: "",
+        md5: sourceMd5,
+        output: outputFile,
+        updated: new Date().toISOString()
+    };
+    saveJournal(journal);
+}
+
+function finishJournalItem(journal, key, succeeded, error) {
+    var entry = journal.data.items[key];
+    entry.state = succeeded ? "done" : "failed";
+    entry.error = succeeded ? "" : (error || "Processing failed");
+    entry.updated = new Date().toISOString();
+    var pending = journal.pendingItems[key];
+    if (pending.from !== entry.state || pending.reason) {
+        journal.changes.push({ key: key, from: pending.from, to: entry.state, reason: pending.reason });
+    }
+    saveJournal(journal);
+}
+
+function printJournalChanges(journal) {
+    console.log("🔁 Resume changes:");
+    if (journal.changes.length === 0) {
+        console.log("  (no state changes)");
+        return;
+    }
+    for (var i = 0; i < journal.changes.length; i++) {
+        var change = journal.changes[i];
+        console.log("  " + change.key + ": " + change.from + " → " + change.to + (change.reason ? " (" + change.reason + ")" : ""));
+    }
+}
+
+function getFileMd5(filePath) {
+    var md5Result = fs.md5(filePath);
+    return md5Result.error ? "" : md5Result.hash;
+}
+
 // Execute main function
 main(); 
\ No newline at end of file
@@ -1,18 +1,105 @@
 //!amo
 
 // Text Extraction Workflow - Extract pure text from documents using doc-to-text
-// Supports: single file, multiple files, or directory batch processing (top level files only)
+// Supports: single file, multiple files, or directory batch processing (top level files only,
+// or the whole folder tree with recursive=true, mirroring sub-folders under the output directory),
+// and hot folders with watch=true (new files are processed as they arrive). Large batches can be
+// split across side-by-side runs with shard=k/N and combined afterwards with merge=true
 // Document types: pdf, docx, doc, txt, and images
 
+// Runtime variables: parsed and validated by readVariables(), listed by help=true
+var WORKFLOW_DESCRIPTION = "Extract pure text from documents using doc-to-text";
+var WORKFLOW_USAGE = "--var input=/path/to/document --var output=/path/to/output";
+var VARIABLES = [
+    { name: "help", type: "boolean", default: false, description: "Show this help message" },
+    { name: "input", type: "path", required: true, default: "", description: "Input files or folders, separated by commas or newlines; glob patterns and @list.txt files (one path per line) are expanded" },
+    { name: "output", type: "path", default: "", defaultLabel: "same folder as input", description: "Output file or directory path" },
+    { name: "ocr", type: "enum", values: ["llm-caller", "surya_ocr", "interactive"], default: "interactive", description: "OCR tool" },
+    { name: "ocr_llm_template", type: "string", default: "", description: "LLM template for OCR (required when ocr=llm-caller)" },
+    { name: "content_type", type: "enum", values: ["text", "image"], default: "", defaultLabel: "image", description: "Content type passed to doc-to-text" },
+    { name: "verbose", type: "boolean", default: false, description: "Enable verbose output" },
+    { name: "overwrite", type: "boolean", default: false, description: "Overwrite existing files" },
+    { name: "recursive", type: "boolean", default: false, description: "Process sub-folders too, mirroring them under output" },
+    { name: "include", type: "list", description: "Comma-separated glob patterns of files to process (e.g. *.pdf,2024/**)" },
+    { name: "exclude", type: "list", description: "Comma-separated glob patterns of files or folders to skip" },
+    { name: "max_depth", type: "integer", min: 0, default: 0, defaultLabel: "unlimited", description: "Folder depth limit for recursive mode (1 = top level only)" },
+    { name: "resume", type: "boolean", default: false, description: "Resume a batch from its run journal, retrying only failed or unfinished files" },
+    { name: "dry_run", type: "boolean", default: false, description: "Show files, output paths and commands without running or writing anything" },
+    { name: "report", type: "path", default: "", description: "Path of a JSON run report with per-file status, commands and timings" },
+    { name: "retries", type: "integer", min: 0, default: 2, description: "Retries for transient CLI failures such as timeouts, rate limits and 5xx errors (0 = off)" },
+    { name: "retry_delay", type: "number", min: 0, default: 5, description: "Initial retry delay in seconds, doubled on every attempt (needs sleep in the allowed commands, otherwise retries follow at once)" },
+    { name: "cache", type: "enum", values: ["off", "read", "write", "refresh"], default: "off", description: "Extraction cache mode - read reuses cached text, write also stores new text in cache_dir, refresh extracts again and stores" },
+    { name: "cache_dir", type: "path", default: "", defaultLabel: ".doc-to-text-cache in the current folder", description: "Extraction cache directory shared between workflows, it keeps a copy of every extracted text" },
+    { name: "name_template", type: "string", default: "{base}", description: "Output file name without extension, placeholders: {base}, {ext}, {date}, {md5_8}, {index}, {parent}" },
+    { name: "watch", type: "boolean", default: false, description: "Keep watching the input folders and process new files as they arrive (needs sleep in the allowed commands)" },
+    { name: "watch_interval", type: "number", min: 1, default: 10, description: "Seconds between two polls of the watched folders, a new file must keep its size for one interval" },
+    { name: "watch_idle_exit", type: "number", min: 0, default: 0, defaultLabel: "never", description: "Stop watching after this many seconds without new files" },
+    { name: "move_processed", type: "boolean", default: false, description: "In watch mode, move processed sources to done/ or failed/ inside the input folder" },
+    { name: "shard", type: "string", default: "", description: "Process only part k of N of the batch, e.g. 2/4, to run N copies side by side" },
+    { name: "lock_timeout", type: "number", min: 1, default: 3600, description: "Seconds after which the lock a shard holds on a file counts as stale" },
+    { name: "merge", type: "boolean", default: false, description: "Combine the journals and reports of shard=k/N runs, then exit" },
+    { name: "config", type: "path", default: "", defaultLabel: ".amo-workflow.json next to the input", description: "JSON config file with default values, overridden by --var" },
+    { name: "profile", type: "string", default: "", description: "Named profile from the config file, e.g. fast-ocr" }
+];
+
 function main() {
-    // Get runtime variables
-    var inputPath = getVar("input") || "";
-    var outputPath = getVar("output") || "";
-    var ocrTool = getVar("ocr") || "interactive"; // OCR tool: llm-caller, surya_ocr, or interactive
-    var ocrLlmTemplate = getVar("ocr_llm_template") || ""; // LLM template for llm-caller OCR
-    var contentType = getVar("content_type") || ""; // Content type: text or image
-    var overwrite = getVar("overwrite") === "true";
-    var verbose = getVar("verbose") === "true";
+    // Merge settings from config=<file.json> or a .amo-workflow.json next to the input
+    if (!loadWorkflowConfig("text-extraction")) {
+        return false;
+    }
+
+    // Get runtime variables (see VARIABLES)
+    var options = readVariables(VARIABLES);
+    if (options.values.help) {
+        printVariableHelp(WORKFLOW_DESCRIPTION, WORKFLOW_USAGE, VARIABLES);
+        return false;
+    }
+    if (options.errors.length > 0) {
+        printVariableErrors(options.errors);
+        return false;
+    }
+    var inputPath = options.values.input;
+    var outputPath = options.values.output;
+    var ocrTool = options.values.ocr; // OCR tool: llm-caller, surya_ocr, or interactive
+    var ocrLlmTemplate = options.values.ocr_llm_template; // LLM template for llm-caller OCR
+    var contentType = options.values.content_type; // Content type: text or image
+    var overwrite = options.values.overwrite;
+    var verbose = options.values.verbose;
+    var recursive = options.values.recursive; // Descend into sub-folders in batch mode
+    var includePatterns = options.values.include; // Glob patterns, e.g. "*.pdf,2024/**"
+    var excludePatterns = options.values.exclude;
+    var maxDepth = options.values.max_depth;
+    var resume = options.values.resume; // Retry only failed or unfinished files from the run journal
+    var dryRun = options.values.dry_run; // Plan only: no directories, CLI calls or file writes
+    var reportPath = options.values.report; // Write a machine-readable JSON run report to this path
+    var retries = options.values.retries;
+    var retryDelay = options.values.retry_delay;
+    var nameTemplate = options.values.name_template; // Output file name, e.g. "{date}_{base}"
+    var cacheMode = options.values.cache; // Extraction cache: off, read, write or refresh
+    var cacheDir = options.values.cache_dir || getDefaultCacheDir(); // Shared with the other document workflows
+    var watch = options.values.watch; // Hot folder: keep polling input for new files
+    var watchInterval = options.values.watch_interval;
+    var watchIdleExit = options.values.watch_idle_exit;
+    var moveProcessed = options.values.move_processed; // Watch mode: move sources to done/ or failed/
+    var lockTimeout = options.values.lock_timeout;
+    var merge = options.values.merge; // Combine the results of shard=k/N runs, then exit
+
+    // shard=k/N: this invocation only processes its share of the batch
+    var shard = null;
+    if (options.values.shard) {
+        shard = parseShard(options.values.shard);
+        if (shard.error) {
+            console.error("❌ Error:", shard.error);
+            return false;
+        }
+        if (watch || merge) {
+            console.error("❌ Error: shard cannot be combined with " + (watch ? "watch" : "merge"));
+            return false;
+        }
+        if (reportPath) {
+            reportPath = getShardPath(reportPath, shard.label);
+        }
+    }
 
     console.log("📄➡️📝 Text Extraction Workflow");
     console.log("===============================");
@@ -25,20 +112,34 @@ function main() {
     console.log("Content Type:", contentType);
     console.log("Verbose:", verbose ? "Yes" : "No");
     console.log("Overwrite existing:", overwrite ? "Yes" : "No");
+    console.log("Recursive:", recursive ? "Yes (max depth: " + (maxDepth || "unlimited") + ")" : "No");
+    if (includePatterns.length > 0) {
+        console.log("Include:", includePatterns.join(", "));
+    }
+    if (excludePatterns.length > 0) {
+        console.log("Exclude:", excludePatterns.join(", "));
+    }
+    console.log("Resume from journal:", resume ? "Yes" : "No");
+    console.log("Dry run:", dryRun ? "Yes" : "No");
+    if (reportPath) {
+        console.log("Run report:", reportPath);
+    }
+    console.log("Name template:", nameTemplate);
+    console.log("Retries:", retries > 0 ? retries + " (backoff from " + retryDelay + "s)" : "Off");
+    retryPolicy = { retries: Math.max(retries, 0), delaySeconds: Math.max(retryDelay, 0) };
+    console.log("Extraction cache:", cacheMode === "off" ? "Off" : cacheMode + " (" + cacheDir + ")");
+    console.log("Watch:", watch ? "Every " + watchInterval + "s" + (moveProcessed ? ", moving sources to done/ and failed/" : "") : "No");
+    if (shard || merge) {
+        console.log("Sharding:", merge ? "Merge shard results" : "Shard " + shard.index + " of " + shard.count);
+    }
+    printEffectiveConfig(VARIABLES, options.values);
     console.log("");
 
-    // Validate required parameters
-    if (!inputPath) {
-        console.error("❌ Error: Input path is required");
-        console.log("Usage: --var input=/path/to/document --var output=/path/to/output");
-        console.log("Supported variables:");
-        console.log("  input: Input file or directory path");
-        console.log("  output: Output file or directory path");
-        console.log("  ocr: OCR tool (llm-caller, surya_ocr, interactive)");
-        console.log("  ocr_llm_template: LLM template for OCR (required when ocr=llm-caller)");
-        console.log("  content_type: Content type (text, image, default: image)");
-        console.log("  verbose: Enable verbose output (true/false)");
-        console.log("  overwrite: Overwrite existing files (true/false)");
+    if (!configureExtractionCache(cacheMode, cacheDir)) {
+        return false;
+    }
+
+    if (!configureOutputNaming(nameTemplate, false)) {
         return false;
     }
 
@@ -49,34 +150,35 @@ function main() {
         return false;
     }
 
-    // Check if input path exists
-    if (!fs.exists(inputPath)) {
-        console.error("❌ Error: Input path does not exist:", inputPath);
+    // Resolve the input entries: files, folders, glob patterns and @list files
+    var inputList = resolveInputList(inputPath);
+    if (inputList.errors.length > 0) {
+        for (var e = 0; e < inputList.errors.length; e++) {
+            console.error("❌ Error: " + inputList.errors[e]);
+        }
         return false;
     }
+    console.log("📥 Input entries:", inputList.paths.length);
 
-    // Determine if this is batch processing
-    var isBatchProcessing = fs.isDir(inputPath);
-    console.log("📊 Processing mode:", isBatchProcessing ? "Batch (directory - top level files only)" : "Single file");
-
-    // Validate output path based on processing mode
-    if (outputPath) {
-        var outputValidation = validateOutputPath(outputPath, isBatchProcessing);
-        if (!outputValidation.valid) {
-            console.error("❌ Error:", outputValidation.error);
+    // Check if required CLI tool is available (a dry run does not call any CLI)
+    if (dryRun) {
+        console.log("🧪 Dry run: skipping CLI tool checks");
+    } else {
+        console.log("🔍 Checking required CLI tools...");
+        if (!checkCliTool("doc-to-text")) {
             return false;
         }
-        outputPath = outputValidation.path;
-        console.log("✅ Output path validated:", outputPath);
-    }
-    console.log("");
-
-    // Check if required CLI tool is available
-    console.log("🔍 Checking required CLI tools...");
-    if (!checkCliTool("doc-to-text")) {
-        return false;
+        // Watch mode waits between polls with the sleep command, there is no other way to wait
+        if (watch && !checkCliTool("sleep")) {
+            return false;
+        }
+        // Retries wait with the sleep command, without it they follow each other at once
+        if (retries > 0 && !watch && !checkCliTool("sleep")) {
+            console.warn("⚠️  Retrying without a delay between attempts");
+            retryPolicy.delaySeconds = 0;
+        }
+        console.log("✅ All required CLI tools are available");
     }
-    console.log("✅ All required CLI tools are available");
     console.log("");
 
     // Supported document extensions
@@ -86,58 +188,253 @@ function main() {
     ];
 
     // Get list of document files to process
-    var documentFiles = getDocumentFiles(inputPath, documentExtensions);
+    var scanOptions = {
+        recursive: recursive,
+        maxDepth: maxDepth,
+        include: includePatterns,
+        exclude: excludePatterns
+    };
+    if (watch && moveProcessed) {
+        scanOptions.exclude = scanOptions.exclude.concat(getWatchExcludePatterns());
+    }
+    var findInputFiles = function (entry) {
+        return getDocumentFiles(entry, documentExtensions, scanOptions);
+    };
+    var inputFiles = collectInputFiles(inputList.paths, findInputFiles);
+    var documentFiles = inputFiles.files;
 
-    if (documentFiles.length === 0) {
+    // Watch mode polls the input folders once the files already there are done
+    var watcher = null;
+    if (watch && dryRun) {
+        console.log("ℹ️  Dry run: not watching, showing the files present now");
+    } else if (watch) {
+        for (var w = 0; w < inputList.paths.length; w++) {
+            if (!fs.isDir(inputList.paths[w])) {
+                console.error("❌ Error: watch=true needs input folders, not a file:", inputList.paths[w]);
+                return false;
+            }
+        }
+        watcher = createWatcher(inputList.paths, inputFiles, findInputFiles, {
+            interval: watchInterval,
+            idleExit: watchIdleExit,
+            moveProcessed: moveProcessed
+        });
+    }
+
+    if (documentFiles.length === 0 && !watcher) {
         console.error("❌ No supported document files found in:", inputPath);
         console.log("Supported formats:", documentExtensions.join(", "));
         return false;
     }
 
+    // A folder, or more than one file, means batch processing into an output directory
+    var isBatchProcessing = documentFiles.length > 1 || fs.isDir(inputList.paths[0]);
+    var inputRoot = getCommonDirectory(inputList.paths);
+    var batchModeLabel = recursive ? "Batch (directory - recursive)" : "Batch (directory - top level files only)";
+    if (inputList.paths.length > 1) {
+        batchModeLabel = "Batch (" + inputList.paths.length + " input entries" + (recursive ? ", recursive" : "") + ")";
+    }
+    console.log("📊 Processing mode:", isBatchProcessing ? batchModeLabel : "Single file");
+    if ((shard || merge) && !isBatchProcessing) {
+        console.error("❌ Error: " + (merge ? "merge" : "shard") + " needs a batch (a folder or several files)");
+        return false;
+    }
+    numberOutputNames(documentFiles);
+    if (shard) {
+        var shardFiles = selectShardFiles(documentFiles, shard, inputRoot);
+        console.log("🧩 Shard " + shard.index + "/" + shard.count + ": " + shardFiles.length + " of " + documentFiles.length + " file(s)");
+        documentFiles = inputFiles.files = shardFiles;
+    }
+
+    // Validate output path based on processing mode
+    if (outputPath) {
+        var outputValidation = validateOutputPath(outputPath, isBatchProcessing, dryRun);
+        if (!outputValidation.valid) {
+            console.error("❌ Error:", outputValidation.error);
+            return false;
+        }
+        outputPath = outputValidation.path;
+        console.log("✅ Output path validated:", outputPath);
+    }
+    console.log("");
+
     console.log("📁 Found", documentFiles.length, "document file(s) to process:");
     for (var i = 0; i < documentFiles.length; i++) {
-        console.log("  " + (i + 1) + ". " + fs.filename(documentFiles[i]));
+        console.log("  " + (i + 1) + ". " + (isBatchProcessing ? getRelativePath(inputRoot, documentFiles[i]) : fs.filename(documentFiles[i])));
     }
     console.log("");
 
+    // Open the run journal in the output directory so interrupted batches can be resumed
+    var journal = null;
+    if (isBatchProcessing) {
+        journal = openJournal(outputPath || inputRoot, "text-extraction", inputPath, shard ? shard.label : "");
+        rememberJournalOutputs(journal, inputRoot);
+        console.log("📒 Run journal:", journal.path);
+        console.log("");
+    } else if (resume) {
+        console.log("ℹ️  resume applies to batch processing only, ignoring it for a single file");
+        console.log("");
+    }
+
+    // merge=true only combines the results of earlier shard=k/N runs
+    if (merge) {
+        if (dryRun) {
+            console.log("🧪 Dry run: would merge the shard journals" + (reportPath ? " and reports" : "") + " in " + fs.dirname(journal.path));
+            return true;
+        }
+        mergeShardResults(journal, documentFiles, inputRoot);
+        if (reportPath) {
+            console.log("");
+            mergeShardReports(reportPath);
+        }
+        return true;
+    }
+    // Shards lock the file they work on, in case their lists overlap (e.g. after changing N)
+    var itemLocks = shard && !dryRun ? openItemLocks(outputPath || inputRoot, "text-extraction", shard, lockTimeout) : null;
+
+    // Collect per-file results for the JSON run report (a dry run writes nothing)
+    var report = null;
+    if (reportPath && dryRun) {
+        console.log("ℹ️  Dry run: the run report will not be written");
+        console.log("");
+    } else if (reportPath) {
+        report = createRunReport("text-extraction", inputPath, outputPath);
+    }
+
     // Process each document file
     var successCount = 0;
     var failureCount = 0;
+    var retriedCount = 0;
+    var resumeSkipCount = 0;
+    var plannedCount = 0;
 
-    for (var i = 0; i < documentFiles.length; i++) {
+    for (var i = 0; i < documentFiles.length || waitForNewFiles(watcher); i++) {
         var documentFile = documentFiles[i];
         var fileName = fs.filename(documentFile);
-        var baseName = fs.basename(documentFile);
         
         console.log("📄 Processing [" + (i + 1) + "/" + documentFiles.length + "]: " + fileName);
         
         // Determine output file path
-        var textOutputFile = determineTextOutputPath(documentFile, baseName, outputPath, isBatchProcessing);
+        var relativeDir = isBatchProcessing ? getInputSubdir(inputFiles, documentFile) : "";
+        var textOutputFile = determineTextOutputPath(documentFile, renderOutputName(documentFile), outputPath, isBatchProcessing, relativeDir);
+        
+        var journalKey = journal ? getRelativePath(inputRoot, documentFile) : "";
+        var sourceMd5 = journal ? getFileMd5(documentFile) : "";
+        var reprocess = false;
+        var resumeReason = "";
+        
+        // In resume mode the journal decides, an existing output may be half-written
+        if (journal && resume) {
+            var resumeAction = getResumeAction(journal, journalKey, sourceMd5, textOutputFile);
+            if (!resumeAction.process) {
+                console.log("⏭️  Skipping (done in earlier run): " + fs.filename(textOutputFile));
+                reportSkippedItem(report, documentFile, textOutputFile, "done in earlier run");
+                console.log("");
+                resumeSkipCount++;
+                continue;
+            }
+            if (resumeAction.reason !== "new") {
+                console.log("🔁 Reprocessing (" + resumeAction.reason + ")");
+                reprocess = true;
+                resumeReason = resumeAction.reason;
+            }
+        }
         
         // Check if output file already exists
-        if (!overwrite && fs.exists(textOutputFile)) {
+        if (!overwrite && !reprocess && fs.exists(textOutputFile)) {
             console.log("⏭️  Skipping (file exists): " + fs.filename(textOutputFile));
+            reportSkippedItem(report, documentFile, textOutputFile, "file exists");
+            console.log("");
+            continue;
+        }
+        
+        // Dry run: show the plan for this file and move on
+        if (dryRun) {
+            var plannedCacheEntry = getExtractionCacheEntry(documentFile, ocrTool, ocrLlmTemplate, contentType);
+            if (hasCachedExtraction(plannedCacheEntry)) {
+                console.log("⚡ Would copy cached text: " + plannedCacheEntry.path);
+                printPlannedItem(textOutputFile, []);
+            } else {
+                printPlannedItem(textOutputFile, [
+                    formatCommandLine("doc-to-text", buildExtractArgs(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose))
+                ]);
+            }
+            console.log("");
+            plannedCount++;
+            continue;
+        }
+        
+        if (itemLocks && !acquireItemLock(itemLocks, journalKey)) {
+            console.log("🔒 Skipping (locked by another shard): " + fileName);
+            reportSkippedItem(report, documentFile, textOutputFile, "locked by another shard");
+            console.log("");
+            continue;
+        }
+        
+        var itemStartedAt = new Date().getTime();
+        startProcessingTrace();
+        
+        // Mirror the source sub-folder under the output directory
+        if (relativeDir && !ensureDirectory(fs.dirname(textOutputFile))) {
+            traceFailure("Cannot create output directory: " + fs.dirname(textOutputFile));
+            reportProcessedItem(report, documentFile, false, itemStartedAt);
+            failureCount++;
+            console.log("❌ Failed: " + fileName);
+            releaseItemLock(itemLocks, journalKey);
+            finishWatchedFile(watcher, documentFile, false);
             console.log("");
             continue;
         }
         
         // Extract text from document
-        if (extractTextFromDocument(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose)) {
+        if (journal) {
+            beginJournalItem(journal, journalKey, sourceMd5, textOutputFile, resumeReason);
+        }
+        var succeeded = extractTextFromDocument(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose);
+        if (journal) {
+            finishJournalItem(journal, journalKey, succeeded, processingTrace.error);
+        }
+        reportProcessedItem(report, documentFile, succeeded, itemStartedAt);
+        retriedCount += processingTrace.retries;
+        
+        if (succeeded) {
             successCount++;
             console.log("✅ Success: " + fs.filename(textOutputFile));
         } else {
             failureCount++;
             console.log("❌ Failed: " + fileName);
         }
+        releaseItemLock(itemLocks, journalKey);
+        finishWatchedFile(watcher, documentFile, succeeded);
         console.log("");
     }
 
+    if (dryRun) {
+        printDryRunSummary(plannedCount, documentFiles.length);
+        return true;
+    }
+
     // Summary
     console.log("🎯 Processing Summary:");
     console.log("===================");
     console.log("✅ Successful:", successCount);
     console.log("❌ Failed:", failureCount);
+    if (retriedCount > 0) {
+        console.log("🔁 Command retries:", retriedCount);
+    }
+    printCacheStats();
+    if (journal && resume) {
+        console.log("⏭️ Skipped (done in earlier run):", resumeSkipCount);
+    }
     console.log("📊 Total processed:", documentFiles.length);
+    if (journal && resume) {
+        console.log("");
+        printJournalChanges(journal);
+    }
+    if (shard) {
+        console.log("");
+        console.log("🧩 Shard " + shard.index + "/" + shard.count + " finished, run merge=true once every shard is done");
+    }
 
     if (successCount > 0) {
         console.log("");
@@ -147,12 +444,18 @@ function main() {
         }
     }
 
+    if (report) {
+        console.log("");
+        report.cache = getCacheStats();
+        writeRunReport(report, reportPath);
+    }
+
     return true;
 }
 
 // ======================== Helper Functions ========================
 
-function validateOutputPath(outputPath, isBatchProcessing) {
+function validateOutputPath(outputPath, isBatchProcessing, dryRun) {
     // Check if output path exists
     var pathExists = fs.exists(outputPath);
     
@@ -165,6 +468,8 @@ function validateOutputPath(outputPath, isBatchProcessing) {
                     error: "For batch processing, output path must be a directory, but '" + outputPath + "' is a file"
                 };
             }
+        } else if (dryRun) {
+            console.log("📁 Would create output directory:", outputPath);
         } else {
             // Try to create the directory
             var mkdirResult = fs.mkdir(outputPath);
@@ -204,7 +509,9 @@ function validateOutputPath(outputPath, isBatchProcessing) {
         } else {
             // Path doesn't exist - check if parent directory exists
             var parentDir = fs.dirname(outputPath);
-            if (!fs.exists(parentDir)) {
+            if (!fs.exists(parentDir) && dryRun) {
+                console.log("📁 Would create parent directory:", parentDir);
+            } else if (!fs.exists(parentDir)) {
                 // Try to create parent directory
                 var mkdirResult = fs.mkdir(parentDir);
                 if (mkdirResult.error) {
@@ -280,7 +587,7 @@ function checkCliTool(toolName) {
     return false;
 }
 
-function getDocumentFiles(inputPath, documentExtensions) {
+function getDocumentFiles(inputPath, documentExtensions, scanOptions) {
     var files = [];
     
     // Check if path exists
@@ -291,19 +598,10 @@ function getDocumentFiles(inputPath, documentExtensions) {
     
     // Check if it's a directory or file
     if (fs.isDir(inputPath)) {
-        // It's a directory, list only direct children (no recursion)
-        var listResult = fs.readdir(inputPath);
-        if (!listResult.error) {
-            for (var i = 0; i < listResult.files.length; i++) {
-                var fileInfo = listResult.files[i];
-                // Only process files (not directories) in the top level
-                if (!fileInfo.is_dir && isDocumentFile(fileInfo.path, documentExtensions)) {
-                    files.push(fileInfo.path);
-                }
-            }
-        } else {
-            console.error("❌ Failed to list directory:", listResult.error);
-        }
+        // It's a directory, list direct children (and sub-folders in recursive mode)
+        collectDirectoryFiles(inputPath, inputPath, 1, scanOptions, function(filePath) {
+            return isDocumentFile(filePath, documentExtensions);
+        }, files);
     } else if (fs.isFile(inputPath)) {
         // It's a file, check if it's a document file
         if (isDocumentFile(inputPath, documentExtensions)) {
@@ -324,13 +622,131 @@ function isDocumentFile(filepath, documentExtensions) {
     return false;
 }
 
-function determineTextOutputPath(inputFile, baseName, outputPath, isBatchProcessing) {
-    var textFileName = baseName + ".txt";
+function collectDirectoryFiles(rootDir, dirPath, depth, scanOptions, isWantedFile, files) {
+    var listResult = fs.readdir(dirPath);
+    if (listResult.error) {
+        console.error("❌ Failed to list directory:", listResult.error);
+        return;
+    }
+
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        var relativePath = getRelativePath(rootDir, fileInfo.path);
+
+        if (fileInfo.is_dir) {
+            // Descend only in recursive mode, within the depth limit and not into excluded folders
+            var withinDepth = !scanOptions.maxDepth || depth < scanOptions.maxDepth;
+            if (scanOptions.recursive && withinDepth && !isExcludedDirectory(relativePath, scanOptions.exclude)) {
+                collectDirectoryFiles(rootDir, fileInfo.path, depth + 1, scanOptions, isWantedFile, files);
+            }
+            continue;
+        }
+
+        if (isWantedFile(fileInfo.path) && matchesScanPatterns(relativePath, scanOptions)) {
+            files.push(fileInfo.path);
+        }
+    }
+}
+
+function matchesScanPatterns(relativePath, scanOptions) {
+    if (scanOptions.include.length > 0 && !matchesAnyPattern(relativePath, scanOptions.include)) {
+        return false;
+    }
+    return !matchesAnyPattern(relativePath, scanOptions.exclude);
+}
+
+function isExcludedDirectory(relativePath, excludePatterns) {
+    // "drafts" and "drafts/**" should both prune the whole folder
+    return matchesAnyPattern(relativePath, excludePatterns) ||
+        matchesAnyPattern(relativePath + "/", excludePatterns);
+}
+
+function matchesAnyPattern(relativePath, patterns) {
+    for (var i = 0; i < patterns.length; i++) {
+        // Patterns without a slash match the file name at any depth, others the relative path
+        var target = patterns[i].indexOf("/") === -1 ? relativePath.split("/").pop() : relativePath;
+        if (globToRegExp(patterns[i]).test(target)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function globToRegExp(pattern) {
+    var regex = "";
+    for (var i = 0; i < pattern.length; i++) {
+        var ch = pattern.charAt(i);
+        if (ch === "*") {
+            if (pattern.charAt(i + 1) === "*") {
+                if (pattern.charAt(i + 2) === "/") {
+                    // "**/" matches zero or more folders
+                    regex += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    regex += ".*";
+                    i += 1;
+                }
+            } else {
+                regex += "[^/]*";
+            }
+        } else if (ch === "?") {
+            regex += "[^/]";
+        } else if ("\\^$.|+()[]{}".indexOf(ch) !== -1) {
+            regex += "\\" + ch;
+        } else {
+            regex += ch;
+        }
+    }
+    return new RegExp("^" + regex + "$", "i");
+}
+
+function parsePatternList(value) {
+    var patterns = [];
+    var parts = (value || "").split(",");
+    for (var i = 0; i < parts.length; i++) {
+        var pattern = parts[i].trim().replace(/\\/g, "/").replace(/^\.\//, "");
+        if (pattern) {
+            patterns.push(pattern);
+        }
+    }
+    return patterns;
+}
+
+function getRelativePath(rootDir, filePath) {
+    var relResult = fs.rel(rootDir, filePath);
+    var relativePath = relResult.error ? fs.filename(filePath) : relResult.path;
+    return relativePath.replace(/\\/g, "/");
+}
+
+function getRelativeSubdir(rootDir, filePath) {
+    // Sub-folder of the file below the input directory, "" for top level files
+    var relativePath = getRelativePath(rootDir, filePath);
+    var slashIndex = relativePath.lastIndexOf("/");
+    return slashIndex === -1 ? "" : relativePath.substring(0, slashIndex);
+}
+
+function ensureDirectory(dirPath) {
+    if (fs.exists(dirPath)) {
+        return true;
+    }
+    var mkdirResult = fs.mkdir(dirPath);
+    if (mkdirResult.error) {
+        console.error("❌ Cannot create directory '" + dirPath + "':", mkdirResult.error);
+        return false;
+    }
+    console.log("📁 Created directory:", dirPath);
+    return true;
+}
+
+function determineTextOutputPath(inputFile, baseName, outputPath, isBatchProcessing, relativeDir) {
+    // baseName is the rendered name_template, claimOutputPath keeps it unique
+    var textSuffix = ".txt";
     
     if (outputPath) {
         if (isBatchProcessing || fs.isDir(outputPath)) {
             // For batch processing or when output is a directory, put file in the directory
-            return fs.join([outputPath, textFileName]);
+            // (below the mirrored source sub-folder in recursive mode)
+            return claimOutputPath(relativeDir ? fs.join([outputPath, relativeDir]) : outputPath, baseName, textSuffix, inputFile);
         } else {
             // For single file processing with specific file path
             // Check if the output path has an extension
@@ -346,14 +762,12 @@ function determineTextOutputPath(inputFile, baseName, outputPath, isBatchProcess
     } else {
         // No output path specified, use same directory as input file
         var inputDir = fs.dirname(inputFile);
-        return fs.join([inputDir, textFileName]);
+        return claimOutputPath(inputDir, baseName, textSuffix, inputFile);
     }
 }
 
-function extractTextFromDocument(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose) {
-    console.log("🔄 Extracting text from document...");
-    
-    // Extract text using doc-to-text with new parameter format
+function buildExtractArgs(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose) {
+    // doc-to-text parameter format: <file> [--content-type] [--ocr [--llm_template]] [--verbose] -o <output>
     var extractArgs = [documentFile];
     
     // Add content type parameter
@@ -379,113 +793,1616 @@ function extractTextFromDocument(documentFile, textOutputFile, ocrTool, ocrLlmTe
     // Specify output file path using -o parameter
     extractArgs.push("-o", textOutputFile);
     
-    console.log("🔧 Command: doc-to-text " + extractArgs.join(" "));
+    return extractArgs;
+}
+
+function extractTextFromDocument(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose) {
+    console.log("🔄 Extracting text from document...");
     
-    // For interactive mode, we need to allow user input
-    var commandOptions = { timeout: 600 };
+    // Reuse text extracted earlier by any workflow with the same settings
+    var cacheEntry = getExtractionCacheEntry(documentFile, ocrTool, ocrLlmTemplate, contentType);
+    var restoredFromCache = restoreCachedExtraction(cacheEntry, textOutputFile);
     
-    // If OCR tool is interactive or not specified, the command may need user input
-    if (!ocrTool || ocrTool === "interactive") {
-        console.log("ℹ️  OCR tool not specified - doc-to-text will prompt for OCR tool selection");
-        console.log("📝 Please select the appropriate OCR tool when prompted");
-        // Enable interactive mode and increase timeout
-        commandOptions.interactive = true;
-        commandOptions.timeout = 1800;
-    }
+    if (!restoredFromCache) {
+        // Extract text using doc-to-text with new parameter format
+        var extractArgs = buildExtractArgs(documentFile, textOutputFile, ocrTool, ocrLlmTemplate, contentType, verbose);
+    
+        console.log("🔧 Command: doc-to-text " + extractArgs.join(" "));
+    
+        // For interactive mode, we need to allow user input
+        var commandOptions = { timeout: 600 };
     
-    var extractResult = cliCommand("doc-to-text", extractArgs, commandOptions);
+        // If OCR tool is interactive or not specified, the command may need user input
+        if (!ocrTool || ocrTool === "interactive") {
+            console.log("ℹ️  OCR tool not specified - doc-to-text will prompt for OCR tool selection");
+            console.log("📝 Please select the appropriate OCR tool when prompted");
+            // Enable interactive mode and increase timeout
+            commandOptions.interactive = true;
+            commandOptions.timeout = 1800;
+        }
+    
+        var extractResult = runTracedCommand("extract", "doc-to-text", extractArgs, commandOptions);
     
-    if (extractResult.error) {
-        console.error("❌ Text extraction failed:");
-        console.error("Command: doc-to-text " + extractArgs.join(" "));
-        console.error("Error:", extractResult.error);
+        if (extractResult.error) {
+            console.error("❌ Text extraction failed:");
+            traceFailure("Text extraction failed: " + extractResult.error, extractResult);
+            console.error("Command: doc-to-text " + extractArgs.join(" "));
+            console.error("Error:", extractResult.error);
         
-        // Show stderr if available
-        if (extractResult.stderr && extractResult.stderr.trim()) {
-            console.error("Standard Error Output:");
-            var errorLines = extractResult.stderr.split("\n");
-            for (var i = 0; i < errorLines.length && i < 10; i++) {
-                if (errorLines[i].trim()) {
-                    console.error("  " + errorLines[i].trim());
+            // Show stderr if available
+            if (extractResult.stderr && extractResult.stderr.trim()) {
+                console.error("Standard Error Output:");
+                var errorLines = extractResult.stderr.split("\n");
+                for (var i = 0; i < errorLines.length && i < 10; i++) {
+                    if (errorLines[i].trim()) {
+                        console.error("  " + errorLines[i].trim());
+                    }
                 }
             }
-        }
         
-        // Show stdout if available (some tools output errors to stdout)
-        if (extractResult.stdout && extractResult.stdout.trim()) {
-            console.error("Standard Output:");
-            var outputLines = extractResult.stdout.split("\n");
-            for (var i = 0; i < outputLines.length && i < 10; i++) {
-                if (outputLines[i].trim()) {
-                    console.error("  " + outputLines[i].trim());
+            // Show stdout if available (some tools output errors to stdout)
+            if (extractResult.stdout && extractResult.stdout.trim()) {
+                console.error("Standard Output:");
+                var outputLines = extractResult.stdout.split("\n");
+                for (var i = 0; i < outputLines.length && i < 10; i++) {
+                    if (outputLines[i].trim()) {
+                        console.error("  " + outputLines[i].trim());
+                    }
                 }
             }
-        }
         
-        return false;
-    }
+            return false;
+        }
     
-    // Check if the specified output file was created
-    if (!fs.exists(textOutputFile)) {
-        console.error("❌ Text file was not created at expected location:", textOutputFile);
+        // Check if the specified output file was created
+        if (!fs.exists(textOutputFile)) {
+            console.error("❌ Text file was not created at expected location:", textOutputFile);
         
-        // If the file wasn't created at the specified location, 
-        // doc-to-text might have used its default MD5-based path
-        console.log("🔍 Checking for default MD5-based output...");
+            // If the file wasn't created at the specified location, 
+            // doc-to-text might have used its default MD5-based path
+            console.log("🔍 Checking for default MD5-based output...");
         
-        // Try to find the output in current working directory with MD5 hash structure
-        var cwdResult = fs.cwd();
-        if (!cwdResult.error) {
-            var findResult = fs.find(cwdResult.path, "text.txt");
-            if (!findResult.error && findResult.files.length > 0) {
-                // Move the found file to the desired location
-                var sourceFile = findResult.files[0];
-                console.log("✅ Found extracted text at:", sourceFile);
+            // Try to find the output in current working directory with MD5 hash structure
+            var cwdResult = fs.cwd();
+            if (!cwdResult.error) {
+                var findResult = fs.find(cwdResult.path, "text.txt");
+                if (!findResult.error && findResult.files.length > 0) {
+                    // Move the found file to the desired location
+                    var sourceFile = findResult.files[0];
+                    console.log("✅ Found extracted text at:", sourceFile);
                 
-                // Read the content and write to the desired location
-                var readResult = fs.read(sourceFile);
-                if (!readResult.error) {
-                    var writeResult = fs.write(textOutputFile, readResult.content);
-                    if (!writeResult.error) {
-                        console.log("✅ Text file moved to desired location:", textOutputFile);
-                        // Clean up temporary file
-                        fs.rm(sourceFile);
+                    // Read the content and write to the desired location
+                    var readResult = fs.read(sourceFile);
+                    if (!readResult.error) {
+                        var writeResult = fs.write(textOutputFile, readResult.content);
+                        if (!writeResult.error) {
+                            console.log("✅ Text file moved to desired location:", textOutputFile);
+                            // Clean up temporary file
+                            fs.rm(sourceFile);
+                        } else {
+                            console.error("❌ Failed to write text to desired location:", writeResult.error);
+                            traceFailure("Failed to write text to desired location: " + writeResult.error);
+                            return false;
+                        }
                     } else {
-                        console.error("❌ Failed to write text to desired location:", writeResult.error);
+                        console.error("❌ Failed to read extracted text:", readResult.error);
+                        traceFailure("Failed to read extracted text: " + readResult.error);
                         return false;
                     }
                 } else {
-                    console.error("❌ Failed to read extracted text:", readResult.error);
+                    console.error("❌ Could not locate extracted text file");
+                    traceFailure("Could not locate extracted text file");
                     return false;
                 }
             } else {
-                console.error("❌ Could not locate extracted text file");
+                console.error("❌ Could not determine current working directory");
+                traceFailure("Could not determine current working directory");
                 return false;
             }
-        } else {
-            console.error("❌ Could not determine current working directory");
-            return false;
         }
-    }
     
-    console.log("✅ Text extracted successfully");
+        console.log("✅ Text extracted successfully");
+    }
     
     // Verify the output file contains content
     var verifyResult = fs.read(textOutputFile);
     if (verifyResult.error) {
         console.error("❌ Failed to verify output file:", verifyResult.error);
+        traceFailure("Failed to verify output file: " + verifyResult.error);
         return false;
     }
     
     if (!verifyResult.content || verifyResult.content.trim().length === 0) {
         console.error("❌ Extracted text is empty");
+        traceFailure("Extracted text is empty");
         return false;
     }
     
     console.log("✅ Text content verified (" + verifyResult.content.length + " characters)");
+    traceOutput(textOutputFile);
+    if (!restoredFromCache) {
+        storeCachedExtraction(cacheEntry, textOutputFile);
+    }
     
     return true;
 }
 
+// ======================== Input Lists ========================
+
+function resolveInputList(inputValue) {
+    // input accepts several entries separated by commas or newlines, glob patterns
+    // and @list.txt files with one path per line
+    var result = { paths: [], errors: [] };
+    var seen = {};
+
+    // A single existing path is taken as-is, even when its name contains a comma
+    var entries = fs.exists(inputValue) ? [inputValue] : readInputEntries(inputValue.split(/[,\n]/), "", result.errors);
+
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var matches = [entry];
+        if (/[*?]/.test(entry)) {
+            matches = expandInputGlob(entry);
+            if (matches.length === 0) {
+                result.errors.push("No files match: " + entry);
+            }
+        } else if (!fs.exists(entry)) {
+            result.errors.push("Input path does not exist: " + entry);
+            continue;
+        }
+
+        for (var j = 0; j < matches.length; j++) {
+            var absResult = fs.abs(matches[j]);
+            var matchPath = absResult.error ? matches[j] : absResult.path;
+            if (!seen[matchPath]) {
+                seen[matchPath] = true;
+                result.paths.push(matchPath);
+            }
+        }
+    }
+
+    if (result.paths.length === 0 && result.errors.length === 0) {
+        result.errors.push("Input path is required");
+    }
+    return result;
+}
+
+function readInputEntries(items, baseDir, errors) {
+    var entries = [];
+    for (var i = 0; i < items.length; i++) {
+        var item = items[i].trim();
+        if (!item) {
+            continue;
+        }
+        var isListFile = item.charAt(0) === "@";
+        if (isListFile) {
+            item = item.substring(1);
+        }
+        if (baseDir && !/^([\/\\]|[A-Za-z]:)/.test(item)) {
+            // Entries of a list file are relative to the list file
+            item = fs.join([baseDir, item]);
+        }
+        if (!isListFile) {
+            entries.push(item);
+            continue;
+        }
+
+        var listPath = item;
+        var readResult = fs.read(listPath);
+        if (readResult.error) {
+            errors.push("Cannot read input list " + listPath + ": " + readResult.error);
+            continue;
+        }
+        var lines = readResult.content.split(/\r?\n/).filter(function (line) {
+            return line.trim().charAt(0) !== "#";
+        });
+        entries = entries.concat(readInputEntries(lines, fs.dirname(listPath), errors));
+    }
+    return entries;
+}
+
+function expandInputGlob(pattern) {
+    // Walk from the folder before the first wildcard and match the rest of the pattern
+    var segments = pattern.replace(/\\/g, "/").split("/");
+    var firstWildcard = 0;
+    while (firstWildcard < segments.length && !/[*?]/.test(segments[firstWildcard])) {
+        firstWildcard++;
+    }
+    var baseDir = segments.slice(0, firstWildcard).join("/") || (pattern.charAt(0) === "/" ? "/" : ".");
+    var rest = segments.slice(firstWildcard).join("/");
+    if (!fs.isDir(baseDir)) {
+        return [];
+    }
+    var absResult = fs.abs(baseDir);
+    baseDir = absResult.error ? baseDir : absResult.path;
+
+    var maxDepth = rest.indexOf("**") !== -1 ? 0 : segments.length - firstWildcard;
+    var matches = [];
+    collectGlobMatches(baseDir, baseDir, 1, maxDepth, globToRegExp(rest), matches);
+    return matches.sort();
+}
+
+function collectGlobMatches(rootDir, dirPath, depth, maxDepth, regex, matches) {
+    var listResult = fs.readdir(dirPath);
+    if (listResult.error) {
+        return;
+    }
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        if (regex.test(getRelativePath(rootDir, fileInfo.path))) {
+            matches.push(fileInfo.path);
+        } else if (fileInfo.is_dir && (!maxDepth || depth < maxDepth)) {
+            collectGlobMatches(rootDir, fileInfo.path, depth + 1, maxDepth, regex, matches);
+        }
+    }
+}
+
+function collectInputFiles(inputPaths, findFiles) {
+    // Files of every input entry, each remembering the folder it was found in
+    // (folder entries are mirrored below the output directory, file entries are not)
+    var inputFiles = { files: [], roots: {} };
+    for (var i = 0; i < inputPaths.length; i++) {
+        var found = findFiles(inputPaths[i]);
+        if (found.length === 0 && fs.isFile(inputPaths[i])) {
+            console.warn("⚠️  Skipping unsupported file:", inputPaths[i]);
+        }
+        for (var j = 0; j < found.length; j++) {
+            if (inputFiles.roots[found[j]] === undefined) {
+                inputFiles.files.push(found[j]);
+                inputFiles.roots[found[j]] = fs.isDir(inputPaths[i]) ? inputPaths[i] : "";
+            }
+        }
+    }
+    return inputFiles;
+}
+
+function getInputSubdir(inputFiles, filePath) {
+    var rootDir = inputFiles.roots[filePath];
+    return rootDir ? getRelativeSubdir(rootDir, filePath) : "";
+}
+
+function getCommonDirectory(inputPaths) {
+    // Deepest folder containing every input entry. fs.dirname and fs.rel know the
+    // separators of the host, so Windows paths with backslashes find the same root
+    if (inputPaths.length === 0) {
+        return "/";
+    }
+    var common = fs.isDir(inputPaths[0]) ? inputPaths[0] : fs.dirname(inputPaths[0]);
+    for (var i = 1; i < inputPaths.length; i++) {
+        while (!isInsideDirectory(common, inputPaths[i]) && fs.dirname(common) !== common) {
+            common = fs.dirname(common);
+        }
+    }
+    return common;
+}
+
+function isInsideDirectory(dirPath, targetPath) {
+    // True for the folder itself and everything below it
+    var relResult = fs.rel(dirPath, targetPath);
+    return !relResult.error && !/^\.\.([\\\/]|$)/.test(relResult.path);
+}
+
+// ======================== Output Naming ========================
+
+// name_template settings, configured once by main(). Output paths handed out in
+// this run, and those the run journal records for earlier runs, are remembered so
+// that two sources never end up in the same file
+var outputNaming = { template: "{base}", date: "", usesFields: false, numbers: {}, total: 0, claimed: {}, recorded: {} };
+
+var NAME_PLACEHOLDERS = ["base", "ext", "date", "md5_8", "index", "parent"];
+
+function configureOutputNaming(template, allowDataFields) {
+    if (/[\/\\]/.test(template)) {
+        console.error("❌ Error: name_template must not contain path separators:", template);
+        return false;
+    }
+
+    var usesFields = false;
+    var placeholders = template.match(/\{[^}]*\}/g) || [];
+    for (var i = 0; i < placeholders.length; i++) {
+        var name = placeholders[i].slice(1, -1);
+        if (NAME_PLACEHOLDERS.indexOf(name) !== -1) {
+            continue;
+        }
+        // Any other name refers to a field of the extracted data, where the workflow has some
+        if (allowDataFields && /^[A-Za-z_][\w.]*$/.test(name)) {
+            usesFields = true;
+            continue;
+        }
+        var suggestion = suggestClosest(name, NAME_PLACEHOLDERS);
+        console.error("❌ Error: Unknown placeholder " + placeholders[i] + " in name_template" + (suggestion ? " (did you mean {" + suggestion + "}?)" : ""));
+        console.log("Supported placeholders: {" + NAME_PLACEHOLDERS.join("}, {") + "}" + (allowDataFields ? " and extracted fields such as {vendor}" : ""));
+        return false;
+    }
+
+    var today = new Date();
+    outputNaming = {
+        template: template,
+        date: today.getFullYear() + "-" + padNumber(today.getMonth() + 1, 2) + "-" + padNumber(today.getDate(), 2),
+        usesFields: usesFields,
+        numbers: {},
+        total: 0,
+        claimed: {},
+        recorded: {}
+    };
+    return true;
+}
+
+function numberOutputNames(files) {
+    // {index} counts over the whole batch before it is sharded, so that every shard
+    // (and the merge run after them) gives a file the same number as one unsharded run
+    outputNaming.numbers = {};
+    outputNaming.total = files.length;
+    for (var i = 0; i < files.length; i++) {
+        outputNaming.numbers[files[i]] = i + 1;
+    }
+}
+
+function renderOutputName(sourceFile, fields) {
+    if (!outputNaming.numbers.hasOwnProperty(sourceFile)) {
+        // Files that arrive later in watch mode continue the numbering
+        outputNaming.total++;
+        outputNaming.numbers[sourceFile] = outputNaming.total;
+    }
+    var values = {
+        base: fs.basename(sourceFile),
+        ext: fs.ext(sourceFile).replace(/^\./, ""),
+        date: outputNaming.date,
+        index: padNumber(outputNaming.numbers[sourceFile], String(outputNaming.total).length),
+        parent: fs.filename(fs.dirname(sourceFile))
+    };
+
+    var name = outputNaming.template.replace(/\{([^}]*)\}/g, function (match, key) {
+        if (key === "md5_8") {
+            return getFileMd5(sourceFile).substring(0, 8) || "nohash";
+        }
+        return sanitizeNamePart(values.hasOwnProperty(key) ? values[key] : getFieldValue(fields, key));
+    });
+    return name.trim() || values.base;
+}
+
+function getFieldValue(fields, fieldPath) {
+    // Dotted paths reach into nested objects, e.g. {total.amount}
+    var value = fields;
+    var parts = fieldPath.split(".");
+    for (var i = 0; i < parts.length && value !== null && value !== undefined; i++) {
+        value = typeof value === "object" ? value[parts[i]] : undefined;
+    }
+    return value === null || value === undefined || typeof value === "object" ? "" : value;
+}
+
+function sanitizeNamePart(value) {
+    // Keep the value readable, only drop characters that are not allowed in file names
+    return String(value).replace(/[\/\\:*?"<>|\x00-\x1f]+/g, "_").trim() || "unknown";
+}
+
+function padNumber(number, width) {
+    var text = String(number);
+    while (text.length < width) {
+        text = "0" + text;
+    }
+    return text;
+}
+
+function claimOutputPath(dirPath, stem, suffix, sourceFile, avoidExisting) {
+    // Add -2, -3 ... when another source already uses the name, in this run or in an
+    // earlier one. avoidExisting also passes over any file on disk that is not known to
+    // belong to the source, for names that depend on what was extracted from it
+    var candidate = fs.join([dirPath, stem + suffix]);
+    for (var n = 2; isOutputPathTaken(candidate, sourceFile, avoidExisting); n++) {
+        candidate = fs.join([dirPath, stem + "-" + n + suffix]);
+    }
+    if (n > 2) {
+        console.log("🏷️  " + stem + suffix + " is used by another file, writing " + fs.filename(candidate));
+    }
+    outputNaming.claimed[candidate] = sourceFile;
+    return candidate;
+}
+
+function isOutputPathTaken(candidate, sourceFile, avoidExisting) {
+    var owner = outputNaming.claimed[candidate] || outputNaming.recorded[candidate];
+    if (owner) {
+        return owner !== sourceFile;
+    }
+    return !!avoidExisting && fs.exists(candidate);
+}
+
+function rememberJournalOutputs(journal, inputRoot) {
+    // Outputs that earlier runs wrote keep belonging to their sources
+    for (var key in journal.data.items) {
+        var output = journal.data.items[key].output;
+        if (output) {
+            outputNaming.recorded[output] = fs.join([inputRoot, key]);
+        }
+    }
+}
+
+// ======================== Variables ========================
+
+function readVariables(schema) {
+    // Parse and validate every variable in the schema, collecting all problems at once
+    var options = { values: {}, errors: [] };
+    var explained = {};
+
+    for (var i = 0; i < schema.length; i++) {
+        var variable = schema[i];
+        var raw = getOption(variable.name).trim();
+        var parsed = raw ? parseVariableValue(variable, raw) : { value: variable.type === "list" ? [] : variable.default };
+
+        if (!raw && variable.required) {
+            var misspelling = findMisspelledVariable(variable.name, schema);
+            if (misspelling) {
+                explained[misspelling] = true;
+            }
+            options.errors.push(variable.name + " is required" + (misspelling ? " ('" + misspelling + "' was given, did you mean '" + variable.name + "'?)" : ""));
+        } else if (parsed.error) {
+            options.errors.push(variable.name + "=" + raw + ": " + parsed.error);
+        }
+        options.values[variable.name] = parsed.error ? variable.default : parsed.value;
+    }
+
+    options.errors = options.errors.concat(findMisspelledVariables(schema, explained), findUnknownConfigVariables(schema));
+    return options;
+}
+
+function parseVariableValue(variable, raw) {
+    switch (variable.type) {
+        case "boolean":
+            if (raw === "true" || raw === "false") {
+                return { value: raw === "true" };
+            }
+            return { error: "expected true or false" };
+        case "integer":
+        case "number":
+            var number = variable.type === "integer" ? (/^-?\d+$/.test(raw) ? parseInt(raw, 10) : NaN) : Number(raw);
+            if (isNaN(number) || !isFinite(number)) {
+                return { error: "expected " + (variable.type === "integer" ? "a whole number" : "a number") };
+            }
+            if (variable.min !== undefined && number < variable.min) {
+                return { error: "must be at least " + variable.min };
+            }
+            return { value: number };
+        case "enum":
+            if (variable.values.indexOf(raw) !== -1) {
+                return { value: raw };
+            }
+            var suggestion = suggestClosest(raw, variable.values);
+            return { error: "expected one of " + variable.values.join(", ") + (suggestion ? " (did you mean '" + suggestion + "'?)" : "") };
+        case "list":
+            return { value: parsePatternList(raw) };
+        default:
+            return { value: raw };
+    }
+}
+
+function findUnknownConfigVariables(schema) {
+    var knownNames = {};
+    var names = [];
+    for (var i = 0; i < schema.length; i++) {
+        knownNames[schema[i].name] = true;
+        names.push(schema[i].name);
+    }
+
+    // A workflow-specific config section may only hold this workflow's variables
+    var errors = [];
+    for (var key in workflowConfig.origins) {
+        if (knownNames[key] || workflowConfig.origins[key].indexOf("workflows.") === -1) {
+            continue;
+        }
+        var suggestion = suggestClosest(key, names);
+        errors.push("Unknown variable '" + key + "' in " + workflowConfig.origins[key] + (suggestion ? " (did you mean '" + suggestion + "'?)" : ""));
+    }
+
+    return errors;
+}
+
+function findMisspelledVariables(schema, explained) {
+    // The host cannot list the --var names it was given, so every known name is looked up
+    // under its likeliest misspellings (fromat, recursiv). All one-edit variants of every
+    // name would take thousands of getVar() calls
+    var knownNames = {};
+    for (var i = 0; i < schema.length; i++) {
+        knownNames[schema[i].name] = true;
+    }
+
+    var errors = [];
+    var reported = {};
+    for (var j = 0; j < schema.length; j++) {
+        var variants = getSpellingVariants(schema[j].name, true);
+        for (var k = 0; k < variants.length; k++) {
+            var variant = variants[k];
+            if (knownNames[variant] || reported[variant] || explained[variant] || !getVar(variant)) {
+                continue;
+            }
+            reported[variant] = true;
+            errors.push("Unknown variable '" + variant + "' (did you mean '" + schema[j].name + "'?)");
+        }
+    }
+    return errors;
+}
+
+function findMisspelledVariable(name, schema) {
+    // A missing required variable is looked for under all of its one-edit misspellings,
+    // so that the error can name the variable that was given instead
+    var variants = getSpellingVariants(name);
+    for (var i = 0; i < variants.length; i++) {
+        var isKnown = schema.some(function (variable) {
+            return variable.name === variants[i];
+        });
+        if (!isKnown && getVar(variants[i])) {
+            return variants[i];
+        }
+    }
+    return "";
+}
+
+function getSpellingVariants(name, likelyOnly) {
+    // One letter dropped, swapped with the next, added or changed. likelyOnly keeps
+    // dropped, swapped and doubled letters: a few dozen variants instead of hundreds
+    var letters = "abcdefghijklmnopqrstuvwxyz_";
+    var variants = [];
+    for (var i = 0; i <= name.length; i++) {
+        var head = name.substring(0, i);
+        var tail = name.substring(i);
+        if (tail) {
+            variants.push(head + tail.substring(1));
+        }
+        if (tail.length > 1) {
+            variants.push(head + tail.charAt(1) + tail.charAt(0) + tail.substring(2));
+        }
+        if (likelyOnly) {
+            if (tail) {
+                variants.push(head + tail.charAt(0) + tail);
+            }
+            continue;
+        }
+        for (var j = 0; j < letters.length; j++) {
+            variants.push(head + letters.charAt(j) + tail);
+            if (tail && letters.charAt(j) !== tail.charAt(0)) {
+                variants.push(head + letters.charAt(j) + tail.substring(1));
+            }
+        }
+    }
+    return variants;
+}
+
+function suggestClosest(word, candidates) {
+    // Closest candidate by edit distance, if it is close enough to be a typo
+    var best = "";
+    var bestDistance = Math.max(2, Math.floor(word.length / 3)) + 1;
+    for (var i = 0; i < candidates.length; i++) {
+        var distance = getEditDistance(word.toLowerCase(), candidates[i].toLowerCase());
+        if (distance < bestDistance) {
+            best = candidates[i];
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function getEditDistance(a, b) {
+    // Levenshtein distance, counting a swap of two neighbouring letters as one edit
+    var rows = [];
+    for (var i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (var j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+            var distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+                distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(distance);
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+function printVariableErrors(errors) {
+    for (var i = 0; i < errors.length; i++) {
+        console.error("❌ Error: " + errors[i]);
+    }
+    console.log("Run with --var help=true to list the supported variables");
+}
+
+function printVariableHelp(description, usage, schema) {
+    console.log(description);
+    console.log("Usage: " + usage);
+    console.log("Note: the host does not list the variables passed in, so only --var names with a letter dropped, doubled or swapped are reported as misspelled");
+    console.log("Supported variables:");
+    for (var i = 0; i < schema.length; i++) {
+        var variable = schema[i];
+        var details = [];
+        if (variable.required) {
+            details.push("required");
+        }
+        if (variable.type === "enum") {
+            details.push(variable.values.join(", "));
+        } else if (variable.type === "boolean") {
+            details.push("true/false");
+        }
+        var defaultLabel = variable.defaultLabel || (variable.type !== "boolean" && variable.default !== undefined && variable.default !== "" ? String(variable.default) : "");
+        if (defaultLabel) {
+            details.push("default: " + defaultLabel);
+        }
+        console.log("  " + variable.name + ": " + variable.description + (details.length > 0 ? " (" + details.join("; ") + ")" : ""));
+    }
+}
+
+// ======================== Configuration ========================
+
+// Settings from a config file, merged under explicit --var values by getOption()
+var workflowConfig = { path: "", profile: "", values: {}, origins: {} };
+
+var CONFIG_FILE_NAME = ".amo-workflow.json";
+
+function loadWorkflowConfig(workflowName) {
+    // config=<file.json>, otherwise a .amo-workflow.json next to the input
+    var configPath = getVar("config") || "";
+    if (!configPath) {
+        configPath = findConfigFile(getVar("input") || "");
+        if (!configPath) {
+            return true;
+        }
+    } else if (!fs.exists(configPath)) {
+        console.error("❌ Error: Config file does not exist:", configPath);
+        return false;
+    }
+
+    var readResult = fs.read(configPath);
+    if (readResult.error) {
+        console.error("❌ Error: Failed to read config file:", readResult.error);
+        return false;
+    }
+
+    var config;
+    try {
+        config = JSON.parse(readResult.content);
+    } catch (error) {
+        console.error("❌ Error: Config file is not valid JSON: " + configPath + " (" + error.message + ")");
+        return false;
+    }
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        console.error("❌ Error: Config file must contain a JSON object:", configPath);
+        return false;
+    }
+
+    // Later layers win: top level < workflows.<name> < profiles.<profile> < profiles.<profile>.workflows.<name>
+    var profileName = isVarSet("profile") ? getVar("profile") || "" : config.profile || "";
+    var profiles = config.profiles || {};
+    var layers = [
+        { values: config, origin: "config" },
+        { values: (config.workflows || {})[workflowName], origin: "config: workflows." + workflowName }
+    ];
+    if (profileName) {
+        var profile = profiles[profileName];
+        if (!profile || typeof profile !== "object") {
+            var profileNames = Object.keys(profiles);
+            console.error("❌ Error: Unknown profile '" + profileName + "' in " + configPath);
+            console.log("Available profiles:", profileNames.length > 0 ? profileNames.join(", ") : "(none)");
+            return false;
+        }
+        layers.push({ values: profile, origin: "profile: " + profileName });
+        layers.push({ values: (profile.workflows || {})[workflowName], origin: "profile: " + profileName + ", workflows." + workflowName });
+    }
+
+    workflowConfig = { path: configPath, profile: profileName, values: {}, origins: {} };
+    for (var i = 0; i < layers.length; i++) {
+        mergeConfigValues(layers[i].values, layers[i].origin);
+    }
+    return true;
+}
+
+function findConfigFile(inputPath) {
+    // With a list of inputs, the config file sits next to the first entry
+    if (inputPath && !fs.exists(inputPath)) {
+        inputPath = inputPath.split(/[,\n]/)[0].trim();
+    }
+    if (!inputPath || !fs.exists(inputPath)) {
+        return "";
+    }
+    var inputDir = fs.isDir(inputPath) ? inputPath : fs.dirname(inputPath);
+    var candidate = fs.join([inputDir, CONFIG_FILE_NAME]);
+    return fs.exists(candidate) ? candidate : "";
+}
+
+function mergeConfigValues(values, origin) {
+    if (!values || typeof values !== "object") {
+        return;
+    }
+    for (var key in values) {
+        // Structure keys, and keys that would load another config, are not settings
+        if (!values.hasOwnProperty(key) || key === "profiles" || key === "workflows" || key === "profile" || key === "config") {
+            continue;
+        }
+        var value = values[key];
+        if (value === null || (typeof value === "object" && !Array.isArray(value))) {
+            continue;
+        }
+        // Values are handed out like --var strings: lists become comma-separated
+        workflowConfig.values[key] = Array.isArray(value) ? value.join(",") : String(value);
+        workflowConfig.origins[key] = origin;
+    }
+}
+
+function getOption(key) {
+    // An explicit --var always wins over the config file, an empty one too
+    if (isVarSet(key)) {
+        return getVar(key) || "";
+    }
+    return workflowConfig.values.hasOwnProperty(key) ? workflowConfig.values[key] : "";
+}
+
+// Whether getVar() returns null or undefined for variables that were not passed, so that
+// an empty --var (which reads as "") can be told apart. Found out on first use
+var hostReportsUnsetVars = null;
+
+function isVarSet(key) {
+    if (hostReportsUnsetVars === null) {
+        var probe = getVar("amo_workflow_unset_probe");
+        hostReportsUnsetVars = probe === null || probe === undefined;
+    }
+    var value = getVar(key);
+    if (value === null || value === undefined) {
+        return false;
+    }
+    // Hosts that return "" for unset variables cannot tell an empty --var from a missing one
+    return value !== "" || hostReportsUnsetVars;
+}
+
+function printEffectiveConfig(schema, values) {
+    // Final value of every variable the config file or --var set, and where it came from
+    if (!workflowConfig.path) {
+        return;
+    }
+    console.log("⚙️  Config file:", workflowConfig.path + (workflowConfig.profile ? " (profile: " + workflowConfig.profile + ")" : ""));
+    for (var i = 0; i < schema.length; i++) {
+        var key = schema[i].name;
+        var inConfig = workflowConfig.values.hasOwnProperty(key);
+        var fromVar = isVarSet(key);
+        if (!inConfig && !fromVar) {
+            continue;
+        }
+        var value = Array.isArray(values[key]) ? values[key].join(",") : String(values[key]);
+        var origin = fromVar ? "--var" : workflowConfig.origins[key];
+        if (fromVar && inConfig) {
+            origin += ", overrides " + (workflowConfig.values[key] || "(empty)") + " from " + workflowConfig.origins[key];
+        }
+        console.log("  " + key + " = " + (value || "(empty)") + " (" + origin + ")");
+    }
+}
+
+// ======================== Dry Run ========================
+
+function formatCommandLine(command, args) {
+    // Quote arguments the way a shell would need them, so the line can be copied as-is
+    var parts = [command];
+    for (var i = 0; i < args.length; i++) {
+        var arg = String(args[i]);
+        if (arg === "" || /[\s"'$`\\]/.test(arg)) {
+            arg = "\"" + arg.replace(/(["$`\\])/g, "\\$1") + "\"";
+        }
+        parts.push(arg);
+    }
+    return parts.join(" ");
+}
+
+function printPlannedItem(outputFile, commandLines) {
+    console.log("📝 Would write: " + outputFile);
+    for (var i = 0; i < commandLines.length; i++) {
+        console.log("🔧 Would run: " + commandLines[i]);
+    }
+}
+
+function printDryRunSummary(plannedCount, totalCount) {
+    console.log("🧪 Dry Run Summary:");
+    console.log("===================");
+    console.log("📝 Would process:", plannedCount);
+    console.log("⏭️ Would skip:", totalCount - plannedCount);
+    console.log("📊 Total discovered:", totalCount);
+    console.log("");
+    console.log("ℹ️  Nothing was changed: no directories created, no commands run, no files written");
+}
+
+// ======================== Watch Mode ========================
+
+// watch=true keeps polling the input folders after the first pass and hands new
+// files to the same per-file loop once they have stopped growing
+var WATCH_DONE_DIR = "done";
+var WATCH_FAILED_DIR = "failed";
+
+function createWatcher(inputPaths, inputFiles, findFiles, settings) {
+    return {
+        folders: inputPaths,
+        inputFiles: inputFiles,
+        findFiles: findFiles,
+        interval: settings.interval,
+        idleExit: settings.idleExit,
+        moveProcessed: settings.moveProcessed,
+        pending: {},
+        written: {}
+    };
+}
+
+function getWatchExcludePatterns() {
+    // Processed sources must not be picked up again from done/ and failed/
+    return [WATCH_DONE_DIR + "/**", WATCH_FAILED_DIR + "/**"];
+}
+
+function waitForNewFiles(watcher) {
+    // Blocks until new files are ready and returns true, false when watching should stop
+    if (!watcher) {
+        return false;
+    }
+    var stopNote = watcher.idleExit > 0 ? "stopping after " + watcher.idleExit + "s without new files" : "press Ctrl+C to stop";
+    console.log("👀 Watching " + watcher.folders.length + " folder(s) for new files every " + watcher.interval + "s (" + stopNote + ")");
+
+    var idleSince = new Date().getTime();
+    while (true) {
+        if (!pauseSeconds(watcher.interval)) {
+            // Polling again at once would keep the CPU busy for as long as the watch runs
+            console.error("❌ Cannot wait between polls, stopping watch");
+            console.log("");
+            return false;
+        }
+        var readyCount = pollWatchedFolders(watcher);
+        if (readyCount > 0) {
+            console.log("📥 " + readyCount + " new file(s) ready");
+            console.log("");
+            return true;
+        }
+        if (Object.keys(watcher.pending).length > 0) {
+            // Something is still being written, that is not idle time
+            idleSince = new Date().getTime();
+        }
+        if (watcher.idleExit > 0 && new Date().getTime() - idleSince >= watcher.idleExit * 1000) {
+            console.log("💤 No new files for " + watcher.idleExit + "s, stopping watch");
+            console.log("");
+            return false;
+        }
+    }
+}
+
+function pollWatchedFolders(watcher) {
+    // A new file is ready once two polls in a row see the same size, so scans and
+    // copies that are still being written are left alone
+    var readyCount = 0;
+    var stillGrowing = {};
+    for (var i = 0; i < watcher.folders.length; i++) {
+        var found = watcher.findFiles(watcher.folders[i]);
+        for (var j = 0; j < found.length; j++) {
+            var filePath = found[j];
+            if (watcher.inputFiles.roots[filePath] !== undefined || watcher.written[filePath]) {
+                continue;
+            }
+            var sizeResult = fs.size(filePath);
+            if (sizeResult.error) {
+                continue;
+            }
+            if (watcher.pending[filePath] === sizeResult.size) {
+                watcher.inputFiles.files.push(filePath);
+                watcher.inputFiles.roots[filePath] = watcher.folders[i];
+                readyCount++;
+            } else {
+                stillGrowing[filePath] = sizeResult.size;
+            }
+        }
+    }
+    watcher.pending = stillGrowing;
+    return readyCount;
+}
+
+function finishWatchedFile(watcher, sourceFile, succeeded) {
+    if (!watcher) {
+        return;
+    }
+    // Outputs written next to the sources are not new arrivals
+    for (var i = 0; i < processingTrace.outputs.length; i++) {
+        watcher.written[processingTrace.outputs[i]] = true;
+    }
+
+    // move_processed=true: <input>/done/ or <input>/failed/, keeping sub-folders
+    if (!watcher.moveProcessed) {
+        return;
+    }
+    var rootDir = watcher.inputFiles.roots[sourceFile];
+    if (!rootDir) {
+        return;
+    }
+    var targetDir = succeeded ? WATCH_DONE_DIR : WATCH_FAILED_DIR;
+    var targetFile = fs.join([rootDir, targetDir, getRelativePath(rootDir, sourceFile)]);
+    if (fs.exists(targetFile)) {
+        // An earlier file with the same name was already moved there
+        targetFile = fs.join([fs.dirname(targetFile), fs.basename(targetFile) + "-" + new Date().getTime() + fs.ext(targetFile)]);
+    }
+
+    var mkdirResult = fs.mkdir(fs.dirname(targetFile));
+    var moveResult = mkdirResult.error ? mkdirResult : fs.move(sourceFile, targetFile);
+    if (moveResult.error) {
+        console.warn("⚠️  Could not move " + fs.filename(sourceFile) + " to " + targetDir + "/:", moveResult.error);
+        return;
+    }
+    console.log("📦 Moved source to " + getRelativePath(rootDir, targetFile));
+    // Forget the file so a new one dropped under the same name is processed again
+    delete watcher.inputFiles.roots[sourceFile];
+}
+
+// ======================== Sharding ========================
+
+// shard=k/N splits one batch across N invocations running side by side: each takes
+// every N-th file of the sorted list, keeps its own journal and report, and locks
+// the item it works on. merge=true folds the shard journals and reports back together.
+
+function parseShard(value) {
+    var match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || "");
+    if (!match) {
+        return { error: "shard must look like k/N, e.g. 2/4 (got '" + value + "')" };
+    }
+    var index = parseInt(match[1], 10);
+    var count = parseInt(match[2], 10);
+    if (count < 1 || index < 1 || index > count) {
+        return { error: "shard " + value + " is out of range, k must be between 1 and N" };
+    }
+    return { index: index, count: count, label: "shard-" + index + "-of-" + count };
+}
+
+function selectShardFiles(files, shard, inputRoot) {
+    // Sort by relative path so every shard sees the same order, whatever the listing order
+    var sorted = files.slice().sort(function (a, b) {
+        var keyA = getRelativePath(inputRoot, a);
+        var keyB = getRelativePath(inputRoot, b);
+        return keyA < keyB ? -1 : (keyA > keyB ? 1 : 0);
+    });
+    return sorted.filter(function (file, index) {
+        return index % shard.count === shard.index - 1;
+    });
+}
+
+function getShardPath(filePath, shardLabel) {
+    // report.json -> report.shard-2-of-4.json
+    var ext = fs.ext(filePath);
+    return fs.join([fs.dirname(filePath), fs.basename(filePath) + "." + shardLabel + ext]);
+}
+
+function openItemLocks(journalDir, workflowName, shard, timeoutSeconds) {
+    return {
+        dir: fs.join([journalDir, "." + workflowName + ".locks"]),
+        owner: shard.label + "-" + new Date().getTime() + "-" + Math.floor(Math.random() * 1000000),
+        timeout: timeoutSeconds
+    };
+}
+
+function getLockPath(locks, key) {
+    // "/" becomes "__", and every other character outside [A-Za-z0-9.-] ("_" too) becomes
+    // "_" plus its four-digit hex code, so a/b.pdf and a__b.pdf do not share a lock
+    var name = key.replace(/[^A-Za-z0-9.\-\/\\]/g, function (ch) {
+        return "_" + ("000" + ch.charCodeAt(0).toString(16)).slice(-4);
+    }).replace(/[\/\\]/g, "__");
+    return fs.join([locks.dir, name + ".lock"]);
+}
+
+function acquireItemLock(locks, key) {
+    // Best effort: the host has no exclusive create, so write the lock and read it
+    // back to see whether another shard wrote its own in between
+    var lockPath = getLockPath(locks, key);
+    var readResult = fs.read(lockPath);
+    if (!readResult.error) {
+        var holder = null;
+        try {
+            holder = JSON.parse(readResult.content);
+        } catch (error) {
+            holder = null;
+        }
+        var age = holder && holder.startedAt ? (new Date().getTime() - holder.startedAt) / 1000 : Infinity;
+        if (age < locks.timeout) {
+            return false;
+        }
+        console.warn("⚠️  Taking over stale lock (" + (holder && holder.owner || "unknown owner") + "): " + key);
+    }
+
+    var mkdirResult = fs.mkdir(locks.dir);
+    if (mkdirResult.error) {
+        console.warn("⚠️  Cannot create lock directory, continuing without lock:", mkdirResult.error);
+        return true;
+    }
+    var lock = { owner: locks.owner, item: key, started: new Date().toISOString(), startedAt: new Date().getTime() };
+    var writeResult = fs.write(lockPath, JSON.stringify(lock, null, 2));
+    if (writeResult.error) {
+        console.warn("⚠️  Cannot write lock, continuing without lock:", writeResult.error);
+        return true;
+    }
+    var checkResult = fs.read(lockPath);
+    return !checkResult.error && checkResult.content.indexOf('"' + locks.owner + '"') !== -1;
+}
+
+function releaseItemLock(locks, key) {
+    if (locks) {
+        fs.remove(getLockPath(locks, key));
+    }
+}
+
+function mergeShardResults(journal, files, inputRoot) {
+    // Journals first: the merged journal is what resume and later merges read
+    var journalDir = fs.dirname(journal.path);
+    var shardJournals = mergeShardJournals(journal);
+    if (shardJournals === 0) {
+        console.log("ℹ️  No shard journals found in " + journalDir + ", using the run journal as it is");
+    } else {
+        console.log("🧩 Merged " + shardJournals + " shard journal(s) into " + fs.filename(journal.path));
+    }
+
+    var counts = { done: 0, failed: 0, pending: 0, missing: 0 };
+    var unfinished = [];
+    for (var i = 0; i < files.length; i++) {
+        var key = getRelativePath(inputRoot, files[i]);
+        var entry = journal.data.items[key];
+        var state = entry ? entry.state : "missing";
+        counts[state] = (counts[state] || 0) + 1;
+        if (state !== "done") {
+            unfinished.push(key + " (" + (state === "missing" ? "not processed" : state) + ")");
+        }
+    }
+
+    var lockDir = fs.join([journalDir, "." + journal.data.workflow + ".locks"]);
+    var lockList = fs.readdir(lockDir);
+    if (!lockList.error && lockList.files.length > 0) {
+        console.warn("⚠️  " + lockList.files.length + " item(s) are still locked, is a shard still running? (" + lockDir + ")");
+    } else if (!lockList.error) {
+        fs.remove(lockDir);
+    }
+
+    console.log("");
+    console.log("🧩 Merge Summary:");
+    console.log("===================");
+    console.log("✅ Done:", counts.done);
+    console.log("❌ Failed:", counts.failed);
+    console.log("⏳ Unfinished:", counts.pending);
+    console.log("❔ Not processed:", counts.missing);
+    if (unfinished.length > 0) {
+        console.log("");
+        console.log("Files without a result (rerun the shards with resume=true):");
+        for (var u = 0; u < unfinished.length; u++) {
+            console.log("  " + unfinished[u]);
+        }
+    }
+    return counts;
+}
+
+function mergeShardJournals(journal) {
+    // .<workflow>.shard-k-of-N.journal.json next to the run journal, newest entry wins
+    var journalDir = fs.dirname(journal.path);
+    var pattern = new RegExp("^\\." + journal.data.workflow.replace(/[.\-]/g, "\\$&") + "\\.shard-\\d+-of-\\d+\\.journal\\.json$");
+    var listResult = fs.readdir(journalDir);
+    if (listResult.error) {
+        return 0;
+    }
+
+    var merged = [];
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        if (fileInfo.is_dir || !pattern.test(fileInfo.name)) {
+            continue;
+        }
+        var readResult = fs.read(fileInfo.path);
+        var data = null;
+        try {
+            data = readResult.error ? null : JSON.parse(readResult.content);
+        } catch (error) {
+            data = null;
+        }
+        if (!data || !data.items) {
+            console.warn("⚠️  Skipping unreadable shard journal:", fileInfo.path);
+            continue;
+        }
+        for (var key in data.items) {
+            var current = journal.data.items[key];
+            if (!current || (data.items[key].updated || "") > (current.updated || "")) {
+                journal.data.items[key] = data.items[key];
+            }
+        }
+        merged.push(fileInfo.path);
+    }
+
+    if (merged.length > 0) {
+        saveJournal(journal);
+        for (var m = 0; m < merged.length; m++) {
+            fs.remove(merged[m]);
+        }
+    }
+    return merged.length;
+}
+
+function mergeShardReports(reportPath, summaryFiles) {
+    // report.shard-k-of-N.json files next to report.json become one report
+    var reportDir = fs.dirname(reportPath);
+    var prefix = fs.basename(reportPath) + ".shard-";
+    var listResult = fs.readdir(reportDir);
+    if (listResult.error) {
+        console.warn("⚠️  Cannot list shard reports:", listResult.error);
+        return false;
+    }
+
+    var report = null;
+    var mergedCount = 0;
+    for (var i = 0; i < listResult.files.length; i++) {
+        var fileInfo = listResult.files[i];
+        if (fileInfo.is_dir || fileInfo.name.indexOf(prefix) !== 0 || fs.ext(fileInfo.name) !== fs.ext(reportPath)) {
+            continue;
+        }
+        var readResult = fs.read(fileInfo.path);
+        var data = null;
+        try {
+            data = readResult.error ? null : JSON.parse(readResult.content);
+        } catch (error) {
+            data = null;
+        }
+        if (!data || !data.files) {
+            console.warn("⚠️  Skipping unreadable shard report:", fileInfo.path);
+            continue;
+        }
+        if (!report) {
+            report = createRunReport(data.workflow, data.input, data.output);
+            report.started = data.started;
+            report.startedAt = new Date(data.started).getTime();
+        } else if (data.started < report.started) {
+            report.started = data.started;
+            report.startedAt = new Date(data.started).getTime();
+        }
+        report.files = report.files.concat(data.files);
+        report.summary_files = report.summary_files.concat(data.summary_files || []);
+        mergedCount++;
+    }
+
+    if (!report) {
+        console.log("ℹ️  No shard reports found next to " + reportPath);
+        return false;
+    }
+    if (summaryFiles) {
+        report.summary_files = report.summary_files.concat(summaryFiles);
+    }
+    console.log("🧩 Merged " + mergedCount + " shard report(s)");
+    return writeRunReport(report, reportPath);
+}
+
+// ======================== Extraction Cache ========================
+
+// Shared doc-to-text cache, configured once by main(). Entries are keyed by the
+// md5 of the source file plus the extraction settings, so text extracted by one
+// workflow is reused by any other workflow pointed at the same cache directory
+var extractionCache = { mode: "off", dir: "", hits: 0, misses: 0, stores: 0 };
+
+var CACHE_MODES = ["off", "read", "write", "refresh"];
+
+function configureExtractionCache(mode, cacheDir) {
+    if (CACHE_MODES.indexOf(mode) === -1) {
+        console.error("❌ Error: Invalid cache mode: " + mode + " (expected " + CACHE_MODES.join(", ") + ")");
+        return false;
+    }
+    extractionCache = { mode: mode, dir: cacheDir, hits: 0, misses: 0, stores: 0 };
+    return true;
+}
+
+function getDefaultCacheDir() {
+    var cwdResult = fs.cwd();
+    return fs.join([cwdResult.error ? "." : cwdResult.path, ".doc-to-text-cache"]);
+}
+
+function getExtractionCacheEntry(documentFile, ocrTool, ocrLlmTemplate, contentType) {
+    if (extractionCache.mode === "off") {
+        return null;
+    }
+    // The tool picked at an interactive prompt is unknown, so it cannot be part of the key
+    if (!ocrTool || ocrTool === "interactive") {
+        return null;
+    }
+    var sourceMd5 = getFileMd5(documentFile);
+    if (!sourceMd5) {
+        return null;
+    }
+
+    // <cache_dir>/<md5 of source>/<ocr tool>[__<llm template>]__<content type>.txt
+    var settings = [ocrTool];
+    if (ocrTool === "llm-caller") {
+        settings.push(ocrLlmTemplate || "default");
+    }
+    settings.push(contentType || "auto");
+    var entryName = settings.join("__").replace(/[^A-Za-z0-9._-]/g, "_") + ".txt";
+    return { md5: sourceMd5, path: fs.join([extractionCache.dir, sourceMd5, entryName]) };
+}
+
+function hasCachedExtraction(cacheEntry) {
+    // refresh ignores existing entries and extracts again
+    return !!cacheEntry && extractionCache.mode !== "refresh" && fs.exists(cacheEntry.path);
+}
+
+function restoreCachedExtraction(cacheEntry, textFile) {
+    if (!cacheEntry) {
+        return false;
+    }
+    if (!hasCachedExtraction(cacheEntry)) {
+        extractionCache.misses++;
+        return false;
+    }
+
+    var copyResult = fs.copy(cacheEntry.path, textFile);
+    if (copyResult.error) {
+        console.warn("⚠️  Failed to restore cached text, extracting again:", copyResult.error);
+        extractionCache.misses++;
+        return false;
+    }
+
+    extractionCache.hits++;
+    processingTrace.steps.push({ step: "extract", command: "cache " + cacheEntry.path, duration_ms: 0, attempts: 0, success: true, cached: true });
+    console.log("⚡ Using cached text: " + cacheEntry.path);
+    return true;
+}
+
+function storeCachedExtraction(cacheEntry, textFile) {
+    if (!cacheEntry || extractionCache.mode === "read") {
+        return;
+    }
+    if (extractionCache.mode !== "refresh" && fs.exists(cacheEntry.path)) {
+        return;
+    }
+
+    // A cache that cannot be written only costs a later re-extraction
+    var entryDir = fs.dirname(cacheEntry.path);
+    var mkdirResult = fs.exists(entryDir) ? {} : fs.mkdir(entryDir);
+    var copyResult = mkdirResult.error ? mkdirResult : fs.copy(textFile, cacheEntry.path);
+    if (copyResult.error) {
+        console.warn("⚠️  Failed to store text in the extraction cache:", copyResult.error);
+        return;
+    }
+    extractionCache.stores++;
+}
+
+function getCacheStats() {
+    return {
+        mode: extractionCache.mode,
+        dir: extractionCache.dir,
+        hits: extractionCache.hits,
+        misses: extractionCache.misses,
+        stores: extractionCache.stores
+    };
+}
+
+function printCacheStats() {
+    if (extractionCache.mode === "off") {
+        return;
+    }
+    console.log("⚡ Extraction cache (" + extractionCache.mode + "): " + extractionCache.hits + " hits, " +
+        extractionCache.misses + " misses, " + extractionCache.stores + " stored");
+}
+
+// ======================== Retries ========================
+
+// Retry settings for CLI steps, configured once by main()
+var retryPolicy = { retries: 0, delaySeconds: 5 };
+
+function classifyCliFailure(result) {
+    var text = [result.error, result.stderr, result.stdout].join("\n").toLowerCase();
+
+    // Retrying cannot fix a blocked or missing tool, or input the tool rejects
+    var permanentPatterns = [
+        "not in the allowed cli commands list", "command not found", "no such file or directory",
+        "unsupported", "not supported", "permission denied", "invalid argument", "template not found",
+        "argument list too long"
+    ];
+    for (var i = 0; i < permanentPatterns.length; i++) {
+        if (text.indexOf(permanentPatterns[i]) !== -1) {
+            return "permanent";
+        }
+    }
+
+    // Timeouts, rate limits and server-side errors usually go away on their own
+    var retryablePatterns = [
+        "timeout", "timed out", "deadline exceeded", "rate limit", "too many requests", "quota",
+        "internal server error", "bad gateway", "service unavailable", "overloaded",
+        "connection reset", "connection refused", "temporarily", "try again"
+    ];
+    for (var j = 0; j < retryablePatterns.length; j++) {
+        if (text.indexOf(retryablePatterns[j]) !== -1) {
+            return "retryable";
+        }
+    }
+    if (/\b(429|50[0-4])\b/.test(text)) {
+        return "retryable";
+    }
+
+    return "unknown";
+}
+
+function getRetryDelay(attempt) {
+    // Exponential backoff: delay, 2 x delay, 4 x delay ... capped at five minutes
+    return Math.min(retryPolicy.delaySeconds * Math.pow(2, attempt - 1), 300);
+}
+
+function pauseSeconds(seconds) {
+    // Returns false when it could not wait
+    if (seconds <= 0) {
+        return true;
+    }
+    // There is no timer API in workflows, only the sleep command waits without
+    // holding the CPU (main() checks that it is allowed)
+    var sleepResult = cliCommand("sleep", [String(seconds)], { timeout: seconds + 10 });
+    if (sleepResult.error) {
+        console.warn("⚠️  sleep failed, continuing without a delay:", sleepResult.error);
+        return false;
+    }
+    return true;
+}
+
+function describeFailure(result) {
+    var lines = [result.stderr, result.stdout, result.error].join("\n").split("\n");
+    for (var i = 0; i < lines.length; i++) {
+        if (lines[i].trim()) {
+            return truncateText(lines[i], 120);
+        }
+    }
+    return "unknown error";
+}
+
+// ======================== Run Report ========================
+
+function runTracedCommand(stepName, command, args, options, displayArgs) {
+    // Run a CLI step, retrying transient failures, and record it for the run report
+    var startedAt = new Date().getTime();
+    var maxAttempts = retryPolicy.retries + 1;
+    var attempt = 0;
+    var result = null;
+    var failureType = "";
+
+    while (true) {
+        attempt++;
+        result = cliCommand(command, args, options);
+        if (!result.error) {
+            failureType = "";
+            break;
+        }
+        failureType = classifyCliFailure(result);
+        if (failureType !== "retryable" || attempt >= maxAttempts) {
+            break;
+        }
+        var delay = getRetryDelay(attempt);
+        console.warn("⚠️  " + command + " failed (" + describeFailure(result) + "), retrying in " + delay + "s [attempt " + (attempt + 1) + "/" + maxAttempts + "]");
+        pauseSeconds(delay);
+    }
+
+    if (failureType && failureType !== "retryable" && maxAttempts > 1) {
+        console.log("🚫 Not retrying " + command + ": " + failureType + " failure");
+    }
+
+    var step = {
+        step: stepName,
+        command: formatCommandLine(command, displayArgs || args),
+        duration_ms: new Date().getTime() - startedAt,
+        attempts: attempt,
+        success: !result.error
+    };
+    if (result.error) {
+        step.failure_type = failureType;
+        processingTrace.failureType = failureType;
+    }
+    processingTrace.steps.push(step);
+    processingTrace.retries += attempt - 1;
+    return result;
+}
+
+function createRunReport(workflowName, inputPath, outputPath) {
+    return {
+        workflow: workflowName,
+        started: new Date().toISOString(),
+        startedAt: new Date().getTime(),
+        input: inputPath,
+        output: outputPath || "",
+        files: [],
+        summary_files: []
+    };
+}
+
+function reportSkippedItem(report, sourceFile, outputFile, reason) {
+    if (!report) {
+        return;
+    }
+    report.files.push({
+        source: sourceFile,
+        status: "skipped",
+        reason: reason,
+        outputs: [outputFile]
+    });
+}
+
+function reportProcessedItem(report, sourceFile, succeeded, startedAt) {
+    if (!report) {
+        return;
+    }
+    var entry = {
+        source: sourceFile,
+        status: succeeded ? "success" : "failed",
+        outputs: processingTrace.outputs,
+        duration_ms: new Date().getTime() - startedAt,
+        steps: processingTrace.steps
+    };
+    if (!succeeded) {
+        entry.error = processingTrace.error || "Processing failed";
+        entry.failure_type = processingTrace.failureType || "unknown";
+        entry.stderr = processingTrace.stderr;
+    }
+    report.files.push(entry);
+}
+
+function writeRunReport(report, reportPath) {
+    var totals = { discovered: report.files.length, success: 0, skipped: 0, failed: 0 };
+    for (var i = 0; i < report.files.length; i++) {
+        totals[report.files[i].status]++;
+    }
+
+    var document = {
+        workflow: report.workflow,
+        started: report.started,
+        finished: new Date().toISOString(),
+        duration_ms: new Date().getTime() - report.startedAt,
+        input: report.input,
+        output: report.output,
+        totals: totals,
+        files: report.files,
+        summary_files: report.summary_files
+    };
+    if (report.cache) {
+        document.cache = report.cache;
+    }
+
+    if (!ensureDirectory(fs.dirname(reportPath))) {
+        return false;
+    }
+    var writeResult = fs.write(reportPath, JSON.stringify(document, null, 2));
+    if (writeResult.error) {
+        console.error("❌ Failed to write run report:", writeResult.error);
+        return false;
+    }
+    console.log("📋 Run report written:", reportPath);
+    return true;
+}
+
+function truncateText(text, maxLength) {
+    text = (text || "").trim();
+    return text.length > maxLength ? text.substring(0, maxLength) + "... (truncated)" : text;
+}
+
+// ======================== Run Journal ========================
+
+// Details of the file currently being processed, filled in by the processing
+// functions so that main() can record what ran, what was written and why an item failed
+var processingTrace = { error: "", stderr: "", failureType: "", steps: [], outputs: [], retries: 0 };
+
+function startProcessingTrace() {
+    processingTrace = { error: "", stderr: "", failureType: "", steps: [], outputs: [], retries: 0 };
+}
+
+function traceFailure(message, commandResult) {
+    // Keep the first failure, later ones are usually consequences of it
+    if (!processingTrace.error) {
+        processingTrace.error = message;
+        if (commandResult) {
+            processingTrace.stderr = truncateText(commandResult.stderr || commandResult.stdout, 2000);
+        }
+    }
+}
+
+function traceOutput(filePath) {
+    processingTrace.outputs.push(filePath);
+}
+
+function openJournal(journalDir, workflowName, inputPath, shardLabel) {
+    var mainPath = fs.join([journalDir, "." + workflowName + ".journal.json"]);
+    var journal = {
+        path: shardLabel ? fs.join([journalDir, "." + workflowName + "." + shardLabel + ".journal.json"]) : mainPath,
+        data: { workflow: workflowName, input: inputPath, updated: "", items: {} },
+        pendingItems: {},
+        changes: []
+    };
+    if (shardLabel) {
+        journal.data.shard = shardLabel;
+    }
+
+    // A new shard journal starts from what the merged run journal already knows
+    var readPath = fs.exists(journal.path) ? journal.path : (shardLabel ? mainPath : "");
+    if (!readPath || !fs.exists(readPath)) {
+        return journal;
+    }
+
+    var readResult = fs.read(readPath);
+    if (readResult.error) {
+        console.warn("⚠️  Failed to read run journal, starting a new one:", readResult.error);
+        return journal;
+    }
+
+    try {
+        var data = JSON.parse(readResult.content);
+        if (data && data.items) {
+            journal.data.items = data.items;
+        }
+    } catch (error) {
+        console.warn("⚠️  Run journal is not valid JSON, starting a new one:", readPath);
+    }
+
+    return journal;
+}
+
+function saveJournal(journal) {
+    journal.data.updated = new Date().toISOString();
+    var writeResult = fs.write(journal.path, JSON.stringify(journal.data, null, 2));
+    if (writeResult.error) {
+        console.warn("⚠️  Failed to update run journal:", writeResult.error);
+    }
+}
+
+function getResumeAction(journal, key, sourceMd5, outputFile) {
+    var entry = journal.data.items[key];
+    if (!entry) {
+        return { process: true, reason: "new" };
+    }
+    if (entry.md5 && sourceMd5 && entry.md5 !== sourceMd5) {
+        return { process: true, reason: "input changed" };
+    }
+    if (entry.state === "done") {
+        if (fs.exists(entry.output || outputFile)) {
+            return { process: false, reason: "done" };
+        }
+        return { process: true, reason: "output missing" };
+    }
+    if (entry.state === "failed") {
+        return { process: true, reason: "failed before" };
+    }
+    // A pending item was interrupted, its output may be half-written
+    return { process: true, reason: "unfinished" };
+}
+
+function beginJournalItem(journal, key, sourceMd5, outputFile, resumeReason) {
+    var entry = journal.data.items[key] || { state: "", attempts: 0 };
+    journal.pendingItems[key] = { from: entry.state || "new", reason: resumeReason || "" };
+    journal.data.items[key] = {
+        state: "pending",
+        attempts: (entry.attempts || 0) + 1,
+        error: "",
+        md5: sourceMd5,
+        output: outputFile,
+        updated: new Date().toISOString()
+    };
+    saveJournal(journal);
+}
+
+function finishJournalItem(journal, key, succeeded, error) {
+    var entry = journal.data.items[key];
+    entry.state = succeeded ? "done" : "failed";
+    entry.error = succeeded ? "" : (error || "Processing failed");
+    entry.updated = new Date().toISOString();
+    var pending = journal.pendingItems[key];
+    if (pending.from !== entry.state || pending.reason) {
+        journal.changes.push({ key: key, from: pending.from, to: entry.state, reason: pending.reason });
+    }
+    saveJournal(journal);
+}
+
+function printJournalChanges(journal) {
+    console.log("🔁 Resume changes:");
+    if (journal.changes.length === 0) {
+        console.log("  (no state changes)");
+        return;
+    }
+    for (var i = 0; i < journal.changes.length; i++) {
+        var change = journal.changes[i];
+        console.log("  " + change.key + ": " + change.from + " → " + change.to + (change.reason ? " (" + change.reason + ")" : ""));
+    }
+}
+
+function getFileMd5(filePath) {
+    var md5Result = fs.md5(filePath);
+    return md5Result.error ? "" : md5Result.hash;
+}
+
 // Execute main function
 main(); 
\ No newline at end of file